@@ -9,49 +9,162 @@ document.addEventListener('DOMContentLoaded', () => {
     // ═══════════════════════════════════════════════════════════
 
     const svg = document.getElementById('tree-svg');
-    const bst = new BinarySearchTree();
-    const renderer = new BSTRenderer(svg);
+    const svgContainer = document.getElementById('svg-container');
+    const minimap = document.getElementById('minimap');
+    const treeCanvas = document.getElementById('tree-canvas');
+    let bst = createTree(TreeMode.BST);
+    // Both renderers share one interface; the Renderer select picks which
+    // one draws (the canvas one zooms and pans itself)
+    const svgRenderer = new BSTRenderer(svg);
+    const canvasRenderer = new CanvasRenderer(treeCanvas, RENDERER_CONFIG);
+    let renderer = svgRenderer;
     const animator = new BSTAnimator(renderer);
+    const viewport = new TreeViewport(svgContainer, svg, minimap);
+    const treeHistory = new TreeHistory();
 
     // UI Elements
+    const treeModeSelect = document.getElementById('tree-mode');
+    const duplicatePolicy = document.getElementById('duplicate-policy');
+    const keyTypeSelect = document.getElementById('key-type');
+    const layoutSelect = document.getElementById('tree-layout');
+    const rendererSelect = document.getElementById('tree-renderer');
+    const keyInputs = document.querySelectorAll('.key-input');
+    const heatmapToggle = document.getElementById('heatmap-toggle');
+    const sizesToggle = document.getElementById('sizes-toggle');
+    const balanceToggle = document.getElementById('balance-toggle');
+    const statsGrid = document.getElementById('stats-grid');
     const insertInput = document.getElementById('insert-input');
     const insertBtn = document.getElementById('insert-btn');
     const searchInput = document.getElementById('search-input');
     const searchBtn = document.getElementById('search-btn');
+    const deleteInput = document.getElementById('delete-input');
+    const deleteStrategy = document.getElementById('delete-strategy');
+    const deleteBtn = document.getElementById('delete-btn');
     const inorderBtn = document.getElementById('inorder-btn');
     const preorderBtn = document.getElementById('preorder-btn');
     const postorderBtn = document.getElementById('postorder-btn');
+    const levelorderBtn = document.getElementById('levelorder-btn');
+    const zigzagBtn = document.getElementById('zigzag-btn');
+    const minBtn = document.getElementById('min-btn');
+    const maxBtn = document.getElementById('max-btn');
+    const queryInput = document.getElementById('query-input');
+    const queryType = document.getElementById('query-type');
+    const queryBtn = document.getElementById('query-btn');
+    const rangeLoInput = document.getElementById('range-lo');
+    const rangeHiInput = document.getElementById('range-hi');
+    const rangeBtn = document.getElementById('range-btn');
+    const lcaAInput = document.getElementById('lca-a');
+    const lcaBInput = document.getElementById('lca-b');
+    const lcaBtn = document.getElementById('lca-btn');
+    const distanceBtn = document.getElementById('distance-btn');
+    const treapSection = document.getElementById('treap-section');
+    const treapSeedInput = document.getElementById('treap-seed');
+    const reseedBtn = document.getElementById('reseed-btn');
+    const splitInput = document.getElementById('split-input');
+    const splitBtn = document.getElementById('split-btn');
+    const mergeBtn = document.getElementById('merge-btn');
+    const btreeSection = document.getElementById('btree-section');
+    const btreeDegree = document.getElementById('btree-degree');
     const playBtn = document.getElementById('play-btn');
+    const reverseBtn = document.getElementById('reverse-btn');
     const pauseBtn = document.getElementById('pause-btn');
     const stepBackBtn = document.getElementById('step-back-btn');
     const stepFwdBtn = document.getElementById('step-fwd-btn');
     const resetBtn = document.getElementById('reset-btn');
+    const stepScrubber = document.getElementById('step-scrubber');
     const speedSlider = document.getElementById('speed-slider');
     const speedValue = document.getElementById('speed-value');
     const clearBtn = document.getElementById('clear-btn');
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const historyList = document.getElementById('history-list');
     const randomBtn = document.getElementById('random-btn');
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    const ioFormat = document.getElementById('io-format');
+    const ioText = document.getElementById('io-text');
+    const importBtn = document.getElementById('import-btn');
+    const exportBtn = document.getElementById('export-btn');
+    const pngScale = document.getElementById('png-scale');
+    const exportSvgBtn = document.getElementById('export-svg-btn');
+    const exportPngBtn = document.getElementById('export-png-btn');
+    const exportAnimationBtn = document.getElementById('export-animation-btn');
     const statusMessage = document.getElementById('status-message');
     const stepCounter = document.getElementById('step-counter');
     const progressFill = document.getElementById('progress-fill');
+    const queueStrip = document.getElementById('queue-strip');
+    const queueItems = document.getElementById('queue-items');
+    const rangeStrip = document.getElementById('range-strip');
+    const rangeLabel = document.getElementById('range-label');
+    const rangeItems = document.getElementById('range-items');
+    const codeTitle = document.getElementById('code-title');
+    const codeLanguage = document.getElementById('code-language');
+    const codeListing = document.getElementById('code-listing');
+    const zoomInBtn = document.getElementById('zoom-in-btn');
+    const zoomOutBtn = document.getElementById('zoom-out-btn');
+    const zoomResetBtn = document.getElementById('zoom-reset-btn');
+    const fitBtn = document.getElementById('fit-btn');
+    const followBtn = document.getElementById('follow-btn');
+
+    const INVALID_KEY_MESSAGES = {
+        number: 'Please enter a valid number',
+        text: 'Please enter some text',
+        date: 'Please enter a valid date (YYYY-MM-DD)'
+    };
+
+    // Set when the drawn tree is older than bst.root (e.g. during a delete)
+    let pendingRender = false;
+
+    // Keys in insertion order, so the tree can be rebuilt in another mode
+    let keySequence = [];
+
+    // How often each key was searched for or inserted this session
+    const accessCounts = new Map();
+
+    // The two halves of a split treap ({ left, right }) until they are merged
+    let splitParts = null;
+
+    // Keep the highlighted node centred while steps play
+    let followActive = false;
+
+    // Last operation a link can queue ({ name, arg, keys (before it), steps });
+    // only shared while its steps are still loaded in the animator
+    let sharedOperation = null;
 
     // ═══════════════════════════════════════════════════════════
     // Animator Callbacks
     // ═══════════════════════════════════════════════════════════
 
-    animator.onStepChange = (step, current, total) => {
-        updateStatus(step.description, step.action);
-    };
+    // Every frame carries the full visual state, so stepping back or
+    // seeking redraws the strips exactly
+    animator.onFrame((frame) => {
+        if (frame.step !== null) {
+            updateStatus(frame.step.description, frame.step.action);
+        }
+        renderQueue(frame.queue);
+        renderRange(frame.range);
+        renderCode(frame.step);
+        renderer.setPaths(frame.paths, frame.lca);
+        if (followActive) followFrame(frame);
+
+        // An earlier frame may show an older shape than bst.root
+        if (frame.tree !== null) pendingRender = true;
+    });
 
     animator.onStatusChange = (progress) => {
         stepCounter.textContent = `Step ${progress.current}/${progress.total}`;
         progressFill.style.width = `${progress.percentage}%`;
 
+        stepScrubber.max = progress.total;
+        stepScrubber.value = progress.current;
+
         // Update button states
         playBtn.disabled = progress.isPlaying;
+        reverseBtn.disabled = progress.isPlaying;
         pauseBtn.disabled = !progress.isPlaying;
     };
 
     animator.onComplete = () => {
+        syncTree();
         updateStatus('Animation complete!', 'complete');
     };
 
@@ -61,15 +174,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Insert
     insertBtn.addEventListener('click', () => {
-        const value = parseInt(insertInput.value);
-        if (isNaN(value)) {
-            updateStatus('Please enter a valid number', 'error');
-            return;
+        const value = readKey(insertInput);
+        if (value === null) return;
+
+        rejoinSplit();
+        syncTree();
+        const before = bst.snapshot();
+        const keysBefore = [...keySequence];
+        const { success, steps } = bst.insert(value);
+        if (success) {
+            keySequence.push(value);
+            recordHistory(`Insert ${value}`);
         }
+        recordAccess(value);
 
-        const steps = bst.insert(value);
-        renderer.render(bst.root);
-        animator.setSteps(steps);
+        // The new node (and any rebalancing) appears step by step
+        pendingRender = true;
+        animator.setSteps(steps, before, bst.snapshot());
+        shareOperation('insert', value, keysBefore);
         animator.play();
         insertInput.value = '';
     });
@@ -80,14 +202,23 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Search
     searchBtn.addEventListener('click', () => {
-        const value = parseInt(searchInput.value);
-        if (isNaN(value)) {
-            updateStatus('Please enter a valid number', 'error');
-            return;
+        const value = readKey(searchInput);
+        if (value === null) return;
+
+        rejoinSplit();
+        syncTree();
+        const before = bst.snapshot();
+        const { found, steps } = bst.search(value);
+        if (found) {
+            recordAccess(value);
         }
 
-        const steps = bst.search(value);
-        animator.setSteps(steps);
+        // Splay trees restructure on search
+        if (steps.some(s => s.tree)) {
+            pendingRender = true;
+        }
+        animator.setSteps(steps, before);
+        shareOperation('search', value);
         animator.play();
         searchInput.value = '';
     });
@@ -96,35 +227,151 @@ document.addEventListener('DOMContentLoaded', () => {
         if (e.key === 'Enter') searchBtn.click();
     });
 
+    // Delete - keep the old tree on screen until the animation finishes
+    deleteBtn.addEventListener('click', () => {
+        const value = readKey(deleteInput);
+        if (value === null) return;
+
+        rejoinSplit();
+        syncTree();
+        const before = bst.snapshot();
+        const keysBefore = [...keySequence];
+        const steps = bst.delete(value, deleteStrategy.value);
+        if (steps.some(s => s.action === Action.REMOVING)) {
+            const index = keySequence.findIndex(key => bst.comparator.compare(key, value) === 0);
+            keySequence.splice(index, 1);
+            recordHistory(`Delete ${value}`);
+        }
+        pendingRender = true;
+        animator.setSteps(steps, before, bst.snapshot());
+        shareOperation('delete', value, keysBefore);
+        animator.play();
+        deleteInput.value = '';
+    });
+
+    deleteInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') deleteBtn.click();
+    });
+
     // Traversals
     inorderBtn.addEventListener('click', () => {
-        const steps = bst.inorderTraversal();
+        rejoinSplit();
+        syncTree();
+        const { steps } = bst.inorderTraversal();
         animator.setSteps(steps);
+        shareOperation('inorder');
         animator.play();
     });
 
     preorderBtn.addEventListener('click', () => {
-        const steps = bst.preorderTraversal();
+        rejoinSplit();
+        syncTree();
+        const { steps } = bst.preorderTraversal();
         animator.setSteps(steps);
+        shareOperation('preorder');
         animator.play();
     });
 
     postorderBtn.addEventListener('click', () => {
-        const steps = bst.postorderTraversal();
+        rejoinSplit();
+        syncTree();
+        const { steps } = bst.postorderTraversal();
         animator.setSteps(steps);
+        shareOperation('postorder');
         animator.play();
     });
 
+    levelorderBtn.addEventListener('click', () => {
+        rejoinSplit();
+        syncTree();
+        const { steps } = bst.levelOrderTraversal();
+        animator.setSteps(steps);
+        shareOperation('levelorder');
+        animator.play();
+    });
+
+    zigzagBtn.addEventListener('click', () => {
+        rejoinSplit();
+        syncTree();
+        const { steps } = bst.zigzagTraversal();
+        animator.setSteps(steps);
+        shareOperation('zigzag');
+        animator.play();
+    });
+
+    // Order queries (min / max / successor / predecessor / floor / ceiling)
+    minBtn.addEventListener('click', () => runQuery('min'));
+    maxBtn.addEventListener('click', () => runQuery('max'));
+
+    queryBtn.addEventListener('click', () => {
+        // k-th smallest takes a position, every other query a key
+        let value;
+        if (queryType.value === 'select') {
+            value = parseInt(queryInput.value);
+            if (isNaN(value)) {
+                updateStatus('Please enter a valid number', 'error');
+                return;
+            }
+        } else {
+            value = readKey(queryInput);
+            if (value === null) return;
+        }
+
+        runQuery(queryType.value, value);
+        queryInput.value = '';
+    });
+
+    queryInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') queryBtn.click();
+    });
+
+    // Range search - pruned subtrees are dimmed, collected keys fill the strip
+    rangeBtn.addEventListener('click', () => {
+        const lo = readKey(rangeLoInput);
+        const hi = lo !== null ? readKey(rangeHiInput) : null;
+        if (lo === null || hi === null) return;
+
+        runQuery('rangeSearch', lo, hi);
+    });
+
+    [rangeLoInput, rangeHiInput].forEach(input => input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') rangeBtn.click();
+    }));
+
+    // LCA / distance - the two search paths stay highlighted in their colors
+    function runPairQuery(query) {
+        const a = readKey(lcaAInput);
+        const b = a !== null ? readKey(lcaBInput) : null;
+        if (a === null || b === null) return;
+
+        runQuery(query, a, b);
+    }
+
+    lcaBtn.addEventListener('click', () => runPairQuery('lowestCommonAncestor'));
+    distanceBtn.addEventListener('click', () => runPairQuery('distance'));
+
+    [lcaAInput, lcaBInput].forEach(input => input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') lcaBtn.click();
+    }));
+
     // Animation Controls
     playBtn.addEventListener('click', () => animator.play());
+    reverseBtn.addEventListener('click', () => animator.playBackward());
     pauseBtn.addEventListener('click', () => animator.pause());
     stepBackBtn.addEventListener('click', () => animator.stepBackward());
     stepFwdBtn.addEventListener('click', () => animator.stepForward());
     resetBtn.addEventListener('click', () => {
-        animator.stop();
+        animator.reset();
         updateStatus('Ready. Insert values to build the tree.', 'ready');
     });
 
+    // Seek anywhere: every frame is rebuilt directly, nothing is replayed
+    stepScrubber.addEventListener('input', () => {
+        const count = parseInt(stepScrubber.value);
+        animator.pause();
+        animator.seek(count);
+    });
+
     // Speed Control
     speedSlider.addEventListener('input', () => {
         const speed = parseInt(speedSlider.value);
@@ -132,20 +379,167 @@ document.addEventListener('DOMContentLoaded', () => {
         speedValue.textContent = `${speed}ms`;
     });
 
+    // Code language - redraw the listing at the current step
+    codeLanguage.addEventListener('change', () => {
+        renderCode(animator.steps[animator.currentIndex - 1] || null);
+    });
+
+    // Tree Mode - rebuild the same key sequence as another kind of tree
+    treeModeSelect.addEventListener('change', () => {
+        const label = treeModeSelect.options[treeModeSelect.selectedIndex].text;
+        applyTreeMode();
+        rebuildTree();
+        updateStatus(keySequence.length > 0
+            ? `Rebuilt [${keySequence.join(', ')}] as ${label}`
+            : `Switched to ${label}`, 'ready');
+    });
+
+    // Duplicate keys - rebuild the same key sequence under the new policy
+    duplicatePolicy.addEventListener('change', () => {
+        const label = duplicatePolicy.options[duplicatePolicy.selectedIndex].text;
+        rebuildTree();
+        updateStatus(treeModeSelect.value === TreeMode.B_TREE
+            ? `Duplicate keys: ${label} (B-trees always reject duplicates)`
+            : `Duplicate keys: ${label}`, 'ready');
+    });
+
+    // Key type - keys of the old type don't compare with the new, so start over
+    keyTypeSelect.addEventListener('change', () => {
+        keySequence = [];
+        accessCounts.clear();
+        rebuildTree();
+        applyKeyType();
+        updateStatus(`Key type: ${KeyTypes[keyTypeSelect.value].label}. Tree cleared.`, 'ready');
+    });
+
+    queryType.addEventListener('change', applyKeyType);
+
+    // Treap - redraw priorities from a seed (empty = random) for the same keys
+    reseedBtn.addEventListener('click', () => {
+        rebuildTree();
+        updateStatus(treapSeedInput.value === ''
+            ? 'Reseeded with random priorities'
+            : `Reseeded priorities with seed ${treapSeedInput.value}`, 'ready');
+    });
+
+    // B-Tree - rebuild the same keys with another minimum degree
+    btreeDegree.addEventListener('change', () => {
+        rebuildTree();
+        updateStatus(`Rebuilt as a B-tree of minimum degree ${btreeDegree.value}`, 'ready');
+    });
+
+    // Treap split - the halves stay on screen side by side until merged
+    splitBtn.addEventListener('click', () => {
+        const key = readKey(splitInput);
+        if (key === null) return;
+
+        rejoinSplit();
+        syncTree();
+        const before = bst.snapshot();
+        const { left, right, steps } = bst.split(key);
+        splitParts = { left, right };
+        mergeBtn.disabled = false;
+        pendingRender = true;
+        animator.setSteps(steps, before, [left.snapshot(), right.snapshot()]);
+        animator.play();
+        splitInput.value = '';
+    });
+
+    splitInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') splitBtn.click();
+    });
+
+    mergeBtn.addEventListener('click', () => {
+        if (!splitParts) return;
+
+        syncTree();
+        const before = [splitParts.left.snapshot(), splitParts.right.snapshot()];
+        const steps = bst.merge(splitParts.left, splitParts.right);
+        splitParts = null;
+        mergeBtn.disabled = true;
+        pendingRender = true;
+        animator.setSteps(steps, before, bst.snapshot());
+        animator.play();
+    });
+
+    // Zoom, pan and follow, on whichever renderer is drawing
+    const activeView = () => (renderer === canvasRenderer ? canvasRenderer : viewport);
+    const showZoom = (scale) => {
+        zoomResetBtn.textContent = `${Math.round(scale * 100)}%`;
+    };
+    viewport.onChange = showZoom;
+    canvasRenderer.onChange = showZoom;
+    zoomInBtn.addEventListener('click', () => activeView().zoomBy(1.25));
+    zoomOutBtn.addEventListener('click', () => activeView().zoomBy(0.8));
+    zoomResetBtn.addEventListener('click', () => activeView().zoomTo(1));
+    fitBtn.addEventListener('click', () => activeView().fit());
+    followBtn.addEventListener('click', () => {
+        followActive = !followActive;
+        followBtn.setAttribute('aria-pressed', String(followActive));
+        if (followActive) followFrame(animator.timeline.frameAt(animator.currentIndex));
+    });
+
+    // Tree layout: glide into the new arrangement, then put the step's
+    // highlights back
+    layoutSelect.addEventListener('change', () => {
+        renderer.setLayout(layoutSelect.value);
+        animator.seek(animator.currentIndex);
+        updateStatus(`Layout: ${Layouts[layoutSelect.value].label}`, 'ready');
+    });
+
+    // Renderer: draw the current tree with the other one, with the same
+    // layout and overlays, then put the step's highlights back
+    rendererSelect.addEventListener('change', () => {
+        const useCanvas = rendererSelect.value === 'canvas';
+        renderer = useCanvas ? canvasRenderer : svgRenderer;
+        animator.renderer = renderer;
+        treeCanvas.hidden = !useCanvas;
+        svgContainer.hidden = useCanvas;
+        minimap.hidden = useCanvas;
+
+        renderer.render(splitParts ? [splitParts.left.root, splitParts.right.root] : bst.root);
+        if (renderer.layout !== layoutSelect.value) renderer.setLayout(layoutSelect.value);
+        renderer.setHeatmap(heatmapToggle.checked ? accessCounts : null);
+        renderer.setShowSizes(sizesToggle.checked);
+        renderer.setShowBalance(balanceToggle.checked);
+        animator.seek(animator.currentIndex);
+        showZoom(useCanvas ? canvasRenderer.view.scale : viewport.scale);
+        updateStatus(useCanvas
+            ? 'Renderer: Canvas. Click a node to collapse or expand its subtree'
+            : 'Renderer: SVG', 'ready');
+    });
+
+    // Access heatmap overlay
+    heatmapToggle.addEventListener('change', () => {
+        renderer.setHeatmap(heatmapToggle.checked ? accessCounts : null);
+    });
+
+    // Subtree-size badges (order statistics)
+    sizesToggle.addEventListener('change', () => {
+        renderer.setShowSizes(sizesToggle.checked);
+    });
+
+    // Per-node balance factors
+    balanceToggle.addEventListener('change', () => {
+        renderer.setShowBalance(balanceToggle.checked);
+    });
+
     // Quick Build Buttons
     document.querySelectorAll('.quick-actions .btn[data-values]').forEach(btn => {
         btn.addEventListener('click', () => {
-            const values = btn.dataset.values.split(',').map(Number);
+            const { sample } = KeyTypes[keyTypeSelect.value];
+            const values = btn.dataset.values.split(',').map(n => sample(Number(n)));
             buildTree(values);
         });
     });
 
     // Random Tree
     randomBtn.addEventListener('click', () => {
+        const { sample } = KeyTypes[keyTypeSelect.value];
         const count = Math.floor(Math.random() * 5) + 5; // 5-9 nodes
         const values = [];
         while (values.length < count) {
-            const val = Math.floor(Math.random() * 100) + 1;
+            const val = sample(Math.floor(Math.random() * 100) + 1);
             if (!values.includes(val)) values.push(val);
         }
         buildTree(values);
@@ -154,25 +548,546 @@ document.addEventListener('DOMContentLoaded', () => {
     // Clear Tree
     clearBtn.addEventListener('click', () => {
         bst.clear();
+        keySequence = [];
+        pendingRender = false;
+        discardSplit();
         renderer.render(null);
-        animator.stop();
+        renderStats();
+        animator.setSteps([]);
+        recordHistory('Clear');
         updateStatus('Tree cleared. Ready to build.', 'ready');
     });
 
+    // Copy link - the keys, settings and last operation, queued at step 0
+    copyLinkBtn.addEventListener('click', () => {
+        const shared = sharedOperation !== null && sharedOperation.steps === animator.steps
+            ? sharedOperation
+            : null;
+        const hash = encodeShareState({
+            mode: treeModeSelect.value,
+            keyType: keyTypeSelect.value,
+            keys: shared ? shared.keys : keySequence,
+            speed: parseInt(speedSlider.value),
+            operation: shared ? { name: shared.name, arg: shared.arg } : null
+        });
+        history.replaceState(null, '', `#${hash}`);
+
+        const url = location.href;
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+        copied.then(
+            () => updateStatus('Link copied to the clipboard', 'ready'),
+            () => updateStatus(`Copy this link: ${url}`, 'ready')
+        );
+    });
+
+    // Import / Export - nested JSON or a level-order list
+    const IO_PLACEHOLDERS = {
+        [TreeFormat.JSON]: '{ "value": 50, "left": null, "right": null }',
+        [TreeFormat.LEVEL_ORDER]: '[50,30,70,null,40]'
+    };
+
+    ioFormat.addEventListener('change', () => {
+        ioText.placeholder = IO_PLACEHOLDERS[ioFormat.value];
+    });
+
+    exportBtn.addEventListener('click', () => {
+        if (treeModeSelect.value === TreeMode.B_TREE) {
+            updateStatus('Export works for binary trees; B-tree nodes hold several keys', 'error');
+            return;
+        }
+        rejoinSplit();
+        syncTree();
+        try {
+            ioText.value = exportTree(bst.root, ioFormat.value);
+        } catch (e) {
+            updateStatus(e.message, 'error');
+            return;
+        }
+        const format = ioFormat.options[ioFormat.selectedIndex].text;
+        updateStatus(`Exported the tree as ${format}`, 'ready');
+    });
+
+    // Imports keep their exact shape, which only a plain BST can promise, so
+    // other modes switch to it; the keys go in level order, which rebuilds
+    // that shape
+    importBtn.addEventListener('click', () => {
+        let imported;
+        try {
+            imported = importTree(ioText.value, ioFormat.value, KeyTypes[keyTypeSelect.value],
+                duplicatePolicy.value);
+        } catch (e) {
+            updateStatus(e.message, 'error');
+            return;
+        }
+
+        const count = imported.keys.length;
+        if (treeModeSelect.value !== TreeMode.BST) {
+            treeModeSelect.value = TreeMode.BST;
+            applyTreeMode();
+            keySequence = imported.keys;
+            rebuildTree();
+            updateStatus(`Imported ${count} keys as a Binary Search Tree, keeping their shape`, 'ready');
+        } else {
+            buildTree(imported.keys, `Import (${count} keys)`);
+            updateStatus(`Imported ${count} keys`, 'ready');
+        }
+    });
+
+    // Export Image - the frame on screen, or every frame of the loaded steps
+    exportSvgBtn.addEventListener('click', () => {
+        if (!svgShown()) return;
+        if (bst.root === null) {
+            updateStatus('The tree is empty; there is nothing to export', 'error');
+            return;
+        }
+        svgRenderer.finishTween();
+        downloadFile('tree.svg', svgDocument(captureSvg(svg)));
+        updateStatus('Exported the tree as SVG', 'ready');
+    });
+
+    exportPngBtn.addEventListener('click', () => {
+        if (!svgShown()) return;
+        if (bst.root === null) {
+            updateStatus('The tree is empty; there is nothing to export', 'error');
+            return;
+        }
+        svgRenderer.finishTween();
+        const capture = captureSvg(svg);
+        const scale = parseInt(pngScale.value);
+        svgToPng(svgDocument(capture), capture.width, capture.height, scale).then(
+            png => {
+                downloadFile(`tree@${scale}x.png`, png);
+                updateStatus(`Exported the tree as PNG at ${scale}×`, 'ready');
+            },
+            e => updateStatus(e.message, 'error')
+        );
+    });
+
+    exportAnimationBtn.addEventListener('click', () => {
+        if (!svgShown()) return;
+        if (animator.steps.length === 0) {
+            updateStatus('Run an operation first; the animated SVG replays its steps', 'error');
+            return;
+        }
+        const frames = captureFrames();
+        downloadFile('tree-animation.svg', animatedSvgDocument(frames, parseInt(speedSlider.value)));
+        updateStatus(`Exported ${frames.length} frames as an animated SVG`, 'ready');
+    });
+
+    // Undo / Redo - restore the tree as it was after an earlier operation
+    undoBtn.addEventListener('click', () => {
+        const undone = treeHistory.current;
+        const entry = treeHistory.undo();
+        if (entry === null) return;
+
+        restoreHistory(entry);
+        updateStatus(`Undid ${undone.label}`, 'ready');
+    });
+
+    redoBtn.addEventListener('click', () => {
+        const entry = treeHistory.redo();
+        if (entry === null) return;
+
+        restoreHistory(entry);
+        updateStatus(`Redid ${entry.label}`, 'ready');
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (e.target.matches('input, textarea, select')) return;
+
+        e.preventDefault();
+        (e.shiftKey ? redoBtn : undoBtn).click();
+    });
+
     // ═══════════════════════════════════════════════════════════
     // Helper Functions
     // ═══════════════════════════════════════════════════════════
 
-    function buildTree(values) {
+    function buildTree(values, label = `Build [${values.join(', ')}]`) {
         bst.clear();
         values.forEach(v => bst.insert(v));
-        renderer.render(bst.root);
-        animator.stop();
+        keySequence = [...values];
+        pendingRender = false;
+        discardSplit();
+        renderer.render(bst.root, { animate: true });
+        renderStats();
+        animator.setSteps([]);
+        recordHistory(label);
         updateStatus(`Built tree with [${values.join(', ')}]`, 'ready');
     }
 
+    /**
+     * Recreate the tree for the selected mode (duplicate policy, key type,
+     * treap seed, B-tree degree) from keySequence. Earlier history entries
+     * hold trees of the old kind, so the history starts over.
+     */
+    function rebuildTree() {
+        const seed = parseInt(treapSeedInput.value);
+        const options = {
+            duplicates: duplicatePolicy.value,
+            keyType: keyTypeSelect.value,
+            minDegree: parseInt(btreeDegree.value)
+        };
+        if (!isNaN(seed)) options.seed = seed;
+        bst = createTree(treeModeSelect.value, options);
+        keySequence.forEach(v => bst.insert(v));
+        pendingRender = false;
+        discardSplit();
+        renderer.render(bst.root, { animate: true });
+        renderStats();
+        animator.setSteps([]);
+        startHistory();
+    }
+
+    /**
+     * What a history entry keeps: the tree (split halves are rejoined by
+     * every recorded operation) and the key sequence behind it
+     */
+    function captureState() {
+        return { root: bst.snapshot(), keys: [...keySequence] };
+    }
+
+    function startHistory() {
+        const mode = treeModeSelect.options[treeModeSelect.selectedIndex].text;
+        treeHistory.reset(`Start: ${mode}`, captureState());
+        renderHistory();
+    }
+
+    function recordHistory(label) {
+        treeHistory.record(label, captureState());
+        renderHistory();
+    }
+
+    /**
+     * Put the tree back as a history entry left it; nodes keep their ids,
+     * so the renderer moves them into place
+     */
+    function restoreHistory(entry) {
+        bst.restore(entry.state.root);
+        keySequence = [...entry.state.keys];
+        pendingRender = false;
+        discardSplit();
+        renderer.render(bst.root, { animate: true });
+        renderStats();
+        animator.setSteps([]);
+        renderHistory();
+    }
+
+    /**
+     * List the history, oldest first; any entry can be clicked to return to it
+     */
+    function renderHistory() {
+        undoBtn.disabled = !treeHistory.canUndo();
+        redoBtn.disabled = !treeHistory.canRedo();
+        historyList.innerHTML = '';
+
+        treeHistory.entries.forEach((entry, i) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'history-entry';
+            if (i === treeHistory.index) button.classList.add('current');
+            if (i > treeHistory.index) button.classList.add('undone');
+            button.textContent = entry.label;
+            button.addEventListener('click', () => {
+                if (i === treeHistory.index) return;
+                restoreHistory(treeHistory.jumpTo(i));
+                updateStatus(`Back to: ${entry.label}`, 'ready');
+            });
+            item.appendChild(button);
+            historyList.appendChild(item);
+        });
+    }
+
+    /**
+     * Centre the view on the first node a frame highlights, if any
+     */
+    function followFrame(frame) {
+        const pos = frame.targets.length > 0 ? renderer.nodePositions.get(frame.targets[0]) : null;
+        if (pos) activeView().centerOn(pos.x, pos.y);
+    }
+
+    function syncTree() {
+        if (pendingRender) {
+            pendingRender = false;
+            renderer.render(splitParts ? [splitParts.left.root, splitParts.right.root] : bst.root, { animate: true });
+            renderStats();
+        }
+    }
+
+    /**
+     * Quietly merge a split treap back so other operations see every key
+     */
+    function rejoinSplit() {
+        if (!splitParts) return;
+
+        bst.merge(splitParts.left, splitParts.right);
+        discardSplit();
+        pendingRender = true;
+    }
+
+    function discardSplit() {
+        splitParts = null;
+        mergeBtn.disabled = true;
+    }
+
+    /**
+     * Animate an order or range query; B-trees have no single-key nodes to walk
+     */
+    function runQuery(query, ...args) {
+        if (typeof bst[query] !== 'function') {
+            updateStatus('Order queries are not available for B-trees', 'error');
+            return;
+        }
+
+        rejoinSplit();
+        syncTree();
+        const steps = bst[query](...args);
+        animator.setSteps(steps);
+        animator.play();
+    }
+
+    /**
+     * Show the queue snapshot of a step; hidden for steps without one
+     */
+    function renderQueue(queue) {
+        queueStrip.hidden = !queue;
+        if (!queue) return;
+
+        queueItems.innerHTML = '';
+        if (queue.length === 0) {
+            queueItems.innerHTML = '<span class="queue-empty">empty</span>';
+            return;
+        }
+
+        queue.forEach(value => {
+            const item = document.createElement('span');
+            item.className = 'queue-item';
+            item.textContent = value;
+            queueItems.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the collected keys of a range search step and dim what it pruned;
+     * hidden for steps without one
+     */
+    function renderRange(range) {
+        rangeStrip.hidden = !range;
+        renderer.setDimmed(range ? range.pruned : null);
+        if (!range) return;
+
+        rangeLabel.textContent = `[${range.lo}, ${range.hi}]: ${range.keys.length} found`;
+        rangeItems.innerHTML = '';
+        if (range.keys.length === 0) {
+            rangeItems.innerHTML = '<span class="queue-empty">none yet</span>';
+            return;
+        }
+
+        range.keys.forEach(value => {
+            const item = document.createElement('span');
+            item.className = 'queue-item range-item';
+            item.textContent = value;
+            rangeItems.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the code behind the steps being played in the chosen language,
+     * highlighting the line that produced `step`
+     */
+    function renderCode(step) {
+        const algorithm = codeListingFor(animator.steps);
+        const listing = algorithm !== null ? CodeListings[algorithm] : null;
+        codeTitle.textContent = listing ? listing.title : 'Code';
+        codeListing.innerHTML = '';
+
+        if (!listing) {
+            codeListing.innerHTML = '<li class="code-empty">Insert, search or traverse to follow the code</li>';
+            return;
+        }
+
+        const ref = codeLineOf(step);
+        listing[codeLanguage.value].forEach(([id, text]) => {
+            const line = document.createElement('li');
+            line.className = 'code-line';
+            line.textContent = text;
+            if (ref !== null && ref.algorithm === algorithm && id === ref.line) {
+                line.classList.add('active');
+            }
+            codeListing.appendChild(line);
+        });
+    }
+
+    /**
+     * Fill the statistics panel for the tree on screen (both halves of a
+     * split treap count as one forest)
+     */
+    function renderStats() {
+        const stats = computeTreeStats(splitParts ? [splitParts.left.root, splitParts.right.root] : bst.root);
+        const btree = stats.optimalHeight === null;
+        const rows = [
+            ['Height', stats.height],
+            [btree ? 'Nodes (keys)' : 'Nodes', btree ? `${stats.nodeCount} (${stats.keyCount})` : stats.nodeCount],
+            ['Leaves', stats.leafCount],
+            ['Internal path length', stats.internalPathLength],
+            ['External path length', stats.externalPathLength],
+            ['Avg. search depth', stats.averageSearchDepth.toFixed(2)],
+            ['Optimal height', btree ? '—' : stats.optimalHeight],
+            ['Height / optimal', stats.heightRatio === null ? '—' : stats.heightRatio.toFixed(2)]
+        ];
+
+        statsGrid.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            statsGrid.append(term, detail);
+        });
+    }
+
+    /**
+     * Parse a key input for the selected key type
+     * @returns {*} The key, or null (with an error status) when invalid
+     */
+    function readKey(input) {
+        const keyType = KeyTypes[keyTypeSelect.value];
+        const key = keyType.parse(input.value);
+        if (key === null) {
+            updateStatus(INVALID_KEY_MESSAGES[keyType.inputType], 'error');
+            input.focus();
+        }
+        return key;
+    }
+
+    /**
+     * Show the Treap and B-tree sections only in their tree modes
+     */
+    function applyTreeMode() {
+        treapSection.hidden = treeModeSelect.value !== TreeMode.TREAP;
+        btreeSection.hidden = treeModeSelect.value !== TreeMode.B_TREE;
+    }
+
+    /**
+     * Give the key inputs the input type of the selected key type; the
+     * query input takes a number for k-th smallest
+     */
+    function applyKeyType() {
+        const { inputType } = KeyTypes[keyTypeSelect.value];
+        keyInputs.forEach(input => {
+            input.type = input === queryInput && queryType.value === 'select' ? 'number' : inputType;
+            input.step = 'any';
+            input.value = '';
+        });
+    }
+
+    /**
+     * Image export captures the SVG, so it needs the SVG renderer drawing
+     * @returns {boolean} Whether it is; if not, the status says so
+     */
+    function svgShown() {
+        if (renderer === svgRenderer) return true;
+        updateStatus('Image export captures the SVG drawing; switch Renderer to SVG first', 'error');
+        return false;
+    }
+
+    /**
+     * Capture every frame of the loaded steps, from before the first step to
+     * after the last, captioned with its step; the animator returns to the
+     * frame it was showing
+     */
+    function captureFrames() {
+        const shown = animator.currentIndex;
+        const total = animator.steps.length;
+        const frames = [];
+        animator.pause();
+        svgRenderer.finishTween();
+        animator.tween = false;
+        try {
+            for (let count = 0; count <= total; count++) {
+                animator.seek(count);
+                const step = animator.steps[count - 1];
+                frames.push({
+                    capture: captureSvg(svg),
+                    caption: step ? `Step ${count}/${total}: ${step.description}` : `Step 0/${total}`
+                });
+            }
+            animator.seek(shown);
+        } finally {
+            animator.tween = true;
+        }
+        return frames;
+    }
+
+    function shareOperation(name, arg = null, keys = keySequence) {
+        sharedOperation = { name, arg, keys: [...keys], steps: animator.steps };
+    }
+
+    /**
+     * Restore the state in a shared link (see share.js) and queue its
+     * operation paused at step 0
+     * @returns {boolean} Whether the hash held a shared state
+     */
+    function openSharedLink() {
+        const shared = decodeShareState(location.hash);
+        if (shared === null) return false;
+
+        if (KeyTypes[shared.keyType]) {
+            keyTypeSelect.value = shared.keyType;
+            applyKeyType();
+        }
+        if (Object.values(TreeMode).includes(shared.mode)) {
+            treeModeSelect.value = shared.mode;
+            applyTreeMode();
+        }
+        if (shared.speed !== null) {
+            speedSlider.value = shared.speed; // clamped to the slider's range
+            animator.setSpeed(parseInt(speedSlider.value));
+            speedValue.textContent = `${speedSlider.value}ms`;
+        }
+
+        const { parse } = KeyTypes[keyTypeSelect.value];
+        keySequence = shared.keys.map(parse).filter(key => key !== null);
+        rebuildTree();
+        updateStatus(`Opened a shared tree with [${keySequence.join(', ')}]`, 'ready');
+
+        const operation = shared.operation;
+        if (operation === null) return true;
+
+        const controls = {
+            insert: [insertInput, insertBtn],
+            search: [searchInput, searchBtn],
+            delete: [deleteInput, deleteBtn],
+            inorder: [null, inorderBtn],
+            preorder: [null, preorderBtn],
+            postorder: [null, postorderBtn],
+            levelorder: [null, levelorderBtn],
+            zigzag: [null, zigzagBtn]
+        };
+        const [input, button] = controls[operation.name];
+        if (input) input.value = operation.arg;
+        button.click();
+        if (animator.steps.length > 0) {
+            animator.reset();
+            const { label } = SharedOperations[operation.name];
+            updateStatus(operation.arg !== null
+                ? `${label} ${operation.arg} is ready. Press Play to start.`
+                : `${label} traversal is ready. Press Play to start.`, 'ready');
+        }
+        return true;
+    }
+
+    function recordAccess(value) {
+        accessCounts.set(value, (accessCounts.get(value) || 0) + 1);
+        if (heatmapToggle.checked) {
+            renderer.setHeatmap(accessCounts);
+        }
+    }
+
     function updateStatus(message, type = 'info') {
-        statusMessage.innerHTML = message;
+        statusMessage.textContent = message;
         statusMessage.className = 'status-message';
         if (type) statusMessage.classList.add(type);
     }
@@ -182,5 +1097,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // ═══════════════════════════════════════════════════════════
 
     renderer.render(null);
+    renderStats();
+    startHistory();
     updateStatus('Ready. Insert values to build the tree.', 'ready');
+    openSharedLink();
 });
@@ -0,0 +1,988 @@
+/**
+ * Canvas Renderer
+ * Draws the tree on one 2D canvas instead of an SVG element per node, so
+ * trees of thousands of keys stay responsive. It has the same interface as
+ * BSTRenderer (render, highlightNode, highlightEdge, clearHighlights and the
+ * overlay setters) plus its own zoom and pan. Layouts are cached, so an
+ * insert only re-measures the subtrees it changed; nodes off screen are
+ * skipped, labels and badges are left out when nodes are too small on
+ * screen to read them, and clicking a node collapses or expands its subtree.
+ */
+
+// layout.js, stats.js and viewport.js are separate scripts in the browser,
+// modules in Node
+const canvasLayout = typeof computeLayout !== 'undefined'
+    ? computeLayout
+    : require('./layout.js').computeLayout;
+const canvasStats = typeof computeTreeStats !== 'undefined'
+    ? computeTreeStats
+    : require('./stats.js').computeTreeStats;
+const canvasZoomLimits = typeof ZOOM_LIMITS !== 'undefined'
+    ? ZOOM_LIMITS
+    : require('./viewport.js').ZOOM_LIMITS;
+
+// Smallest node radius on screen, in pixels, for each level of detail
+const DETAIL = {
+    OUTLINE: 3,     // below: a filled square without stroke
+    LABEL: 9        // from here: keys, badges and collapse counts
+};
+
+// Node highlight states in the stylesheet's order, later ones winning.
+// Colours starting with -- are read from the page's custom properties.
+const CANVAS_NODE_STATES = [
+    { state: 'active', fill: '--node-active', stroke: '#b45309', width: 3 },
+    { state: 'compared', fill: '--node-compared', stroke: '#9d174d', width: 3 },
+    { state: 'found', fill: '--node-found', stroke: '#15803d', width: 3 },
+    { state: 'inserted', fill: '--node-inserted', stroke: '#7e22ce', width: 3 },
+    { state: 'removing', fill: '--node-removing', stroke: '#b91c1c', width: 3 },
+    { state: 'successor', fill: '--node-successor', stroke: '#0f766e', width: 3 },
+    { state: 'replaced', fill: '--node-replaced', stroke: '#a16207', width: 3 },
+    { state: 'queued', fill: '--node-queued', stroke: '#4338ca', width: 3 },
+    { state: 'rotated', fill: '--node-rotated', stroke: '#c2410c', width: 3 },
+    { state: 'answer', fill: '--node-answer', stroke: '#3f6212', width: 5 },
+    { state: 'recolored', fill: null, stroke: '--node-active', width: 5 }
+];
+
+const CANVAS_EDGE_STYLES = {
+    edge: { stroke: '--edge-default', width: 2 },
+    active: { stroke: '--edge-active', width: 3 },
+    pathA: { stroke: '--path-a', width: 4 },
+    pathB: { stroke: '--path-b', width: 4 },
+    shared: { stroke: '--path-shared', width: 4 }
+};
+
+const CANVAS_FONT = 'Inter, sans-serif';
+
+class CanvasRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas - Sized by CSS; drawn at the
+     *                                     device's pixel ratio
+     * @param {object} config - Renderer sizes (CONFIG in renderer.js, or
+     *                          in BSTVisualizer.jsx)
+     */
+    constructor(canvas, config) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.config = config;
+        this.nodePositions = new Map(); // node id (B-tree: key) -> {x, y, node}
+        this.btreeBoxes = [];           // B-tree node boxes { node, x, y, width, children }
+        this.edges = [];                // { parent, child, direction } node ids (B-tree: first keys)
+        this.layout = 'classic';        // TreeLayout (layout.js)
+        this.layoutCache = {};          // kept between layouts (see computeLayout)
+        this.root = null;               // tree last rendered
+        this.width = 0;                 // tree size in drawing units
+        this.height = 0;
+
+        this.collapsed = new Set();     // node ids whose subtrees are hidden
+        this.hiddenUnder = new Map();   // hidden node id -> collapsed ancestor id
+        this.hiddenCounts = new Map();  // collapsed node id -> nodes hidden
+
+        this.states = new Map();        // node id -> Set of highlight states
+        this.activeEdges = new Set();   // `${parent}>${direction}`
+        this.paths = null;              // { a, b } node and edge sets, or null
+        this.lca = null;
+        this.dimmed = new Set();        // String(node id)
+        this.heatmap = null;            // value -> access count, or null
+        this.showSizes = false;
+        this.showBalance = false;
+        this.balanceFactors = new Map();
+
+        this.drawn = new Map();         // node id -> {x, y, scale} as last drawn, mid-tween too
+        this.fading = { nodes: [], edges: [] }; // removed nodes and edges still fading out
+        this.tweenId = null;
+        this.frameId = null;
+        this.glideId = null;
+
+        this.view = { x: 0, y: 0, scale: 1 }; // screen = drawing * scale + (x, y)
+        this.pointers = new Map();      // pointer id -> { x, y } while pressed
+        this.press = null;              // { x, y, moved } of the first pointer down
+        this.onChange = null;           // called with the zoom after it changes
+        this.colors = new Map();        // custom property -> value, read on render
+
+        this._onWheel = this._onWheel.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onResize = this._onResize.bind(this);
+
+        canvas.addEventListener('wheel', this._onWheel, { passive: false });
+        canvas.addEventListener('pointerdown', this._onPointerDown);
+        canvas.addEventListener('pointermove', this._onPointerMove);
+        canvas.addEventListener('pointerup', this._onPointerUp);
+        canvas.addEventListener('pointercancel', this._onPointerUp);
+        window.addEventListener('resize', this._onResize);
+    }
+
+    /**
+     * Stop listening and drawing
+     */
+    destroy() {
+        this.canvas.removeEventListener('wheel', this._onWheel);
+        this.canvas.removeEventListener('pointerdown', this._onPointerDown);
+        this.canvas.removeEventListener('pointermove', this._onPointerMove);
+        this.canvas.removeEventListener('pointerup', this._onPointerUp);
+        this.canvas.removeEventListener('pointercancel', this._onPointerUp);
+        window.removeEventListener('resize', this._onResize);
+        [this.tweenId, this.frameId, this.glideId].forEach(id => {
+            if (id !== null) cancelAnimationFrame(id);
+        });
+    }
+
+    /**
+     * Draw a tree, clearing the highlights
+     * @param {BSTNode|Array} root - Root of the tree, or an array of roots
+     * @param {object} [options]
+     * @param {boolean} [options.animate] - Move nodes from their previous
+     *     positions, grow new ones in from their parent and fade removed ones
+     *     out; ignored when the user prefers reduced motion
+     */
+    render(root, options = {}) {
+        this.root = root;
+        this.states.clear();
+        this.activeEdges.clear();
+        this._readColors();
+        this._update(options.animate);
+    }
+
+    /**
+     * Switch layout and glide the tree into it; highlights are kept
+     * @param {string} layout - TreeLayout
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        if (this.root !== null) this._update(true);
+    }
+
+    /**
+     * Hide a node's subtree behind it, or show it again. The node is drawn
+     * with a dashed ring and the number of nodes hidden; highlights meant for
+     * hidden nodes go to it. B-tree nodes cannot be collapsed.
+     * @param {number} id - Node id
+     */
+    toggleCollapse(id) {
+        if (this.collapsed.has(id)) {
+            this.collapsed.delete(id);
+        } else {
+            this.collapsed.add(id);
+        }
+        this._update(true);
+    }
+
+    /**
+     * Lay the tree out again (re-measuring only what changed) and tween or
+     * jump to the new positions
+     */
+    _update(animate) {
+        const moving = animate && !this._prefersReducedMotion() && this.drawn.size > 0;
+        const previous = this.drawn;
+        const previousPositions = this.nodePositions;
+        const previousEdges = this.edges;
+        const fading = moving ? this.fading : { nodes: [], edges: [] };
+
+        if (this.tweenId !== null) {
+            cancelAnimationFrame(this.tweenId);
+            this.tweenId = null;
+        }
+
+        const { positions, boxes } = canvasLayout(this.root, this.layout, this.config,
+            { collapsed: this.collapsed, cache: this.layoutCache });
+        this.nodePositions = positions;
+        this.btreeBoxes = boxes;
+        this._readBalance();
+        this._collectEdges();
+        this._measure();
+        this.drawn = new Map();
+
+        if (!moving) {
+            this.nodePositions.forEach(({ x, y }, id) => this.drawn.set(id, { x, y, scale: 1 }));
+            this.fading = { nodes: [], edges: [] };
+            this._requestDraw();
+            return;
+        }
+
+        // New nodes grow in from where their parent starts (B-tree keys
+        // where they are)
+        const parents = new Map(boxes.length > 0 ? [] : this.edges.map(({ parent, child }) => [child, parent]));
+        // (up to the nearest node with a start, without recursing: a new
+        // run of sorted keys is a path thousands of nodes long)
+        const from = new Map();
+        const startOf = (id) => {
+            const path = [];
+            let at = id;
+            while (!from.has(at) && !previous.has(at) && parents.has(at)) {
+                path.push(at);
+                at = parents.get(at);
+            }
+            if (!from.has(at)) {
+                const own = this.nodePositions.get(at);
+                from.set(at, previous.has(at) ? previous.get(at) : { x: own.x, y: own.y, scale: 0 });
+            }
+            const origin = from.get(at);
+            path.forEach(key => from.set(key, { x: origin.x, y: origin.y, scale: 0 }));
+        };
+        this.nodePositions.forEach((pos, id) => startOf(id));
+
+        const fadingNodes = fading.nodes.slice();
+        const fadingEdges = fading.edges.slice();
+        previousPositions.forEach(({ node }, id) => {
+            if (!this.nodePositions.has(id) && previous.has(id)) {
+                fadingNodes.push({ ...previous.get(id), node, opacity: 1 });
+            }
+        });
+        previousEdges.forEach(({ parent, child }) => {
+            const gone = !this.nodePositions.has(parent) || !this.nodePositions.has(child);
+            if (gone && previous.has(parent) && previous.has(child)) {
+                fadingEdges.push({ from: previous.get(parent), to: previous.get(child), opacity: 1 });
+            }
+        });
+
+        // One drawn position per node, moved in place on every frame
+        const moves = [];
+        this.nodePositions.forEach((to, id) => {
+            const at = { ...from.get(id) };
+            this.drawn.set(id, at);
+            moves.push([at, from.get(id), to]);
+        });
+
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / this.config.TWEEN_DURATION);
+            const progress = 1 - Math.pow(1 - t, 3); // ease-out cubic
+
+            moves.forEach(([at, a, to]) => {
+                at.x = a.x + (to.x - a.x) * progress;
+                at.y = a.y + (to.y - a.y) * progress;
+                at.scale = a.scale + (1 - a.scale) * progress;
+            });
+            const fade = (item) => ({ ...item, opacity: item.opacity * (1 - progress) });
+            this.fading = t < 1
+                ? { nodes: fadingNodes.map(fade), edges: fadingEdges.map(fade) }
+                : { nodes: [], edges: [] };
+
+            this.tweenId = t < 1 ? requestAnimationFrame(step) : null;
+            this._draw();
+        };
+
+        // The first frame is drawn right away, so new nodes never flash in
+        // at full size
+        step(start);
+    }
+
+    /**
+     * Edges of the laid-out tree, and which nodes each collapsed node hides
+     */
+    _collectEdges() {
+        this.edges = [];
+        this.hiddenUnder = new Map();
+        this.hiddenCounts = new Map();
+
+        if (this.btreeBoxes.length > 0) {
+            this.btreeBoxes.forEach(box => box.children.forEach((child, i) => {
+                this.edges.push({ parent: box.node.keys[0], child: child.node.keys[0], direction: i, width: child.width });
+            }));
+            return;
+        }
+
+        this.nodePositions.forEach(({ node }, id) => {
+            if (!this.collapsed.has(id)) {
+                if (node.left) this.edges.push({ parent: id, child: node.left.id, direction: 'left' });
+                if (node.right) this.edges.push({ parent: id, child: node.right.id, direction: 'right' });
+                return;
+            }
+            const stack = [node.left, node.right];
+            let count = 0;
+            while (stack.length > 0) {
+                const hidden = stack.pop();
+                if (!hidden) continue;
+                this.hiddenUnder.set(hidden.id, id);
+                count++;
+                stack.push(hidden.left, hidden.right);
+            }
+            if (count > 0) this.hiddenCounts.set(id, count);
+        });
+    }
+
+    /**
+     * Size of the drawing, padded like the SVG renderer's
+     */
+    _measure() {
+        let maxX = 0;
+        let maxY = 0;
+        this.nodePositions.forEach(({ x, y }) => {
+            if (x > maxX) maxX = x;
+            if (y > maxY) maxY = y;
+        });
+        const margin = this.config.PADDING + this.config.NODE_RADIUS;
+        this.width = this.nodePositions.size > 0 ? maxX + margin : 0;
+        this.height = this.nodePositions.size > 0 ? maxY + margin : 0;
+        this._clampView();
+    }
+
+    /**
+     * Balance factors are a walk of the whole tree, so they are only
+     * worked out while shown
+     */
+    _readBalance() {
+        this.balanceFactors = this.showBalance && this.nodePositions.size > 0
+            ? canvasStats(this.root).balanceFactors
+            : new Map();
+    }
+
+    /**
+     * Whether the user asked the system for reduced motion
+     */
+    _prefersReducedMotion() {
+        return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Read the page's colours for the states and edges
+     */
+    _readColors() {
+        const style = getComputedStyle(this.canvas);
+        const names = new Set([
+            '--node-default', '--node-rb-red', '--node-rb-black', '--node-lca',
+            '--path-a', '--path-b', '--path-shared', '--accent',
+            '--text-primary', '--text-secondary', '--bg-tertiary'
+        ]);
+        CANVAS_NODE_STATES.forEach(({ fill, stroke }) => [fill, stroke].forEach(name => names.add(name)));
+        Object.values(CANVAS_EDGE_STYLES).forEach(({ stroke }) => names.add(stroke));
+        names.forEach(name => {
+            if (name && name.startsWith('--')) this.colors.set(name, style.getPropertyValue(name).trim());
+        });
+    }
+
+    _color(value) {
+        return value.startsWith('--') ? this.colors.get(value) || '#888' : value;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // DRAWING
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Draw on the next animation frame; any number of changes before it
+     * cost one drawing
+     */
+    _requestDraw() {
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => {
+                this.frameId = null;
+                this._draw();
+            });
+        }
+    }
+
+    _draw() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        const { canvas, context } = this;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        if (this.nodePositions.size === 0) {
+            context.fillStyle = this._color('--text-secondary');
+            context.font = `16px ${CANVAS_FONT}`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText('Tree is empty', width / 2, height / 2);
+            return;
+        }
+
+        context.translate(this.view.x, this.view.y);
+        context.scale(this.view.scale, this.view.scale);
+
+        // Anything further than a node's reach outside the view is skipped
+        const reach = this.config.KEY_WIDTH + this.config.NODE_RADIUS;
+        const view = this.visibleRect();
+        const seen = {
+            left: view.x - reach,
+            top: view.y - reach,
+            right: view.x + view.width + reach,
+            bottom: view.y + view.height + reach
+        };
+        const inView = (x, y) => x >= seen.left && x <= seen.right && y >= seen.top && y <= seen.bottom;
+
+        const detail = this.config.NODE_RADIUS * this.view.scale;
+        this._drawEdges(seen);
+        const shown = this.btreeBoxes.length > 0 ? this._drawBTree(inView) : this._drawNodes(inView, detail);
+        this._drawFading(inView);
+        if (detail >= DETAIL.LABEL) this._drawLabels(shown);
+    }
+
+    /**
+     * Edges batched into one path per style; an edge is skipped when the
+     * box around its nodes misses the view
+     */
+    _drawEdges(seen) {
+        const { context } = this;
+        const half = this.config.KEY_HEIGHT / 2;
+        const btree = this.btreeBoxes.length > 0;
+        const batches = new Map();  // style name (+ ':dim') -> [x1, y1, x2, y2, ...]
+
+        this.edges.forEach(({ parent, child, direction, width }) => {
+            const from = this.drawn.get(parent);
+            const to = this.drawn.get(child);
+            if (Math.max(from.x, to.x) < seen.left || Math.min(from.x, to.x) > seen.right ||
+                Math.max(from.y, to.y) < seen.top || Math.min(from.y, to.y) > seen.bottom) {
+                return;
+            }
+
+            let ends;
+            if (btree) {
+                // From the gap between two keys to the middle of the child's top
+                const left = this.config.KEY_WIDTH / 2;
+                ends = [from.x - left + direction * this.config.KEY_WIDTH, from.y + half,
+                    to.x - left + width / 2, to.y - half];
+            } else {
+                const angle = Math.atan2(to.y - from.y, to.x - from.x);
+                const dx = this.config.NODE_RADIUS * Math.cos(angle);
+                const dy = this.config.NODE_RADIUS * Math.sin(angle);
+                ends = [from.x + dx, from.y + dy, to.x - dx, to.y - dy];
+            }
+
+            const name = this._edgeStyle(parent, child, direction) +
+                (this.dimmed.has(String(child)) ? ':dim' : '');
+            if (!batches.has(name)) batches.set(name, []);
+            batches.get(name).push(...ends);
+        });
+
+        batches.forEach((ends, name) => {
+            const style = CANVAS_EDGE_STYLES[name.replace(':dim', '')];
+            context.globalAlpha = name.endsWith(':dim') ? 0.2 : 1;
+            context.strokeStyle = this._color(style.stroke);
+            context.lineWidth = style.width;
+            context.beginPath();
+            for (let i = 0; i < ends.length; i += 4) {
+                context.moveTo(ends[i], ends[i + 1]);
+                context.lineTo(ends[i + 2], ends[i + 3]);
+            }
+            context.stroke();
+        });
+        context.globalAlpha = 1;
+    }
+
+    _edgeStyle(parent, child, direction) {
+        if (this.paths) {
+            const key = `${parent}>${child}`;
+            const a = this.paths.a.edges.has(key);
+            const b = this.paths.b.edges.has(key);
+            if (a && b) return 'shared';
+            if (a) return 'pathA';
+            if (b) return 'pathB';
+        }
+        if (this.activeEdges.has(`${parent}>${direction}`) || this.activeEdges.has(`${parent}>*`)) {
+            return 'active';
+        }
+        return 'edge';
+    }
+
+    /**
+     * Fill, stroke and stroke width of a node, layered like the stylesheet:
+     * red-black colour, heatmap, highlight states, then LCA paths
+     */
+    _nodeStyle(id, node, key) {
+        let fill = '--node-default';
+        let stroke = '#1e40af';
+        let width = 3;
+        if (node.color === 'red') {
+            fill = '--node-rb-red';
+            stroke = '#7f1d1d';
+        } else if (node.color === 'black') {
+            fill = '--node-rb-black';
+            stroke = '#475569';
+        }
+        if (this.heatmap) {
+            const max = this.heatmapMax;
+            fill = `hsl(${Math.round(220 * (1 - (this.heatmap.get(key) || 0) / max))}, 80%, 50%)`;
+            stroke = '#0f172a';
+        }
+        const states = this.states.get(id);
+        if (states) {
+            CANVAS_NODE_STATES.forEach(style => {
+                if (!states.has(style.state)) return;
+                if (style.fill) fill = style.fill;
+                stroke = style.stroke;
+                width = style.width;
+            });
+        }
+        if (this.paths) {
+            const a = this.paths.a.nodes.has(String(id));
+            const b = this.paths.b.nodes.has(String(id));
+            if (a || b) {
+                stroke = a && b ? '--path-shared' : a ? '--path-a' : '--path-b';
+                width = 4;
+            }
+        }
+        if (this.lca !== null && String(this.lca) === String(id)) {
+            fill = '--node-lca';
+            stroke = '--path-shared';
+            width = 5;
+        }
+        return { fill: this._color(fill), stroke: this._color(stroke), width };
+    }
+
+    /**
+     * Circles batched into one path per style. Below DETAIL.OUTLINE pixels
+     * a node is a filled square, which reads the same at that size.
+     * @returns {Array} [id, drawn position, node] of the nodes drawn
+     */
+    _drawNodes(inView, detail) {
+        const { context } = this;
+        const radius = this.config.NODE_RADIUS;
+        const batches = new Map();  // style key -> { style, dim, nodes: [] }
+        const shown = [];
+        this.heatmapMax = this.heatmap ? Math.max(1, ...this.heatmap.values()) : 1;
+
+        this.nodePositions.forEach(({ node }, id) => {
+            const at = this.drawn.get(id);
+            if (!inView(at.x, at.y)) return;
+            const style = this._nodeStyle(id, node, node.value);
+            const dim = this.dimmed.has(String(id));
+            const key = `${style.fill}|${style.stroke}|${style.width}|${dim}`;
+            if (!batches.has(key)) batches.set(key, { style, dim, nodes: [] });
+            batches.get(key).nodes.push(at);
+            shown.push([id, at, node]);
+        });
+
+        batches.forEach(({ style, dim, nodes }) => {
+            context.globalAlpha = dim ? 0.2 : 1;
+            context.fillStyle = style.fill;
+            if (detail < DETAIL.OUTLINE) {
+                nodes.forEach(({ x, y, scale }) => {
+                    context.fillRect(x - radius * scale, y - radius * scale, 2 * radius * scale, 2 * radius * scale);
+                });
+                return;
+            }
+            context.beginPath();
+            nodes.forEach(({ x, y, scale }) => {
+                context.moveTo(x + radius * scale, y);
+                context.arc(x, y, radius * scale, 0, 2 * Math.PI);
+            });
+            context.fill();
+            context.strokeStyle = style.stroke;
+            context.lineWidth = style.width;
+            context.stroke();
+        });
+        context.globalAlpha = 1;
+
+        // Collapsed subtrees: a dashed ring around their root
+        const collapsed = shown.filter(([id]) => this.hiddenCounts.has(id));
+        if (collapsed.length > 0 && detail >= DETAIL.OUTLINE) {
+            context.beginPath();
+            collapsed.forEach(([, { x, y, scale }]) => {
+                context.moveTo(x + (radius + 5) * scale, y);
+                context.arc(x, y, (radius + 5) * scale, 0, 2 * Math.PI);
+            });
+            context.setLineDash([4, 3]);
+            context.strokeStyle = this._color('--text-secondary');
+            context.lineWidth = 2;
+            context.stroke();
+            context.setLineDash([]);
+        }
+        return shown;
+    }
+
+    /**
+     * B-tree key cells (highlighted per key) inside a rounded frame per node
+     */
+    _drawBTree(inView) {
+        const { context } = this;
+        const { KEY_WIDTH, KEY_HEIGHT } = this.config;
+        const shown = [];
+        this.heatmapMax = this.heatmap ? Math.max(1, ...this.heatmap.values()) : 1;
+
+        this.btreeBoxes.forEach(box => {
+            const first = this.drawn.get(box.node.keys[0]);
+            if (!inView(first.x, first.y) && !inView(first.x + box.width, first.y)) return;
+            box.node.keys.forEach(key => {
+                const at = this.drawn.get(key);
+                const style = this._nodeStyle(key, box.node, key);
+                context.globalAlpha = this.dimmed.has(String(key)) ? 0.2 : 1;
+                context.fillStyle = style.fill;
+                context.strokeStyle = style.stroke;
+                context.lineWidth = 1;
+                context.fillRect(at.x - KEY_WIDTH / 2, at.y - KEY_HEIGHT / 2, KEY_WIDTH, KEY_HEIGHT);
+                context.strokeRect(at.x - KEY_WIDTH / 2, at.y - KEY_HEIGHT / 2, KEY_WIDTH, KEY_HEIGHT);
+                shown.push([key, at, box.node]);
+            });
+            context.globalAlpha = 1;
+            context.strokeStyle = '#1e40af';
+            context.lineWidth = 3;
+            context.beginPath();
+            context.roundRect(first.x - KEY_WIDTH / 2, first.y - KEY_HEIGHT / 2, box.width, KEY_HEIGHT, 6);
+            context.stroke();
+        });
+        return shown;
+    }
+
+    /**
+     * Keys, and the badges the overlays ask for, on the nodes drawn
+     */
+    _drawLabels(shown) {
+        const { context } = this;
+        const offset = this.config.NODE_RADIUS * 0.8;
+        const btree = this.btreeBoxes.length > 0;
+        const text = (value, x, y, font, color, align, baseline) => {
+            context.font = `${font} ${CANVAS_FONT}`;
+            context.fillStyle = color;
+            context.textAlign = align;
+            context.textBaseline = baseline;
+            context.fillText(String(value), x, y);
+        };
+
+        shown.forEach(([id, { x, y, scale }, node]) => {
+            if (scale < 0.5) return;
+            context.globalAlpha = this.dimmed.has(String(id)) ? 0.2 : 1;
+            text(btree ? id : node.value, x, y, '600 14px', 'white', 'center', 'middle');
+            if (btree) return;
+
+            if (node.priority !== undefined) {
+                text(`p=${node.priority}`, x, y + this.config.NODE_RADIUS + 4, '11px',
+                    this._color('--text-secondary'), 'center', 'top');
+            }
+            if (node.count > 1) {
+                text(`×${node.count}`, x + offset, y + offset, '600 11px', this._color('--accent'), 'start', 'top');
+            }
+            if (this.showSizes && node.size !== undefined) {
+                context.beginPath();
+                context.arc(x + offset, y - offset, 10, 0, 2 * Math.PI);
+                context.fillStyle = this._color('--bg-tertiary');
+                context.fill();
+                context.strokeStyle = this._color('--text-secondary');
+                context.lineWidth = 1;
+                context.stroke();
+                text(node.size, x + offset, y - offset, '600 10px', this._color('--text-primary'), 'center', 'middle');
+            }
+            if (this.showBalance && this.balanceFactors.has(id)) {
+                const balance = this.balanceFactors.get(id);
+                text(balance > 0 ? `+${balance}` : balance, x - offset, y - offset, '600 11px',
+                    this._color(Math.abs(balance) > 1 ? '--node-removing' : '--text-secondary'), 'end', 'middle');
+            }
+            if (this.hiddenCounts.has(id)) {
+                text(`+${this.hiddenCounts.get(id)}`, x + this.config.NODE_RADIUS + 9, y, '600 12px',
+                    this._color('--text-secondary'), 'start', 'middle');
+            }
+        });
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Nodes and edges that are gone, fading out on top where they were
+     */
+    _drawFading(inView) {
+        const { context } = this;
+        const radius = this.config.NODE_RADIUS;
+        context.strokeStyle = this._color('--edge-default');
+        context.lineWidth = 2;
+        this.fading.edges.forEach(({ from, to, opacity }) => {
+            context.globalAlpha = opacity;
+            context.beginPath();
+            context.moveTo(from.x, from.y);
+            context.lineTo(to.x, to.y);
+            context.stroke();
+        });
+        this.fading.nodes.forEach(({ x, y, scale, opacity }) => {
+            if (!inView(x, y)) return;
+            context.globalAlpha = opacity;
+            context.fillStyle = this._color('--node-default');
+            context.beginPath();
+            context.arc(x, y, radius * scale, 0, 2 * Math.PI);
+            context.fill();
+        });
+        context.globalAlpha = 1;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // ZOOM AND PAN
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Zoom to a scale, keeping the tree point under a screen point in place
+     * @param {number} scale - Clamped to ZOOM_LIMITS
+     * @param {number} [clientX] - Screen point to zoom around (default: the
+     * @param {number} [clientY]   middle of the canvas)
+     */
+    zoomTo(scale, clientX, clientY) {
+        const box = this.canvas.getBoundingClientRect();
+        const x = (clientX === undefined ? box.left + box.width / 2 : clientX) - box.left;
+        const y = (clientY === undefined ? box.top + box.height / 2 : clientY) - box.top;
+        const point = { x: (x - this.view.x) / this.view.scale, y: (y - this.view.y) / this.view.scale };
+
+        this.view.scale = Math.min(canvasZoomLimits.MAX, Math.max(canvasZoomLimits.MIN, scale));
+        this.view.x = x - point.x * this.view.scale;
+        this.view.y = y - point.y * this.view.scale;
+        this._clampView();
+        this._requestDraw();
+        if (this.onChange) this.onChange(this.view.scale);
+    }
+
+    /**
+     * Zoom in (factor > 1) or out around a screen point
+     */
+    zoomBy(factor, clientX, clientY) {
+        this.zoomTo(this.view.scale * factor, clientX, clientY);
+    }
+
+    /**
+     * Zoom so the whole tree shows, never beyond actual size, and centre it
+     */
+    fit() {
+        if (this.width === 0 || this.height === 0) return;
+        this.zoomTo(Math.min(1, this.canvas.clientWidth / this.width, this.canvas.clientHeight / this.height));
+        this.centerOn(this.width / 2, this.height / 2, false);
+    }
+
+    /**
+     * Move a tree point to the middle of the canvas
+     * @param {number} x - In drawing units
+     * @param {number} y
+     * @param {boolean} [smooth=true] - Glide there, unless the user prefers
+     *                                  reduced motion
+     */
+    centerOn(x, y, smooth = true) {
+        const target = this._clamped(
+            this.canvas.clientWidth / 2 - x * this.view.scale,
+            this.canvas.clientHeight / 2 - y * this.view.scale
+        );
+        if (this.glideId !== null) {
+            cancelAnimationFrame(this.glideId);
+            this.glideId = null;
+        }
+        if (!smooth || this._prefersReducedMotion()) {
+            Object.assign(this.view, target);
+            this._requestDraw();
+            return;
+        }
+
+        const from = { x: this.view.x, y: this.view.y };
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / 300);
+            const progress = 1 - Math.pow(1 - t, 3);
+            this.view.x = from.x + (target.x - from.x) * progress;
+            this.view.y = from.y + (target.y - from.y) * progress;
+            this.glideId = t < 1 ? requestAnimationFrame(step) : null;
+            this._draw();
+        };
+        this.glideId = requestAnimationFrame(step);
+    }
+
+    /**
+     * Part of the tree in view, in drawing units
+     * @returns {object} { x, y, width, height }
+     */
+    visibleRect() {
+        return {
+            x: -this.view.x / this.view.scale,
+            y: -this.view.y / this.view.scale,
+            width: this.canvas.clientWidth / this.view.scale,
+            height: this.canvas.clientHeight / this.view.scale
+        };
+    }
+
+    /**
+     * View offsets kept like a scrolled SVG's: a tree smaller than the
+     * canvas is centred, a larger one cannot be panned past its edges
+     */
+    _clamped(x, y) {
+        const clamp = (offset, size, room) => (size <= room
+            ? (room - size) / 2
+            : Math.min(0, Math.max(room - size, offset)));
+        return {
+            x: clamp(x, this.width * this.view.scale, this.canvas.clientWidth),
+            y: clamp(y, this.height * this.view.scale, this.canvas.clientHeight)
+        };
+    }
+
+    _clampView() {
+        Object.assign(this.view, this._clamped(this.view.x, this.view.y));
+    }
+
+    _onResize() {
+        this._clampView();
+        this._requestDraw();
+    }
+
+    _onWheel(event) {
+        event.preventDefault();
+        // Lines (Firefox) scroll much further per event than pixels
+        const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        this.zoomBy(Math.exp(-delta * 0.0015), event.clientX, event.clientY);
+    }
+
+    _onPointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.pointers.size === 1) this.press = { x: event.clientX, y: event.clientY, moved: false };
+        if (this.canvas.setPointerCapture) this.canvas.setPointerCapture(event.pointerId);
+        this.canvas.classList.add('panning');
+    }
+
+    /**
+     * One pointer pans; two pinch-zoom around their midpoint and pan with it
+     */
+    _onPointerMove(event) {
+        const last = this.pointers.get(event.pointerId);
+        if (!last) return;
+        const others = Array.from(this.pointers.entries()).filter(([id]) => id !== event.pointerId);
+        const now = { x: event.clientX, y: event.clientY };
+        this.pointers.set(event.pointerId, now);
+        // A press that moves a few pixels is a drag, not a click
+        if (this.press && (others.length > 0 || Math.hypot(now.x - this.press.x, now.y - this.press.y) > 4)) {
+            this.press.moved = true;
+        }
+
+        if (others.length > 0) {
+            const other = others[0][1];
+            const before = Math.hypot(last.x - other.x, last.y - other.y);
+            const after = Math.hypot(now.x - other.x, now.y - other.y);
+            if (before > 0) {
+                this.zoomBy(after / before, (now.x + other.x) / 2, (now.y + other.y) / 2);
+            }
+        }
+        const share = others.length > 0 ? 2 : 1;
+        this.view.x += (now.x - last.x) / share;
+        this.view.y += (now.y - last.y) / share;
+        this._clampView();
+        this._requestDraw();
+    }
+
+    /**
+     * A press that did not move is a click: it collapses or expands the
+     * subtree of the node under it
+     */
+    _onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size > 0) return;
+        this.canvas.classList.remove('panning');
+        const press = this.press;
+        this.press = null;
+        if (!press || press.moved || event.type !== 'pointerup' || this.btreeBoxes.length > 0) return;
+
+        const id = this._nodeAt(event.clientX, event.clientY);
+        if (id === null) return;
+        const { node } = this.nodePositions.get(id);
+        if (node.left || node.right) this.toggleCollapse(id);
+    }
+
+    /**
+     * Id of the node drawn under a screen point, or null
+     */
+    _nodeAt(clientX, clientY) {
+        const box = this.canvas.getBoundingClientRect();
+        const x = (clientX - box.left - this.view.x) / this.view.scale;
+        const y = (clientY - box.top - this.view.y) / this.view.scale;
+        let found = null;
+        this.drawn.forEach((at, id) => {
+            if (Math.hypot(at.x - x, at.y - y) <= this.config.NODE_RADIUS) found = id;
+        });
+        return found;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // OVERLAYS AND HIGHLIGHTING (as in BSTRenderer)
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Color nodes by access frequency (pass null to turn the overlay off)
+     * @param {Map|null} counts - value -> access count
+     */
+    setHeatmap(counts) {
+        this.heatmap = counts;
+        this._requestDraw();
+    }
+
+    /**
+     * Show or hide the subtree-size badges
+     * @param {boolean} show
+     */
+    setShowSizes(show) {
+        this.showSizes = show;
+        this._requestDraw();
+    }
+
+    /**
+     * Show or hide the per-node balance factors
+     * @param {boolean} show
+     */
+    setShowBalance(show) {
+        this.showBalance = show;
+        this._readBalance();
+        this._requestDraw();
+    }
+
+    /**
+     * Clear all highlights
+     */
+    clearHighlights() {
+        this.states.clear();
+        this.activeEdges.clear();
+        this._requestDraw();
+    }
+
+    /**
+     * Highlight a node with given state; a node hidden in a collapsed
+     * subtree highlights the collapsed node instead
+     * @param {number} key - Node id (a key for B-trees)
+     * @param {string} state - As for BSTRenderer.highlightNode
+     */
+    highlightNode(key, state) {
+        const id = this.hiddenUnder.has(key) ? this.hiddenUnder.get(key) : key;
+        if (!this.nodePositions.has(id)) return;
+        if (!this.states.has(id)) this.states.set(id, new Set());
+        this.states.get(id).add(state);
+        this._requestDraw();
+    }
+
+    /**
+     * Highlight edge going to a child (nothing while it is collapsed away)
+     * @param {number} parentKey - Parent node id (first key of a B-tree node)
+     * @param {string|number} direction - 'left' or 'right', or a B-tree child index
+     */
+    highlightEdge(parentKey, direction) {
+        this.activeEdges.add(`${parentKey}>${direction !== undefined ? direction : '*'}`);
+        this._requestDraw();
+    }
+
+    /**
+     * Dim nodes and the edges leading into them (pass null to undim all)
+     * @param {Array|null} ids - e.g. nodes of subtrees pruned by a range search
+     */
+    setDimmed(ids) {
+        this.dimmed = new Set((ids || []).map(String));
+        this._requestDraw();
+    }
+
+    /**
+     * Outline the search paths to a and b and mark their lowest common
+     * ancestor; pass null to clear
+     * @param {object|null} paths - { a: [node ids], b: [node ids] }, root first
+     * @param {number} [lca] - LCA node id, once known
+     */
+    setPaths(paths, lca) {
+        const onPath = (key) => {
+            const ids = paths[key].map(String);
+            return { nodes: new Set(ids), edges: new Set(ids.slice(1).map((child, i) => `${ids[i]}>${child}`)) };
+        };
+        this.paths = paths ? { a: onPath('a'), b: onPath('b') } : null;
+        this.lca = lca !== undefined ? lca : null;
+        this._requestDraw();
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CanvasRenderer };
+} else if (typeof window !== 'undefined') {
+    window.CanvasRenderer = CanvasRenderer;
+}
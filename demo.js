@@ -23,7 +23,7 @@ console.log(`Inserting: [${values.join(', ')}]\n`);
 
 values.forEach(val => {
     console.log(`\n📥 INSERT ${val}:`);
-    const steps = bst.insert(val);
+    const { steps } = bst.insert(val);
     printSteps(steps);
 });
 
@@ -35,13 +35,13 @@ console.log('│                    SEARCH                             │');
 console.log('└───────────────────────────────────────────────────────┘\n');
 
 console.log('🔍 SEARCH 40 (exists):');
-printSteps(bst.search(40));
+printSearch(bst.search(40));
 
 console.log('\n🔍 SEARCH 45 (not exists):');
-printSteps(bst.search(45));
+printSearch(bst.search(45));
 
 console.log('\n🔍 SEARCH 80 (exists):');
-printSteps(bst.search(80));
+printSearch(bst.search(80));
 
 // ─────────────────────────────────────────────────────────────
 // INORDER TRAVERSAL DEMO
@@ -59,14 +59,26 @@ console.log('     / \\   / \\');
 console.log('    20 40 60 80\n');
 
 console.log('📋 INORDER STEPS:');
-const inorderSteps = bst.inorderTraversal();
-printSteps(inorderSteps);
+const inorder = bst.inorderTraversal();
+printSteps(inorder.steps);
+console.log(`\n✅ Visited Order: [${inorder.order.join(', ')}]`);
+console.log(`📏 Height: ${bst.getHeight()}`);
 
-// Extract visited order
-const visitedOrder = inorderSteps
-    .filter(s => s.action === Action.VISITED)
-    .map(s => s.node);
-console.log(`\n✅ Visited Order: [${visitedOrder.join(', ')}]`);
+// ─────────────────────────────────────────────────────────────
+// DELETE DEMO
+// ─────────────────────────────────────────────────────────────
+console.log('\n\n┌───────────────────────────────────────────────────────┐');
+console.log('│                    DELETE                             │');
+console.log('└───────────────────────────────────────────────────────┘\n');
+
+console.log('🗑️ DELETE 20 (leaf):');
+printSteps(bst.delete(20));
+
+console.log('\n🗑️ DELETE 30 (one child):');
+printSteps(bst.delete(30));
+
+console.log('\n🗑️ DELETE 50 (two children, successor):');
+printSteps(bst.delete(50));
 
 console.log('\n═══════════════════════════════════════════════════════');
 console.log('                    DEMO COMPLETE');
@@ -82,6 +94,11 @@ function printSteps(steps) {
     });
 }
 
+function printSearch(result) {
+    printSteps(result.steps);
+    console.log(`  → found: ${result.found}, comparisons: ${result.comparisons}, path: [${result.path.join(' → ')}]`);
+}
+
 function getIcon(action) {
     const icons = {
         [Action.VISITED]: '👁️',
@@ -90,7 +107,10 @@ function getIcon(action) {
         [Action.MOVED_RIGHT]: '➡️',
         [Action.INSERTED]: '✅',
         [Action.FOUND]: '🎯',
-        [Action.NOT_FOUND]: '❌'
+        [Action.NOT_FOUND]: '❌',
+        [Action.REMOVING]: '🗑️',
+        [Action.SUCCESSOR]: '🔗',
+        [Action.REPLACED]: '🔄'
     };
     return icons[action] || '•';
 }
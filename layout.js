@@ -0,0 +1,420 @@
+/**
+ * Tree Layouts
+ * Where each node of a tree goes, shared by the SVG renderer and the React
+ * visualizer. A layout places every node of one binary tree on a grid of
+ * columns (breadth, one column = one node's room) and depths, then projects
+ * the grid onto the drawing: top-down, left-to-right or around the root.
+ * Trees of a forest are laid out one after another with a gap between them;
+ * B-trees always use their own row-of-cells layout. Collapsed nodes are laid
+ * out as leaves, and a layout cache lets the tidy layouts re-measure only
+ * the subtrees whose shape changed since the last call.
+ */
+
+const TreeLayout = {
+    CLASSIC: 'classic',
+    TIDY: 'tidy',
+    COMPACT: 'compact',
+    HORIZONTAL: 'horizontal',
+    RADIAL: 'radial'
+};
+
+/**
+ * Children to lay out: none for a collapsed node
+ * @returns {Array} [left, right], either may be null
+ */
+function childrenOf(node, collapsed) {
+    return collapsed && collapsed.has(node.id) ? [null, null] : [node.left, node.right];
+}
+
+/**
+ * Smallest and largest of many numbers (spreading 10k+ arguments into
+ * Math.min can overflow the stack)
+ */
+function extent(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    values.forEach(value => {
+        if (value < min) min = value;
+        if (value > max) max = value;
+    });
+    return { min, max };
+}
+
+/**
+ * Nodes to lay out with their depths, children before their parents (left
+ * subtree, right subtree, node). The layouts walk trees with explicit
+ * stacks rather than recursion: a tree of sorted keys is one long path,
+ * deeper than the call stack.
+ * @returns {Array} { node, depth } entries
+ */
+function postorder(root, collapsed) {
+    const order = [];
+    const stack = [{ node: root, depth: 0 }];
+    while (stack.length > 0) {
+        const entry = stack.pop();
+        order.push(entry);
+        childrenOf(entry.node, collapsed).forEach(child => {
+            if (child) stack.push({ node: child, depth: entry.depth + 1 });
+        });
+    }
+    return order.reverse();
+}
+
+/**
+ * One column per node in sorted order: simple to read, wide for big trees
+ */
+function placeInOrder(root, { collapsed = null } = {}) {
+    const grid = new Map();
+    const stack = [];
+    let column = 0;
+    let node = root;
+    let depth = 0;
+    while (node || stack.length > 0) {
+        // Down the left spine, then the leftmost node waiting
+        while (node) {
+            stack.push({ node, depth });
+            node = childrenOf(node, collapsed)[0];
+            depth++;
+        }
+        const next = stack.pop();
+        grid.set(next.node.id, { node: next.node, column: column++, depth: next.depth });
+        node = childrenOf(next.node, collapsed)[1];
+        depth = next.depth + 1;
+    }
+    return grid;
+}
+
+/**
+ * A tidy subtree's contour: the column of its leftmost (or rightmost) node
+ * at each depth, relative to its root. The first depths are in `head`, the
+ * rest are those of another contour from depth `from` on, moved `shift`
+ * columns. Subtrees share their children's contours instead of copying
+ * them, which on a long path would copy every depth below every node.
+ */
+function contour(head, tail = null, from = 0, shift = 0) {
+    return { head, tail, from, shift, length: head.length + (tail ? tail.length - from : 0) };
+}
+
+/**
+ * `count` columns of a contour from depth `from`, each moved `shift`
+ */
+function readContour(outline, from, count, shift = 0) {
+    const columns = [];
+    while (columns.length < count) {
+        if (from < outline.head.length) {
+            columns.push(outline.head[from++] + shift);
+        } else {
+            from += outline.from - outline.head.length;
+            shift += outline.shift;
+            outline = outline.tail;
+        }
+    }
+    return columns;
+}
+
+/**
+ * Reingold–Tilford: each parent is centred over its children and sibling
+ * subtrees are pushed together until their facing contours are one column
+ * apart at every depth. Mirror-image subtrees are drawn as mirror images,
+ * and a lone child sits half a column to its side.
+ * With `previous` and `next` (node id -> measured subtree), a subtree with
+ * the same children as last time reuses its contour instead of merging
+ * its children's again.
+ */
+function placeTidy(root, { collapsed = null, previous = null, next = null } = {}) {
+    const measured = new Map();  // node id -> measurements below
+    const changed = new Set();   // node ids measured afresh
+
+    // Measures a subtree whose children are measured: its contour (leftmost
+    // and rightmost column at each depth, relative to the subtree's root)
+    // and where its children sit relative to it
+    const measure = (node) => {
+        const [leftNode, rightNode] = childrenOf(node, collapsed);
+        const left = leftNode ? measured.get(leftNode.id) : null;
+        const right = rightNode ? measured.get(rightNode.id) : null;
+        const leftId = leftNode ? leftNode.id : null;
+        const rightId = rightNode ? rightNode.id : null;
+
+        const last = previous && previous.get(node.id);
+        if (last && last.leftId === leftId && last.rightId === rightId &&
+            !changed.has(leftId) && !changed.has(rightId)) {
+            measured.set(node.id, last);
+            if (next) next.set(node.id, last);
+            return;
+        }
+
+        let half = 0.5;
+        let lo;
+        let hi;
+        if (left && right) {
+            const overlap = Math.min(left.hi.length, right.lo.length);
+            const leftHi = readContour(left.hi, 0, overlap);
+            const rightLo = readContour(right.lo, 0, overlap);
+            let gap = 1;
+            for (let i = 0; i < overlap; i++) {
+                gap = Math.max(gap, leftHi[i] - rightLo[i] + 1);
+            }
+            half = gap / 2;
+
+            // Down to the shallower subtree's depth the left one is leftmost
+            // and the right one rightmost; below it, the deeper one is both
+            lo = left.lo.length >= right.lo.length
+                ? contour([0], left.lo, 0, -half)
+                : contour([0].concat(readContour(left.lo, 0, overlap, -half)), right.lo, overlap, half);
+            hi = right.hi.length >= left.hi.length
+                ? contour([0], right.hi, 0, half)
+                : contour([0].concat(readContour(right.hi, 0, overlap, half)), left.hi, overlap, -half);
+        } else if (left || right) {
+            const child = left || right;
+            lo = contour([0], child.lo, 0, left ? -half : half);
+            hi = contour([0], child.hi, 0, left ? -half : half);
+        } else {
+            lo = contour([0]);
+            hi = lo;
+        }
+        const result = { leftId, rightId, lo, hi, leftOffset: -half, rightOffset: half };
+        changed.add(node.id);
+        measured.set(node.id, result);
+        if (next) next.set(node.id, result);
+    };
+    postorder(root, collapsed).forEach(({ node }) => measure(node));
+
+    // Parents first, each child offset from where its parent went
+    const grid = new Map();
+    const stack = [{ node: root, column: 0, depth: 0 }];
+    while (stack.length > 0) {
+        const { node, column, depth } = stack.pop();
+        grid.set(node.id, { node, column, depth });
+        const { leftOffset, rightOffset } = measured.get(node.id);
+        const [left, right] = childrenOf(node, collapsed);
+        if (left) stack.push({ node: left, column: column + leftOffset, depth: depth + 1 });
+        if (right) stack.push({ node: right, column: column + rightOffset, depth: depth + 1 });
+    }
+    return grid;
+}
+
+/**
+ * Wetherell–Shannon: nodes are packed into the leftmost free column of
+ * their depth, and a parent moves its subtree right when centring it over
+ * its children needs room. Narrower than tidy, but not symmetric.
+ */
+function placeCompact(root, { collapsed = null } = {}) {
+    const next = [];       // depth -> first free column
+    const shift = [];      // depth -> how far this depth has been pushed right
+    const placed = new Map();  // node -> { column, shift }
+
+    // Packs a node whose subtrees are packed
+    const pack = (node, depth) => {
+        const [left, right] = childrenOf(node, collapsed);
+        next[depth] = next[depth] || 0;
+        shift[depth] = shift[depth] || 0;
+        let column;
+        if (left && right) {
+            column = (placed.get(left).column + placed.get(right).column) / 2;
+        } else if (left) {
+            column = placed.get(left).column + 0.5;
+        } else if (right) {
+            column = placed.get(right).column - 0.5;
+        } else {
+            column = next[depth];
+        }
+
+        shift[depth] = Math.max(shift[depth], next[depth] - column);
+        const moved = left || right ? shift[depth] : 0;
+        placed.set(node, { column: column + moved, shift: moved });
+        next[depth] = column + moved + 1;
+    };
+    postorder(root, collapsed).forEach(({ node, depth }) => pack(node, depth));
+
+    // Parents first, each subtree carrying the shifts of its ancestors
+    const grid = new Map();
+    const stack = [{ node: root, depth: 0, carried: 0 }];
+    while (stack.length > 0) {
+        const { node, depth, carried } = stack.pop();
+        const { column, shift: moved } = placed.get(node);
+        grid.set(node.id, { node, column: column + carried, depth });
+        childrenOf(node, collapsed).forEach(child => {
+            if (child) stack.push({ node: child, depth: depth + 1, carried: carried + moved });
+        });
+    }
+    return grid;
+}
+
+/**
+ * Columns across, depths down
+ */
+function projectVertical(grid, config) {
+    const positions = new Map();
+    grid.forEach(({ node, column, depth }, id) => {
+        positions.set(id, { x: column * config.HORIZONTAL_SPACING, y: depth * config.VERTICAL_SPACING, node });
+    });
+    return positions;
+}
+
+/**
+ * Depths across, columns down: the root on the left, left children above
+ * right ones
+ */
+function projectHorizontal(grid, config) {
+    const positions = new Map();
+    grid.forEach(({ node, column, depth }, id) => {
+        positions.set(id, { x: depth * config.VERTICAL_SPACING, y: column * config.HORIZONTAL_SPACING, node });
+    });
+    return positions;
+}
+
+/**
+ * The root in the centre and each depth on a ring around it; columns go
+ * round from the bottom, clockwise, so the left subtree is on the left.
+ * A ring is pushed out when two of its nodes would sit closer than a
+ * column's width.
+ */
+function projectRadial(grid, config) {
+    const cells = Array.from(grid.values());
+    const { min: first, max: last } = extent(cells.map(cell => cell.column));
+    const turn = 2 * Math.PI / (last - first + 1);
+    const angleOf = (column) => Math.PI / 2 + (column - first + 0.5) * turn;
+
+    // Smallest angle between neighbours on each ring
+    const closest = [];
+    const byDepth = [];
+    cells.forEach(({ column, depth }) => (byDepth[depth] = byDepth[depth] || []).push(column));
+    byDepth.forEach((columns, depth) => {
+        columns.sort((a, b) => a - b);
+        closest[depth] = Infinity;
+        for (let i = 1; i < columns.length; i++) {
+            closest[depth] = Math.min(closest[depth], (columns[i] - columns[i - 1]) * turn);
+        }
+    });
+
+    const radii = [0];
+    for (let depth = 1; depth < byDepth.length; depth++) {
+        radii[depth] = Math.max(
+            radii[depth - 1] + config.VERTICAL_SPACING,
+            config.HORIZONTAL_SPACING / (2 * Math.sin(Math.min(closest[depth], Math.PI) / 2))
+        );
+    }
+
+    const positions = new Map();
+    grid.forEach(({ node, column, depth }, id) => {
+        const angle = angleOf(column);
+        positions.set(id, {
+            x: radii[depth] * Math.cos(angle),
+            y: radii[depth] * Math.sin(angle),
+            node
+        });
+    });
+    return positions;
+}
+
+/**
+ * Available layouts: `place(root, options)` puts one tree on the
+ * column/depth grid, `project` turns the grid into drawing coordinates
+ * (any origin). Options: `collapsed` (Set of node ids laid out as leaves),
+ * and `previous` / `next` measurements for layouts that reuse them.
+ */
+const Layouts = {
+    [TreeLayout.CLASSIC]: { label: 'Classic', place: placeInOrder, project: projectVertical },
+    [TreeLayout.TIDY]: { label: 'Tidy', place: placeTidy, project: projectVertical },
+    [TreeLayout.COMPACT]: { label: 'Compact', place: placeCompact, project: projectVertical },
+    [TreeLayout.HORIZONTAL]: { label: 'Horizontal', place: placeTidy, project: projectHorizontal },
+    [TreeLayout.RADIAL]: { label: 'Radial', place: placeTidy, project: projectRadial }
+};
+
+/**
+ * Lay out a tree, a forest or a B-tree
+ * @param {object|Array|null} root - Root of the tree, or an array of roots
+ * @param {string} layout - TreeLayout (ignored for B-trees)
+ * @param {object} config - Renderer sizes: HORIZONTAL_SPACING,
+ *     VERTICAL_SPACING, PADDING, NODE_RADIUS, KEY_WIDTH, NODE_GAP
+ * @param {object} [options]
+ * @param {Set} [options.collapsed] - Node ids whose subtrees are hidden
+ * @param {object} [options.cache] - The same object on every call, e.g.
+ *     {}, to re-measure only what changed since the previous call
+ * @returns {object} { positions, boxes }: node id (B-tree: key) ->
+ *     { x, y, node }, and the B-tree node boxes (empty for binary trees)
+ */
+function computeLayout(root, layout, config, { collapsed = null, cache = null } = {}) {
+    const trees = (Array.isArray(root) ? root : [root]).filter(tree => tree);
+    if (trees.length === 0) return { positions: new Map(), boxes: [] };
+    if (Array.isArray(trees[0].keys)) return layoutBTree(trees[0], config);
+
+    const { place, project } = Layouts[layout] || Layouts[TreeLayout.CLASSIC];
+    // Measurements are only comparable between calls to the same `place`
+    const previous = cache && cache.place === place ? cache.measured : null;
+    const next = cache ? new Map() : null;
+    const positions = new Map();
+    let left = config.PADDING;
+
+    // Side by side, one empty column between trees
+    trees.forEach(tree => {
+        const drawn = project(place(tree, { collapsed, previous, next }), config);
+        const xs = extent(Array.from(drawn.values(), pos => pos.x));
+        const ys = extent(Array.from(drawn.values(), pos => pos.y));
+        const dx = left - xs.min;
+        const dy = config.PADDING - ys.min;
+        drawn.forEach(({ x, y, node }, id) => positions.set(id, { x: x + dx, y: y + dy, node }));
+        left = xs.max + dx + 2 * config.HORIZONTAL_SPACING;
+    });
+
+    if (cache) {
+        cache.place = place;
+        cache.measured = next;
+    }
+
+    return { positions, boxes: [] };
+}
+
+/**
+ * Lay out a B-tree: each node is a row of key cells centred over its
+ * children. Positions are stored per key (cell centre) so highlights and
+ * tweens work per key; boxes describe the nodes themselves.
+ */
+function layoutBTree(root, config) {
+    const positions = new Map();
+    const boxes = [];
+    const widths = new Map();
+    const childrenWidth = (node) => node.children.reduce((sum, child) => sum + widths.get(child), 0) +
+        Math.max(0, node.children.length - 1) * config.NODE_GAP;
+
+    const measure = (node) => {
+        node.children.forEach(measure);
+        widths.set(node, Math.max(node.keys.length * config.KEY_WIDTH, childrenWidth(node)));
+    };
+
+    const place = (node, depth, left) => {
+        const width = node.keys.length * config.KEY_WIDTH;
+        const box = {
+            node,
+            x: left + (widths.get(node) - width) / 2,
+            y: config.PADDING + depth * config.VERTICAL_SPACING,
+            width,
+            children: []
+        };
+        boxes.push(box);
+
+        node.keys.forEach((key, i) => {
+            positions.set(key, { x: box.x + (i + 0.5) * config.KEY_WIDTH, y: box.y, node });
+        });
+
+        let childLeft = left + (widths.get(node) - childrenWidth(node)) / 2;
+        node.children.forEach(child => {
+            box.children.push(place(child, depth + 1, childLeft));
+            childLeft += widths.get(child) + config.NODE_GAP;
+        });
+        return box;
+    };
+
+    measure(root);
+    place(root, 0, config.PADDING - config.NODE_RADIUS);
+    return { positions, boxes };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TreeLayout, Layouts, computeLayout };
+} else if (typeof window !== 'undefined') {
+    window.TreeLayout = TreeLayout;
+    window.Layouts = Layouts;
+    window.computeLayout = computeLayout;
+}
@@ -0,0 +1,314 @@
+/**
+ * Code Listings
+ * The algorithms behind the recorded operations in pseudocode, JavaScript
+ * and Python, for the code panel. Steps name the line that produced them
+ * in `step.line` as 'algorithm.lineId' (e.g. 'insert.compare'); each
+ * listing tags its lines with the same ids, so one step highlights the
+ * matching line in every language.
+ */
+
+const CodeLanguage = {
+    PSEUDOCODE: 'pseudocode',
+    JAVASCRIPT: 'javascript',
+    PYTHON: 'python'
+};
+
+/**
+ * Listings per algorithm: { title, pseudocode, javascript, python }, each
+ * language a list of [lineId, text] pairs ('' for lines no step points at)
+ */
+const CodeListings = {
+    insert: {
+        title: 'Insert',
+        pseudocode: [
+            ['', 'insert(tree, key)'],
+            ['', '  if tree.root = null'],
+            ['root', '    tree.root ← new Node(key); return'],
+            ['', '  node ← tree.root'],
+            ['visit', '  loop'],
+            ['compare', '    compare key with node.key'],
+            ['left', '    if key < node.key'],
+            ['', '      if node.left = null'],
+            ['attach-left', '        node.left ← new Node(key); return'],
+            ['', '      node ← node.left'],
+            ['right', '    else if key > node.key'],
+            ['', '      if node.right = null'],
+            ['attach-right', '        node.right ← new Node(key); return'],
+            ['', '      node ← node.right'],
+            ['', '    else'],
+            ['duplicate', '      count or skip the duplicate; return']
+        ],
+        javascript: [
+            ['', 'function insert(tree, key) {'],
+            ['', '    if (tree.root === null) {'],
+            ['root', '        tree.root = new Node(key); return;'],
+            ['', '    }'],
+            ['', '    let node = tree.root;'],
+            ['visit', '    while (true) {'],
+            ['compare', '        const order = compare(key, node.key);'],
+            ['left', '        if (order < 0) {'],
+            ['', '            if (node.left === null) {'],
+            ['attach-left', '                node.left = new Node(key); return;'],
+            ['', '            }'],
+            ['', '            node = node.left;'],
+            ['right', '        } else if (order > 0) {'],
+            ['', '            if (node.right === null) {'],
+            ['attach-right', '                node.right = new Node(key); return;'],
+            ['', '            }'],
+            ['', '            node = node.right;'],
+            ['', '        } else {'],
+            ['duplicate', '            node.count++; return; // or skip it'],
+            ['', '        }'],
+            ['', '    }'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def insert(tree, key):'],
+            ['', '    if tree.root is None:'],
+            ['root', '        tree.root = Node(key); return'],
+            ['', '    node = tree.root'],
+            ['visit', '    while True:'],
+            ['compare', '        order = compare(key, node.key)'],
+            ['left', '        if order < 0:'],
+            ['', '            if node.left is None:'],
+            ['attach-left', '                node.left = Node(key); return'],
+            ['', '            node = node.left'],
+            ['right', '        elif order > 0:'],
+            ['', '            if node.right is None:'],
+            ['attach-right', '                node.right = Node(key); return'],
+            ['', '            node = node.right'],
+            ['', '        else:'],
+            ['duplicate', '            node.count += 1; return  # or skip it']
+        ]
+    },
+
+    search: {
+        title: 'Search',
+        pseudocode: [
+            ['', 'search(tree, key)'],
+            ['', '  node ← tree.root'],
+            ['visit', '  while node ≠ null'],
+            ['compare', '    compare key with node.key'],
+            ['found', '    if key = node.key: return node'],
+            ['left', '    if key < node.key: node ← node.left'],
+            ['right', '    else: node ← node.right'],
+            ['not-found', '  return not found']
+        ],
+        javascript: [
+            ['', 'function search(tree, key) {'],
+            ['', '    let node = tree.root;'],
+            ['visit', '    while (node !== null) {'],
+            ['compare', '        const order = compare(key, node.key);'],
+            ['found', '        if (order === 0) return node;'],
+            ['left', '        if (order < 0) node = node.left;'],
+            ['right', '        else node = node.right;'],
+            ['', '    }'],
+            ['not-found', '    return null;'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def search(tree, key):'],
+            ['', '    node = tree.root'],
+            ['visit', '    while node is not None:'],
+            ['compare', '        order = compare(key, node.key)'],
+            ['found', '        if order == 0: return node'],
+            ['left', '        if order < 0: node = node.left'],
+            ['right', '        else: node = node.right'],
+            ['not-found', '    return None']
+        ]
+    },
+
+    inorder: {
+        title: 'Inorder Traversal',
+        pseudocode: [
+            ['', 'inorder(node)'],
+            ['', '  if node = null: return'],
+            ['left', '  inorder(node.left)'],
+            ['visit', '  visit(node)'],
+            ['right', '  inorder(node.right)']
+        ],
+        javascript: [
+            ['', 'function inorder(node) {'],
+            ['', '    if (node === null) return;'],
+            ['left', '    inorder(node.left);'],
+            ['visit', '    visit(node);'],
+            ['right', '    inorder(node.right);'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def inorder(node):'],
+            ['', '    if node is None: return'],
+            ['left', '    inorder(node.left)'],
+            ['visit', '    visit(node)'],
+            ['right', '    inorder(node.right)']
+        ]
+    },
+
+    preorder: {
+        title: 'Preorder Traversal',
+        pseudocode: [
+            ['', 'preorder(node)'],
+            ['', '  if node = null: return'],
+            ['visit', '  visit(node)'],
+            ['left', '  preorder(node.left)'],
+            ['right', '  preorder(node.right)']
+        ],
+        javascript: [
+            ['', 'function preorder(node) {'],
+            ['', '    if (node === null) return;'],
+            ['visit', '    visit(node);'],
+            ['left', '    preorder(node.left);'],
+            ['right', '    preorder(node.right);'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def preorder(node):'],
+            ['', '    if node is None: return'],
+            ['visit', '    visit(node)'],
+            ['left', '    preorder(node.left)'],
+            ['right', '    preorder(node.right)']
+        ]
+    },
+
+    postorder: {
+        title: 'Postorder Traversal',
+        pseudocode: [
+            ['', 'postorder(node)'],
+            ['', '  if node = null: return'],
+            ['left', '  postorder(node.left)'],
+            ['right', '  postorder(node.right)'],
+            ['visit', '  visit(node)']
+        ],
+        javascript: [
+            ['', 'function postorder(node) {'],
+            ['', '    if (node === null) return;'],
+            ['left', '    postorder(node.left);'],
+            ['right', '    postorder(node.right);'],
+            ['visit', '    visit(node);'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def postorder(node):'],
+            ['', '    if node is None: return'],
+            ['left', '    postorder(node.left)'],
+            ['right', '    postorder(node.right)'],
+            ['visit', '    visit(node)']
+        ]
+    },
+
+    levelOrder: {
+        title: 'Level-Order Traversal',
+        pseudocode: [
+            ['', 'levelOrder(tree)'],
+            ['enqueue-root', '  queue ← [tree.root]'],
+            ['', '  while queue is not empty'],
+            ['dequeue', '    node ← queue.dequeue()'],
+            ['visit', '    visit(node)'],
+            ['', '    for child in node.left, node.right'],
+            ['enqueue-child', '      if child ≠ null: queue.enqueue(child)']
+        ],
+        javascript: [
+            ['', 'function levelOrder(tree) {'],
+            ['enqueue-root', '    const queue = [tree.root];'],
+            ['', '    while (queue.length > 0) {'],
+            ['dequeue', '        const node = queue.shift();'],
+            ['visit', '        visit(node);'],
+            ['', '        for (const child of [node.left, node.right]) {'],
+            ['enqueue-child', '            if (child !== null) queue.push(child);'],
+            ['', '        }'],
+            ['', '    }'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def level_order(tree):'],
+            ['enqueue-root', '    queue = deque([tree.root])'],
+            ['', '    while queue:'],
+            ['dequeue', '        node = queue.popleft()'],
+            ['visit', '        visit(node)'],
+            ['', '        for child in (node.left, node.right):'],
+            ['enqueue-child', '            if child is not None: queue.append(child)']
+        ]
+    },
+
+    zigzag: {
+        title: 'Zig-Zag Traversal',
+        pseudocode: [
+            ['', 'zigzag(tree)'],
+            ['enqueue-root', '  deque ← [tree.root]; leftToRight ← true'],
+            ['', '  while deque is not empty'],
+            ['', '    repeat size(deque) times'],
+            ['dequeue', '      node ← leftToRight ? popFront(deque) : popBack(deque)'],
+            ['visit', '      visit(node)'],
+            ['', '      if leftToRight'],
+            ['enqueue-back', '        push node.left, node.right to the back'],
+            ['', '      else'],
+            ['enqueue-front', '        push node.right, node.left to the front'],
+            ['', '    leftToRight ← not leftToRight']
+        ],
+        javascript: [
+            ['', 'function zigzag(tree) {'],
+            ['enqueue-root', '    const deque = [tree.root]; let leftToRight = true;'],
+            ['', '    while (deque.length > 0) {'],
+            ['', '        for (let n = deque.length; n > 0; n--) {'],
+            ['dequeue', '            const node = leftToRight ? deque.shift() : deque.pop();'],
+            ['visit', '            visit(node);'],
+            ['', '            if (leftToRight) {'],
+            ['enqueue-back', '                deque.push(...[node.left, node.right].filter(Boolean));'],
+            ['', '            } else {'],
+            ['enqueue-front', '                deque.unshift(...[node.left, node.right].filter(Boolean));'],
+            ['', '            }'],
+            ['', '        }'],
+            ['', '        leftToRight = !leftToRight;'],
+            ['', '    }'],
+            ['', '}']
+        ],
+        python: [
+            ['', 'def zigzag(tree):'],
+            ['enqueue-root', '    dq = deque([tree.root]); left_to_right = True'],
+            ['', '    while dq:'],
+            ['', '        for _ in range(len(dq)):'],
+            ['dequeue', '            node = dq.popleft() if left_to_right else dq.pop()'],
+            ['visit', '            visit(node)'],
+            ['', '            if left_to_right:'],
+            ['enqueue-back', '                dq.extend(c for c in (node.left, node.right) if c)'],
+            ['', '            else:'],
+            ['enqueue-front', '                dq.extendleft(c for c in (node.right, node.left) if c)'],
+            ['', '        left_to_right = not left_to_right']
+        ]
+    }
+};
+
+/**
+ * The algorithm and line id a step points at
+ * @param {object|null} step - Recorded step
+ * @returns {object|null} { algorithm, line }, or null if the step names no line
+ */
+function codeLineOf(step) {
+    if (!step || !step.line) return null;
+    const [algorithm, line] = step.line.split('.');
+    return CodeListings[algorithm] ? { algorithm, line } : null;
+}
+
+/**
+ * The algorithm a list of steps comes from: that of the first step naming
+ * a line (rebalancing steps of the self-balancing trees name none)
+ * @param {Array} steps - Recorded steps
+ * @returns {string|null} Key into CodeListings
+ */
+function codeListingFor(steps) {
+    for (const step of steps) {
+        const ref = codeLineOf(step);
+        if (ref !== null) return ref.algorithm;
+    }
+    return null;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CodeLanguage, CodeListings, codeLineOf, codeListingFor };
+} else if (typeof window !== 'undefined') {
+    window.CodeLanguage = CodeLanguage;
+    window.CodeListings = CodeListings;
+    window.codeLineOf = codeLineOf;
+    window.codeListingFor = codeListingFor;
+}
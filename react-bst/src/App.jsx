@@ -1,19 +1,166 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import BSTVisualizer from './BSTVisualizer';
-import { BinarySearchTree } from './bst';
+import { Action, TreeMode, DuplicatePolicy, KeyType, KeyTypes, createTree } from './bst';
+import { computeTreeStats } from '../../stats.js';
+import { TreeHistory } from './history';
+import { SharedOperations, encodeShareState, decodeShareState } from './share';
+import { TreeFormat, exportTree, importTree } from './serialize';
+import { svgDocument, animatedSvgDocument, svgToPng, downloadFile } from './exporter';
+import { TreeLayout, Layouts } from '../../layout.js';
 import Tutorial from './Tutorial';
 import './App.css';
 
+const MODE_LABELS = {
+  [TreeMode.BST]: 'Binary Search Tree',
+  [TreeMode.AVL]: 'AVL Tree',
+  [TreeMode.RED_BLACK]: 'Red-Black Tree',
+  [TreeMode.SPLAY]: 'Splay Tree',
+  [TreeMode.TREAP]: 'Treap',
+  [TreeMode.B_TREE]: 'B-Tree'
+};
+
+const TRAVERSAL_METHODS = {
+  inorder: 'inorderTraversal',
+  preorder: 'preorderTraversal',
+  postorder: 'postorderTraversal',
+  levelorder: 'levelOrderTraversal',
+  zigzag: 'zigzagTraversal'
+};
+
+// What the app opens with: the tree, settings and history of a shared link
+// (see share.js) with its operation queued at step 0, else an empty tree
+function openSharedLink(hash) {
+  const shared = decodeShareState(hash);
+  const launch = {
+    mode: TreeMode.BST,
+    keyType: KeyType.NUMBER,
+    speed: 800,
+    keys: [],
+    steps: [],
+    before: null,
+    after: null,
+    pending: false,
+    traversalType: null,
+    operation: null
+  };
+  if (shared !== null) {
+    if (Object.values(TreeMode).includes(shared.mode)) launch.mode = shared.mode;
+    if (KeyTypes[shared.keyType]) launch.keyType = shared.keyType;
+    if (shared.speed !== null) launch.speed = Math.min(2000, Math.max(200, shared.speed));
+    launch.keys = shared.keys.map(KeyTypes[launch.keyType].parse).filter(key => key !== null);
+  }
+
+  const tree = createTree(launch.mode, { keyType: launch.keyType });
+  launch.keys.forEach(key => tree.insert(key));
+  launch.tree = tree;
+  const keysBefore = [...launch.keys];
+  launch.history = [{
+    label: `Start: ${MODE_LABELS[launch.mode]}`,
+    state: { root: tree.snapshot(), keys: keysBefore }
+  }];
+  const recordLaunch = (label) => {
+    launch.history.push({ label, state: { root: tree.snapshot(), keys: [...launch.keys] } });
+  };
+
+  const operation = shared !== null ? shared.operation : null;
+  const arg = operation !== null && operation.arg !== null
+    ? KeyTypes[launch.keyType].parse(operation.arg)
+    : null;
+  if (operation !== null && (arg !== null || !SharedOperations[operation.name].takesKey)) {
+    launch.before = tree.snapshot();
+    if (operation.name === 'insert') {
+      const { success, steps } = tree.insert(arg);
+      if (success) {
+        launch.keys.push(arg);
+        recordLaunch(`Insert ${arg}`);
+      }
+      launch.steps = steps;
+      launch.after = tree.snapshot();
+      launch.pending = true;
+    } else if (operation.name === 'delete') {
+      launch.steps = tree.delete(arg);
+      if (launch.steps.some(s => s.action === Action.REMOVING)) {
+        const index = launch.keys.findIndex(key => tree.comparator.compare(key, arg) === 0);
+        launch.keys.splice(index, 1);
+        recordLaunch(`Delete ${arg}`);
+      }
+      launch.after = tree.snapshot();
+      launch.pending = true;
+    } else if (operation.name === 'search') {
+      launch.steps = tree.search(arg).steps;
+      launch.pending = launch.steps.some(s => s.tree); // splay trees restructure
+    } else {
+      launch.steps = tree[TRAVERSAL_METHODS[operation.name]]().steps;
+      launch.traversalType = SharedOperations[operation.name].label;
+    }
+    launch.operation = { name: operation.name, arg, keys: keysBefore, steps: launch.steps };
+  }
+
+  // A pending tree shows the old shape until the steps have played
+  launch.root = launch.pending ? launch.before : tree.snapshot();
+  return launch;
+}
+
 function App() {
-  const bstRef = useRef(new BinarySearchTree());
+  const [launch] = useState(() => openSharedLink(window.location.hash));
+  const bstRef = useRef(launch.tree);
   const visualizerRef = useRef(null);
-  const [treeRoot, setTreeRoot] = useState(null);
-  const [steps, setSteps] = useState([]);
+  const [treeRoot, setTreeRoot] = useState(launch.root);
+  const [steps, setSteps] = useState(launch.steps);
+  // Trees on screen before the first and after the last step
+  const [stepTrees, setStepTrees] = useState({ before: launch.before, after: launch.after });
   const [insertValue, setInsertValue] = useState('');
   const [searchValue, setSearchValue] = useState('');
-  const [speed, setSpeed] = useState(800);
-  const [traversalType, setTraversalType] = useState(null);
+  const [deleteValue, setDeleteValue] = useState('');
+  const [deleteStrategy, setDeleteStrategy] = useState('successor');
+  const [queryValue, setQueryValue] = useState('');
+  const [queryType, setQueryType] = useState('successor');
+  const [queryError, setQueryError] = useState(null);
+  const [ioFormat, setIoFormat] = useState(TreeFormat.JSON);
+  const [ioText, setIoText] = useState('');
+  const [ioError, setIoError] = useState(null);
+  const [pngScale, setPngScale] = useState(2);
+  const [imageError, setImageError] = useState(null);
+  const [rangeLo, setRangeLo] = useState('');
+  const [rangeHi, setRangeHi] = useState('');
+  const [lcaA, setLcaA] = useState('');
+  const [lcaB, setLcaB] = useState('');
+  const [speed, setSpeed] = useState(launch.speed);
+  const [traversalType, setTraversalType] = useState(launch.traversalType);
   const [showTutorial, setShowTutorial] = useState(false);
+  const [treeMode, setTreeMode] = useState(launch.mode);
+  const [duplicatePolicy, setDuplicatePolicy] = useState(DuplicatePolicy.REJECT);
+  const [keyType, setKeyType] = useState(launch.keyType);
+  const [treeLayout, setTreeLayout] = useState(TreeLayout.CLASSIC);
+  const [renderBackend, setRenderBackend] = useState('svg');
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [showSizes, setShowSizes] = useState(false);
+  const [showBalance, setShowBalance] = useState(false);
+  const [treapSeed, setTreapSeed] = useState('');
+  const [minDegree, setMinDegree] = useState(2);
+  const [splitKey, setSplitKey] = useState('');
+  const [isSplit, setIsSplit] = useState(false);
+  // How often each key was searched for or inserted this session
+  const [accessCounts, setAccessCounts] = useState(new Map());
+  // Set while the rendered tree still shows the pre-operation shape
+  const pendingUpdateRef = useRef(launch.pending);
+  // Keys in insertion order, so the tree can be rebuilt in another mode
+  const keysRef = useRef(launch.keys);
+  // The two halves of a split treap ({ left, right }) until they are merged
+  const splitRef = useRef(null);
+  // Undo/redo of tree mutations; `history` mirrors it for rendering
+  const [treeHistory] = useState(() => {
+    const initial = new TreeHistory();
+    const [start, ...later] = launch.history;
+    initial.reset(start.label, start.state);
+    later.forEach(entry => initial.record(entry.label, entry.state));
+    return initial;
+  });
+  const [history, setHistory] = useState({ entries: treeHistory.entries, index: treeHistory.index });
+  // Last operation a link can queue ({ name, arg, keys (before it), steps });
+  // only shared while its steps are still the ones loaded
+  const sharedRef = useRef(launch.operation);
+  const [linkStatus, setLinkStatus] = useState(null);
 
   // Check if user has seen tutorial
   useEffect(() => {
@@ -23,77 +170,461 @@ function App() {
     }
   }, []);
 
-  // Deep clone the tree to trigger React re-render
-  const cloneTree = (node) => {
-    if (!node) return null;
-    return {
-      value: node.value,
-      left: cloneTree(node.left),
-      right: cloneTree(node.right)
+  // Shape statistics of the tree on screen; B-trees have no binary optimum
+  const stats = useMemo(() => computeTreeStats(treeRoot), [treeRoot]);
+  const isBTreeStats = stats.optimalHeight === null;
+
+  // Force re-render of tree with a deep copy (both halves while split)
+  const updateTree = () => {
+    const parts = splitRef.current;
+    pendingUpdateRef.current = false;
+    setTreeRoot(parts
+      ? [parts.left.snapshot(), parts.right.snapshot()]
+      : bstRef.current.snapshot());
+  };
+
+  // Apply a deferred tree update (after a delete or rebalancing animation)
+  const syncTree = () => {
+    if (pendingUpdateRef.current) {
+      updateTree();
+    }
+  };
+
+  // Quietly merge a split treap back so other operations see every key
+  const rejoinSplit = () => {
+    if (!splitRef.current) return;
+    bstRef.current.merge(splitRef.current.left, splitRef.current.right);
+    splitRef.current = null;
+    setIsSplit(false);
+    pendingUpdateRef.current = true;
+  };
+
+  // Key inputs take the selected key type's input type and are marked
+  // invalid while their text does not parse as a key
+  const keyTypeDef = KeyTypes[keyType];
+  const keyInputProps = (text) => ({
+    type: keyTypeDef.inputType,
+    step: 'any',
+    'aria-invalid': text !== '' && keyTypeDef.parse(text) === null
+  });
+
+  // Play new steps; without `before`/`after` the tree on screen keeps its
+  // shape apart from the snapshots the steps carry
+  const playSteps = (newSteps, before = null, after = null) => {
+    setStepTrees({ before, after });
+    setSteps(newSteps);
+  };
+
+  // What a history entry keeps: the tree (split halves are rejoined by every
+  // recorded operation) and the key sequence behind it
+  const captureState = () => ({ root: bstRef.current.snapshot(), keys: [...keysRef.current] });
+
+  const recordHistory = (label) => {
+    treeHistory.record(label, captureState());
+    setHistory({ entries: treeHistory.entries, index: treeHistory.index });
+  };
+
+  // Earlier entries hold trees of another kind once the tree is rebuilt
+  const startHistory = (mode) => {
+    treeHistory.reset(`Start: ${MODE_LABELS[mode]}`, captureState());
+    setHistory({ entries: treeHistory.entries, index: treeHistory.index });
+  };
+
+  // Put the tree back as a history entry left it (nothing to do for null);
+  // nodes keep their ids, so they glide into place
+  const restoreHistory = useCallback((entry) => {
+    if (entry === null) return;
+    bstRef.current.restore(entry.state.root);
+    keysRef.current = [...entry.state.keys];
+    splitRef.current = null;
+    pendingUpdateRef.current = false;
+    setIsSplit(false);
+    setTreeRoot(bstRef.current.snapshot());
+    setStepTrees({ before: null, after: null });
+    setSteps([]);
+    setTraversalType(null);
+    setHistory({ entries: treeHistory.entries, index: treeHistory.index });
+  }, [treeHistory]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (e.target.matches('input, textarea, select')) return;
+
+      e.preventDefault();
+      restoreHistory(e.shiftKey ? treeHistory.redo() : treeHistory.undo());
     };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [treeHistory, restoreHistory]);
+
+  const shareOperation = (name, operationSteps, arg = null, keys = keysRef.current) => {
+    sharedRef.current = { name, arg, keys: [...keys], steps: operationSteps };
   };
 
-  // Force re-render of tree with deep clone
-  const updateTree = () => {
-    setTreeRoot(cloneTree(bstRef.current.root));
+  // Copy a link to the keys, settings and last operation (queued at step 0)
+  const handleCopyLink = () => {
+    const shared = sharedRef.current !== null && sharedRef.current.steps === steps
+      ? sharedRef.current
+      : null;
+    const hash = encodeShareState({
+      mode: treeMode,
+      keyType,
+      keys: shared ? shared.keys : keysRef.current,
+      speed,
+      operation: shared ? { name: shared.name, arg: shared.arg } : null
+    });
+    window.history.replaceState(null, '', `#${hash}`);
+
+    const url = window.location.href;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(
+      () => setLinkStatus('Link copied to the clipboard'),
+      () => setLinkStatus(`Copy this link: ${url}`)
+    );
+  };
+
+  const recordAccess = (value) => {
+    setAccessCounts(prev => new Map(prev).set(value, (prev.get(value) || 0) + 1));
   };
 
   // Insert value
   const handleInsert = () => {
-    const value = parseInt(insertValue);
-    if (isNaN(value)) return;
+    const value = keyTypeDef.parse(insertValue);
+    if (value === null) return;
 
-    const insertSteps = bstRef.current.insert(value);
-    updateTree();
-    setSteps(insertSteps);
+    rejoinSplit();
+    syncTree();
+    const before = bstRef.current.snapshot();
+    const keysBefore = [...keysRef.current];
+    const { success, steps: insertSteps } = bstRef.current.insert(value);
+    if (success) {
+      keysRef.current.push(value);
+      recordHistory(`Insert ${value}`);
+    }
+    recordAccess(value);
+
+    // The new node appears with the last step, after any rebalancing
+    pendingUpdateRef.current = true;
+    playSteps(insertSteps, before, bstRef.current.snapshot());
+    shareOperation('insert', insertSteps, value, keysBefore);
     setTraversalType(null);
     setInsertValue('');
   };
 
   // Search value
   const handleSearch = () => {
-    const value = parseInt(searchValue);
-    if (isNaN(value)) return;
+    const value = keyTypeDef.parse(searchValue);
+    if (value === null) return;
 
-    const searchSteps = bstRef.current.search(value);
-    setSteps(searchSteps);
+    rejoinSplit();
+    syncTree();
+    const before = bstRef.current.snapshot();
+    const { found, steps: searchSteps } = bstRef.current.search(value);
+    if (found) {
+      recordAccess(value);
+    }
+
+    // Splay trees restructure on search
+    if (searchSteps.some(s => s.tree)) {
+      pendingUpdateRef.current = true;
+    }
+    playSteps(searchSteps, before);
+    shareOperation('search', searchSteps, value);
     setTraversalType(null);
     setSearchValue('');
   };
 
+  // Delete value - the old tree stays visible until the animation completes
+  const handleDelete = () => {
+    const value = keyTypeDef.parse(deleteValue);
+    if (value === null) return;
+
+    rejoinSplit();
+    syncTree();
+    const before = bstRef.current.snapshot();
+    const keysBefore = [...keysRef.current];
+    const deleteSteps = bstRef.current.delete(value, deleteStrategy);
+    if (deleteSteps.some(s => s.action === Action.REMOVING)) {
+      const index = keysRef.current.findIndex(key => bstRef.current.comparator.compare(key, value) === 0);
+      keysRef.current.splice(index, 1);
+      recordHistory(`Delete ${value}`);
+    }
+    pendingUpdateRef.current = true;
+    playSteps(deleteSteps, before, bstRef.current.snapshot());
+    shareOperation('delete', deleteSteps, value, keysBefore);
+    setTraversalType(null);
+    setDeleteValue('');
+  };
+
   // Traversals
   const handleInorder = () => {
-    const traversalSteps = bstRef.current.inorderTraversal();
-    setSteps(traversalSteps);
+    rejoinSplit();
+    syncTree();
+    const { steps: traversalSteps } = bstRef.current.inorderTraversal();
+    playSteps(traversalSteps);
+    shareOperation('inorder', traversalSteps);
     setTraversalType('Inorder');
   };
 
   const handlePreorder = () => {
-    const traversalSteps = bstRef.current.preorderTraversal();
-    setSteps(traversalSteps);
+    rejoinSplit();
+    syncTree();
+    const { steps: traversalSteps } = bstRef.current.preorderTraversal();
+    playSteps(traversalSteps);
+    shareOperation('preorder', traversalSteps);
     setTraversalType('Preorder');
   };
 
   const handlePostorder = () => {
-    const traversalSteps = bstRef.current.postorderTraversal();
-    setSteps(traversalSteps);
+    rejoinSplit();
+    syncTree();
+    const { steps: traversalSteps } = bstRef.current.postorderTraversal();
+    playSteps(traversalSteps);
+    shareOperation('postorder', traversalSteps);
     setTraversalType('Postorder');
   };
 
-  // Build sample tree
-  const handleBuildSample = () => {
+  const handleLevelOrder = () => {
+    rejoinSplit();
+    syncTree();
+    const { steps: traversalSteps } = bstRef.current.levelOrderTraversal();
+    playSteps(traversalSteps);
+    shareOperation('levelorder', traversalSteps);
+    setTraversalType('Level Order');
+  };
+
+  const handleZigzag = () => {
+    rejoinSplit();
+    syncTree();
+    const { steps: traversalSteps } = bstRef.current.zigzagTraversal();
+    playSteps(traversalSteps);
+    shareOperation('zigzag', traversalSteps);
+    setTraversalType('Zig-zag');
+  };
+
+  // Order and range queries (min / max / successor / predecessor / floor /
+  // ceiling / rangeSearch); B-trees have no single-key nodes to walk
+  const runQuery = (query, ...args) => {
+    if (typeof bstRef.current[query] !== 'function') {
+      setQueryError('Order queries are not available for B-trees');
+      return;
+    }
+
+    setQueryError(null);
+    rejoinSplit();
+    syncTree();
+    playSteps(bstRef.current[query](...args));
+    setTraversalType(null);
+  };
+
+  const handleQuery = () => {
+    // k-th smallest takes a position, every other query a key
+    const value = queryType === 'select' ? parseInt(queryValue) : keyTypeDef.parse(queryValue);
+    if (value === null || Number.isNaN(value)) return;
+
+    runQuery(queryType, value);
+    setQueryValue('');
+  };
+
+  // Range search - pruned subtrees are dimmed while it runs
+  const handleRange = () => {
+    const lo = keyTypeDef.parse(rangeLo);
+    const hi = keyTypeDef.parse(rangeHi);
+    if (lo === null || hi === null) return;
+
+    runQuery('rangeSearch', lo, hi);
+  };
+
+  // LCA / distance - the two search paths stay highlighted in their colors
+  const handlePairQuery = (query) => {
+    const a = keyTypeDef.parse(lcaA);
+    const b = keyTypeDef.parse(lcaB);
+    if (a === null || b === null) return;
+
+    runQuery(query, a, b);
+  };
+
+  // Rebuild the current key sequence as another kind of tree (treaps draw
+  // their priorities from the seed, random when empty; B-trees use minDegree
+  // and always reject duplicate keys)
+  const rebuildTree = (mode, seed, degree = minDegree, duplicates = duplicatePolicy, keys = keyType) => {
+    const parsedSeed = parseInt(seed);
+    const options = { duplicates, keyType: keys, minDegree: degree };
+    if (!isNaN(parsedSeed)) options.seed = parsedSeed;
+    const tree = createTree(mode, options);
+    keysRef.current.forEach(v => tree.insert(v));
+    bstRef.current = tree;
+    splitRef.current = null;
+    setQueryError(null);
+    setIsSplit(false);
+    updateTree();
+    playSteps([]);
+    setTraversalType(null);
+    startHistory(mode);
+  };
+
+  const handleModeChange = (mode) => {
+    setTreeMode(mode);
+    rebuildTree(mode, treapSeed);
+  };
+
+  const handleDegreeChange = (degree) => {
+    setMinDegree(degree);
+    rebuildTree(treeMode, treapSeed, degree);
+  };
+
+  const handleDuplicatePolicyChange = (policy) => {
+    setDuplicatePolicy(policy);
+    rebuildTree(treeMode, treapSeed, minDegree, policy);
+  };
+
+  // Keys of the old type don't compare with the new, so start over
+  const handleKeyTypeChange = (type) => {
+    setKeyType(type);
+    keysRef.current = [];
+    setAccessCounts(new Map());
+    [setInsertValue, setSearchValue, setDeleteValue, setQueryValue,
+      setRangeLo, setRangeHi, setLcaA, setLcaB, setSplitKey].forEach(set => set(''));
+    rebuildTree(treeMode, treapSeed, minDegree, duplicatePolicy, type);
+  };
+
+  // Treap split - the halves stay on screen side by side until merged
+  const handleSplit = () => {
+    const key = keyTypeDef.parse(splitKey);
+    if (key === null) return;
+
+    rejoinSplit();
+    syncTree();
+    const before = bstRef.current.snapshot();
+    const { left, right, steps: splitSteps } = bstRef.current.split(key);
+    splitRef.current = { left, right };
+    setIsSplit(true);
+    pendingUpdateRef.current = true;
+    playSteps(splitSteps, before, [left.snapshot(), right.snapshot()]);
+    setTraversalType(null);
+    setSplitKey('');
+  };
+
+  const handleMerge = () => {
+    const parts = splitRef.current;
+    if (!parts) return;
+
+    syncTree();
+    const before = [parts.left.snapshot(), parts.right.snapshot()];
+    const mergeSteps = bstRef.current.merge(parts.left, parts.right);
+    splitRef.current = null;
+    setIsSplit(false);
+    pendingUpdateRef.current = true;
+    playSteps(mergeSteps, before, bstRef.current.snapshot());
+    setTraversalType(null);
+  };
+
+  // Build a tree from a fixed key sequence
+  const buildTree = (values, label = `Build [${values.join(', ')}]`) => {
+    splitRef.current = null;
+    setIsSplit(false);
     bstRef.current.clear();
-    [50, 30, 70, 20, 40, 60, 80].forEach(v => bstRef.current.insert(v));
+    values.forEach(v => bstRef.current.insert(v));
+    keysRef.current = [...values];
     updateTree();
-    setSteps([]);
+    playSteps([]);
+    setTraversalType(null);
+    recordHistory(label);
+  };
+
+  // Export as nested JSON or a level-order list
+  const handleExport = () => {
+    if (treeMode === TreeMode.B_TREE) {
+      setIoError('Export works for binary trees; B-tree nodes hold several keys');
+      return;
+    }
+    rejoinSplit();
+    syncTree();
+    try {
+      setIoText(exportTree(bstRef.current.root, ioFormat));
+    } catch (e) {
+      setIoError(e.message);
+      return;
+    }
+    setIoError(null);
+  };
+
+  // Export Image - the frame on screen, or every frame of the loaded steps
+  const handleExportImage = (format) => {
+    if (renderBackend === 'canvas') {
+      setImageError('Image export captures the SVG drawing; switch Renderer to SVG first');
+      return;
+    }
+    if (bstRef.current.root === null) {
+      setImageError('The tree is empty; there is nothing to export');
+      return;
+    }
+    setImageError(null);
+    const capture = visualizerRef.current.captureFrame();
+    if (format === 'svg') {
+      downloadFile('tree.svg', svgDocument(capture));
+      return;
+    }
+    svgToPng(svgDocument(capture), capture.width, capture.height, pngScale).then(
+      png => downloadFile(`tree@${pngScale}x.png`, png),
+      e => setImageError(e.message)
+    );
+  };
+
+  const handleExportAnimation = () => {
+    if (renderBackend === 'canvas') {
+      setImageError('Image export captures the SVG drawing; switch Renderer to SVG first');
+      return;
+    }
+    if (steps.length === 0) {
+      setImageError('Run an operation first; the animated SVG replays its steps');
+      return;
+    }
+    setImageError(null);
+    const frames = visualizerRef.current.captureFrames();
+    downloadFile('tree-animation.svg', animatedSvgDocument(frames, speed));
+  };
+
+  // Imports keep their exact shape, which only a plain BST can promise, so
+  // other modes switch to it; the keys go in level order, which rebuilds
+  // that shape
+  const handleImport = () => {
+    let imported;
+    try {
+      imported = importTree(ioText, ioFormat, keyTypeDef, duplicatePolicy);
+    } catch (e) {
+      setIoError(e.message);
+      return;
+    }
+
+    setIoError(null);
+    if (treeMode !== TreeMode.BST) {
+      setTreeMode(TreeMode.BST);
+      keysRef.current = imported.keys;
+      rebuildTree(TreeMode.BST, treapSeed);
+    } else {
+      buildTree(imported.keys, `Import (${imported.keys.length} keys)`);
+    }
+  };
+
+  // Build sample tree
+  const handleBuildSample = () => {
+    buildTree([50, 30, 70, 20, 40, 60, 80].map(keyTypeDef.sample));
   };
 
   // Clear tree
   const handleClear = () => {
+    splitRef.current = null;
+    setIsSplit(false);
     bstRef.current.clear();
+    keysRef.current = [];
+    pendingUpdateRef.current = false;
     setTreeRoot(null);
-    setSteps([]);
+    playSteps([]);
     setTraversalType(null);
+    recordHistory('Clear');
   };
 
   return (
@@ -110,15 +641,89 @@ function App() {
       <div className="main-layout">
         {/* Controls */}
         <aside className="controls">
+          <section>
+            <h3>Tree Mode</h3>
+            <select
+              value={treeMode}
+              onChange={(e) => handleModeChange(e.target.value)}
+            >
+              {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                <option key={mode} value={mode}>{label}</option>
+              ))}
+            </select>
+            <label className="field">
+              Duplicate keys
+              <select
+                value={duplicatePolicy}
+                onChange={(e) => handleDuplicatePolicyChange(e.target.value)}
+              >
+                <option value={DuplicatePolicy.REJECT}>Reject</option>
+                <option value={DuplicatePolicy.COUNT}>Count on node</option>
+                <option value={DuplicatePolicy.LEFT}>Go left</option>
+                <option value={DuplicatePolicy.RIGHT}>Go right</option>
+              </select>
+            </label>
+            <label className="field">
+              Key type
+              <select
+                value={keyType}
+                onChange={(e) => handleKeyTypeChange(e.target.value)}
+              >
+                {Object.values(KeyType).map(type => (
+                  <option key={type} value={type}>{KeyTypes[type].label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="field" title="How the tree is arranged on screen; B-trees keep their own layout">
+              Layout
+              <select value={treeLayout} onChange={(e) => setTreeLayout(e.target.value)}>
+                {Object.values(TreeLayout).map(layout => (
+                  <option key={layout} value={layout}>{Layouts[layout].label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="field" title="SVG draws every node as an element; Canvas stays fast for thousands of keys and lets you collapse subtrees by clicking them">
+              Renderer
+              <select value={renderBackend} onChange={(e) => setRenderBackend(e.target.value)}>
+                <option value="svg">SVG</option>
+                <option value="canvas">Canvas</option>
+              </select>
+            </label>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={showHeatmap}
+                onChange={(e) => setShowHeatmap(e.target.checked)}
+              />
+              Access heatmap
+            </label>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={showSizes}
+                onChange={(e) => setShowSizes(e.target.checked)}
+              />
+              Subtree sizes
+            </label>
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={showBalance}
+                onChange={(e) => setShowBalance(e.target.checked)}
+              />
+              Balance factors
+            </label>
+          </section>
+
           <section>
             <h3>Insert Value</h3>
             <div className="input-row">
               <input
-                type="number"
+                {...keyInputProps(insertValue)}
                 value={insertValue}
                 onChange={(e) => setInsertValue(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && handleInsert()}
-                placeholder="Enter number"
+                placeholder="Enter key"
               />
               <button onClick={handleInsert} className="btn-primary">Insert</button>
             </div>
@@ -128,16 +733,146 @@ function App() {
             <h3>Search Value</h3>
             <div className="input-row">
               <input
-                type="number"
+                {...keyInputProps(searchValue)}
                 value={searchValue}
                 onChange={(e) => setSearchValue(e.target.value)}
                 onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-                placeholder="Enter number"
+                placeholder="Enter key"
               />
               <button onClick={handleSearch}>Search</button>
             </div>
           </section>
 
+          <section>
+            <h3>Delete Value</h3>
+            <div className="input-row">
+              <input
+                {...keyInputProps(deleteValue)}
+                value={deleteValue}
+                onChange={(e) => setDeleteValue(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleDelete()}
+                placeholder="Enter key"
+              />
+              <button onClick={handleDelete} className="btn-danger">Delete</button>
+            </div>
+            <select
+              value={deleteStrategy}
+              onChange={(e) => setDeleteStrategy(e.target.value)}
+              title="Replacement for nodes with two children"
+            >
+              <option value="successor">Use in-order successor</option>
+              <option value="predecessor">Use in-order predecessor</option>
+            </select>
+          </section>
+
+          <section>
+            <h3>Queries</h3>
+            <div className="button-row">
+              <button onClick={() => runQuery('min')}>Min</button>
+              <button onClick={() => runQuery('max')}>Max</button>
+            </div>
+            <div className="input-row">
+              <input
+                {...(queryType === 'select' ? { type: 'number' } : keyInputProps(queryValue))}
+                value={queryValue}
+                onChange={(e) => setQueryValue(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleQuery()}
+                placeholder="Enter key"
+              />
+              <button onClick={handleQuery}>Query</button>
+            </div>
+            <select value={queryType} onChange={(e) => setQueryType(e.target.value)}>
+              <option value="successor">Successor</option>
+              <option value="predecessor">Predecessor</option>
+              <option value="floor">Floor</option>
+              <option value="ceiling">Ceiling</option>
+              <option value="select">k-th smallest</option>
+              <option value="rank">Rank</option>
+            </select>
+            <div className="input-row">
+              <input
+                {...keyInputProps(rangeLo)}
+                value={rangeLo}
+                onChange={(e) => setRangeLo(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleRange()}
+                placeholder="Low"
+              />
+              <input
+                {...keyInputProps(rangeHi)}
+                value={rangeHi}
+                onChange={(e) => setRangeHi(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handleRange()}
+                placeholder="High"
+              />
+              <button onClick={handleRange}>Range</button>
+            </div>
+            <div className="input-row">
+              <input
+                {...keyInputProps(lcaA)}
+                value={lcaA}
+                onChange={(e) => setLcaA(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handlePairQuery('lowestCommonAncestor')}
+                placeholder="a"
+              />
+              <input
+                {...keyInputProps(lcaB)}
+                value={lcaB}
+                onChange={(e) => setLcaB(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && handlePairQuery('lowestCommonAncestor')}
+                placeholder="b"
+              />
+            </div>
+            <div className="button-row">
+              <button onClick={() => handlePairQuery('lowestCommonAncestor')}>LCA</button>
+              <button onClick={() => handlePairQuery('distance')}>Distance</button>
+            </div>
+            {queryError && <p className="control-error">{queryError}</p>}
+          </section>
+
+          {treeMode === TreeMode.TREAP && (
+            <section>
+              <h3>Treap</h3>
+              <div className="input-row">
+                <input
+                  type="number"
+                  value={treapSeed}
+                  onChange={(e) => setTreapSeed(e.target.value)}
+                  placeholder="Priority seed (random)"
+                />
+                <button onClick={() => rebuildTree(treeMode, treapSeed)}>Reseed</button>
+              </div>
+              <div className="input-row">
+                <input
+                  {...keyInputProps(splitKey)}
+                  value={splitKey}
+                  onChange={(e) => setSplitKey(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleSplit()}
+                  placeholder="Split key"
+                />
+                <button onClick={handleSplit} className="btn-primary">Split</button>
+                <button onClick={handleMerge} disabled={!isSplit}>Merge</button>
+              </div>
+            </section>
+          )}
+
+          {treeMode === TreeMode.B_TREE && (
+            <section>
+              <h3>B-Tree</h3>
+              <label className="field">
+                Minimum degree t
+                <select
+                  value={minDegree}
+                  onChange={(e) => handleDegreeChange(parseInt(e.target.value))}
+                >
+                  <option value={2}>2 (2-3-4 tree)</option>
+                  <option value={3}>3</option>
+                  <option value={4}>4</option>
+                  <option value={5}>5</option>
+                </select>
+              </label>
+            </section>
+          )}
+
           <section>
             <h3>Traversals</h3>
             <div className="traversal-buttons">
@@ -153,6 +888,14 @@ function App() {
                 Postorder
                 <span className="traversal-hint">L → R → N</span>
               </button>
+              <button onClick={handleLevelOrder} className="btn-traversal">
+                Level Order
+                <span className="traversal-hint">BFS queue</span>
+              </button>
+              <button onClick={handleZigzag} className="btn-traversal">
+                Zig-zag
+                <span className="traversal-hint">⇢ ⇠ per level</span>
+              </button>
             </div>
           </section>
 
@@ -177,6 +920,121 @@ function App() {
               <button onClick={handleBuildSample}>Sample Tree</button>
               <button onClick={handleClear} className="btn-danger">Clear</button>
             </div>
+            <div className="button-row">
+              <button onClick={() => buildTree([10, 20, 30, 40, 50].map(keyTypeDef.sample))}>Right Skewed</button>
+              <button onClick={() => buildTree([50, 40, 30, 20, 10].map(keyTypeDef.sample))}>Left Skewed</button>
+            </div>
+            <div className="button-row">
+              <button onClick={handleCopyLink} title="Copy a link to these keys, settings and the last operation">
+                🔗 Copy link
+              </button>
+            </div>
+            {linkStatus && <p className="control-note">{linkStatus}</p>}
+          </section>
+
+          <section>
+            <h3>Import / Export</h3>
+            <select
+              value={ioFormat}
+              onChange={(e) => setIoFormat(e.target.value)}
+              title="Nested JSON or a LeetCode-style level-order list"
+            >
+              <option value={TreeFormat.JSON}>JSON</option>
+              <option value={TreeFormat.LEVEL_ORDER}>Level order</option>
+            </select>
+            <textarea
+              className="io-text"
+              rows={5}
+              spellCheck={false}
+              value={ioText}
+              onChange={(e) => setIoText(e.target.value)}
+              placeholder={ioFormat === TreeFormat.JSON
+                ? '{ "value": 50, "left": null, "right": null }'
+                : '[50,30,70,null,40]'}
+            />
+            <div className="button-row">
+              <button onClick={handleExport}>Export</button>
+              <button onClick={handleImport}>Import</button>
+            </div>
+            {ioError && <p className="control-error">{ioError}</p>}
+          </section>
+
+          <section>
+            <h3>Export Image</h3>
+            <div className="input-row">
+              <select
+                value={pngScale}
+                onChange={(e) => setPngScale(parseInt(e.target.value))}
+                title="PNG pixels per screen pixel"
+              >
+                {[1, 2, 3, 4].map(scale => (
+                  <option key={scale} value={scale}>{scale}×</option>
+                ))}
+              </select>
+              <button onClick={() => handleExportImage('png')}>PNG</button>
+              <button onClick={() => handleExportImage('svg')}>SVG</button>
+            </div>
+            <button
+              onClick={handleExportAnimation}
+              title="Every step of the loaded operation, timed by the speed slider"
+            >
+              🎞 Animated SVG
+            </button>
+            {imageError && <p className="control-error">{imageError}</p>}
+          </section>
+
+          <section>
+            <h3>History</h3>
+            <div className="button-row">
+              <button
+                onClick={() => restoreHistory(treeHistory.undo())}
+                disabled={history.index <= 0}
+                title="Undo (Ctrl+Z)"
+              >
+                ↶ Undo
+              </button>
+              <button
+                onClick={() => restoreHistory(treeHistory.redo())}
+                disabled={history.index >= history.entries.length - 1}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                ↷ Redo
+              </button>
+            </div>
+            <ol className="history-list">
+              {history.entries.map((entry, i) => (
+                <li key={i}>
+                  <button
+                    className={`history-entry${i === history.index ? ' current' : ''}${i > history.index ? ' undone' : ''}`}
+                    onClick={() => restoreHistory(treeHistory.jumpTo(i))}
+                  >
+                    {entry.label}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </section>
+
+          <section>
+            <h3>Statistics</h3>
+            <dl className="stats-grid">
+              <dt>Height</dt>
+              <dd>{stats.height}</dd>
+              <dt>{isBTreeStats ? 'Nodes (keys)' : 'Nodes'}</dt>
+              <dd>{isBTreeStats ? `${stats.nodeCount} (${stats.keyCount})` : stats.nodeCount}</dd>
+              <dt>Leaves</dt>
+              <dd>{stats.leafCount}</dd>
+              <dt>Internal path length</dt>
+              <dd>{stats.internalPathLength}</dd>
+              <dt>External path length</dt>
+              <dd>{stats.externalPathLength}</dd>
+              <dt>Avg. search depth</dt>
+              <dd>{stats.averageSearchDepth.toFixed(2)}</dd>
+              <dt>Optimal height</dt>
+              <dd>{isBTreeStats ? '—' : stats.optimalHeight}</dd>
+              <dt>Height / optimal</dt>
+              <dd>{stats.heightRatio === null ? '—' : stats.heightRatio.toFixed(2)}</dd>
+            </dl>
           </section>
         </aside>
 
@@ -186,8 +1044,16 @@ function App() {
             ref={visualizerRef}
             root={treeRoot}
             steps={steps}
+            baseTree={stepTrees.before}
+            finalTree={stepTrees.after}
             animationSpeed={speed}
             traversalType={traversalType}
+            onComplete={syncTree}
+            heatmap={showHeatmap ? accessCounts : null}
+            showSizes={showSizes}
+            showBalance={showBalance}
+            layout={treeLayout}
+            backend={renderBackend}
           />
         </main>
       </div>
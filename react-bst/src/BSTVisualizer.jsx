@@ -1,172 +1,349 @@
-import { useState, useEffect, useRef, useCallback, useImperativeHandle, forwardRef } from 'react';
-import { Action } from './bst';
+import { useState, useEffect, useRef, useMemo, useCallback, useImperativeHandle, forwardRef } from 'react';
+import { flushSync } from 'react-dom';
+import { Action, StepTimeline } from './bst';
+import { computeTreeStats } from '../../stats.js';
+import CodePanel from './CodePanel';
+import { captureSvg } from './exporter';
+import { TreeLayout, computeLayout } from '../../layout.js';
+import { TreeViewport } from '../../viewport.js';
+import { CanvasRenderer } from '../../canvas-renderer.js';
 
 // Configuration
 const CONFIG = {
     NODE_RADIUS: 25,
     HORIZONTAL_SPACING: 60,
     VERTICAL_SPACING: 80,
-    PADDING: 50
+    PADDING: 50,
+    TWEEN_DURATION: 500,
+    KEY_WIDTH: 40,      // B-tree key cell
+    KEY_HEIGHT: 34,
+    NODE_GAP: 20        // between sibling B-tree nodes
 };
 
 /**
- * Compute positions for all nodes using subtree-width algorithm
+ * Heatmap color from cold (blue, 0) to hot (red, 1)
  */
-function computePositions(root) {
-    if (!root) return new Map();
+function heatColor(t) {
+    return `hsl(${Math.round(220 * (1 - t))}, 80%, 50%)`;
+}
 
-    const positions = new Map();
-    const widths = new Map();
-
-    function calculateWidths(node) {
-        if (!node) return 0;
-        const leftWidth = calculateWidths(node.left);
-        const rightWidth = calculateWidths(node.right);
-        const totalWidth = leftWidth + 1 + rightWidth;
-        widths.set(node, totalWidth);
-        return totalWidth;
-    }
+/**
+ * Highlight class of a step's target nodes, by step action
+ */
+const STATE_CLASSES = {
+    [Action.VISITED]: 'active',
+    [Action.COMPARED]: 'compared',
+    [Action.FOUND]: 'found',
+    [Action.INSERTED]: 'inserted',
+    [Action.MOVED_LEFT]: 'active',
+    [Action.MOVED_RIGHT]: 'active',
+    [Action.NOT_FOUND]: null,
+    [Action.REMOVING]: 'removing',
+    [Action.SUCCESSOR]: 'successor',
+    [Action.REPLACED]: 'replaced',
+    [Action.ENQUEUED]: 'queued',
+    [Action.DEQUEUED]: 'active',
+    [Action.BALANCE_CHECKED]: 'compared',
+    [Action.ROTATED]: 'rotated',
+    [Action.RECOLORED]: 'recolored',
+    [Action.UNCLE_CHECKED]: 'compared',
+    [Action.SIBLING_CHECKED]: 'compared',
+    [Action.SPLAYED]: 'found',
+    [Action.PRIORITY_CHECKED]: 'compared',
+    [Action.SPLIT]: 'active',
+    [Action.MERGED]: 'active',
+    [Action.DESCENDED]: 'active',
+    [Action.PROMOTED]: 'replaced',
+    [Action.BORROWED]: 'rotated',
+    [Action.CLIMBED]: 'active',
+    [Action.ANSWER]: 'answer',
+    [Action.PRUNED]: 'compared',
+    [Action.COLLECTED]: 'found',
+    [Action.LCA]: null // the lca class comes from frame.lca
+};
 
-    function assignPositions(node, depth, leftBound) {
-        if (!node) return;
+/**
+ * Non-empty trees to draw from a root or an array of roots (a forest)
+ */
+function treesOf(root) {
+    return (Array.isArray(root) ? root : [root]).filter(tree => tree);
+}
 
-        const leftWidth = node.left ? widths.get(node.left) : 0;
-        const x = CONFIG.PADDING + (leftBound + leftWidth) * CONFIG.HORIZONTAL_SPACING;
-        const y = CONFIG.PADDING + depth * CONFIG.VERTICAL_SPACING;
+/**
+ * B-tree nodes hold a `keys` array instead of a single value
+ */
+function isBTree(root) {
+    return Boolean(root) && !Array.isArray(root) && Array.isArray(root.keys);
+}
 
-        positions.set(node.value, { x, y, node });
+/**
+ * Collect all edges from the tree as parent/child node id pairs
+ */
+function collectEdges(root) {
+    const edges = [];
 
-        assignPositions(node.left, depth + 1, leftBound);
-        assignPositions(node.right, depth + 1, leftBound + leftWidth + 1);
+    // Preorder with a stack: a tree of sorted keys is deeper than the call stack
+    const stack = treesOf(root).reverse().map(node => ({ node, parent: null, direction: null }));
+    while (stack.length > 0) {
+        const { node, parent, direction } = stack.pop();
+        if (parent !== null) {
+            edges.push({ parent, child: node.id, direction });
+        }
+        if (node.right) stack.push({ node: node.right, parent: node.id, direction: 'right' });
+        if (node.left) stack.push({ node: node.left, parent: node.id, direction: 'left' });
     }
 
-    calculateWidths(root);
-    assignPositions(root, 0, 0);
+    return edges;
+}
 
-    return positions;
+/**
+ * Transform scaling a node's drawing about its centre, for nodes growing in
+ */
+function scaleAbout({ x, y, scale }) {
+    return `translate(${x} ${y}) scale(${scale}) translate(${-x} ${-y})`;
 }
 
 /**
- * Collect all edges from the tree
+ * Whether the user asked the system for reduced motion
  */
-function collectEdges(root, positions) {
-    const edges = [];
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
 
-    function traverse(node) {
-        if (!node) return;
+/**
+ * What a tween shows at `progress` (0-1): every target position ({ x, y,
+ * node, scale }), and the nodes and edges that are gone with their opacity.
+ * Nodes glide from where they were drawn; new ones grow in from where their
+ * parent starts (B-tree keys where they are).
+ */
+function tweenFrame({ from, targets, edges, leaving, progress }) {
+    const parents = new Map(edges.map(edge => [edge.child, edge.parent]));
+    const startOf = (key) => {
+        if (from.has(key)) return from.get(key);
+        const origin = parents.has(key) ? startOf(parents.get(key)) : targets.get(key);
+        return { x: origin.x, y: origin.y, scale: 0 };
+    };
 
-        const parentPos = positions.get(node.value);
+    const positions = new Map();
+    targets.forEach((to, key) => {
+        const start = startOf(key);
+        positions.set(key, {
+            ...to,
+            x: start.x + (to.x - start.x) * progress,
+            y: start.y + (to.y - start.y) * progress,
+            scale: start.scale + (1 - start.scale) * progress
+        });
+    });
+
+    const opacity = 1 - progress;
+    return {
+        positions,
+        leavingNodes: opacity > 0 ? leaving.nodes.map(node => ({ ...node, opacity: node.opacity * opacity })) : [],
+        leavingEdges: opacity > 0 ? leaving.edges.map(edge => ({ ...edge, opacity: edge.opacity * opacity })) : []
+    };
+}
 
-        if (node.left) {
-            const childPos = positions.get(node.left.value);
-            edges.push({ parent: parentPos, child: childPos, direction: 'left' });
-            traverse(node.left);
-        }
+/**
+ * One entry per key, the last one given (the most recently drawn)
+ */
+function latestByKey(entries) {
+    return [...new Map(entries.map(entry => [entry.key, entry])).values()];
+}
 
-        if (node.right) {
-            const childPos = positions.get(node.right.value);
-            edges.push({ parent: parentPos, child: childPos, direction: 'right' });
-            traverse(node.right);
-        }
+/**
+ * Tween the layout whenever it changes (rotations, insertions, removals),
+ * starting from what is drawn, so a change mid-tween carries on smoothly.
+ * Returns this frame's tweenFrame(); it jumps straight to the end when the
+ * user prefers reduced motion.
+ */
+function useLayoutTween(targets, edges) {
+    const [tween, setTween] = useState(() => ({
+        from: new Map(),
+        targets,
+        edges,
+        leaving: { nodes: [], edges: [] },
+        progress: 1
+    }));
+
+    // A new layout starts from the current frame; nodes and edges no longer
+    // in it fade out from where they were drawn. Ones that are back (an undo
+    // mid-tween) stop fading, and each fades out once.
+    if (tween.targets !== targets) {
+        const shown = tweenFrame(tween);
+        const ends = (edge) => ({ parent: shown.positions.get(edge.parent), child: shown.positions.get(edge.child) });
+        const edgeKeys = new Set(edges.map(edge => `${edge.parent}-${edge.child}`));
+        setTween({
+            from: shown.positions,
+            targets,
+            edges,
+            leaving: {
+                nodes: latestByKey([
+                    ...shown.leavingNodes,
+                    ...[...shown.positions]
+                        .filter(([key]) => !targets.has(key))
+                        .map(([key, pos]) => ({ key, ...pos, opacity: 1 }))
+                ].filter(node => !targets.has(node.key))),
+                edges: latestByKey([
+                    ...shown.leavingEdges,
+                    ...tween.edges
+                        .filter(edge => !targets.has(edge.parent) || !targets.has(edge.child))
+                        .map(edge => ({ ...ends(edge), key: `${edge.parent}-${edge.child}`, opacity: 1 }))
+                ].filter(edge => !edgeKeys.has(edge.key)))
+            },
+            progress: shown.positions.size > 0 && !prefersReducedMotion() ? 0 : 1
+        });
     }
 
-    traverse(root);
-    return edges;
+    useEffect(() => {
+        const start = performance.now();
+        let rafId = null;
+
+        const tick = (now) => {
+            const t = Math.min(1, (now - start) / CONFIG.TWEEN_DURATION);
+            const progress = 1 - Math.pow(1 - t, 3); // ease-out cubic
+            setTween(current => (current.progress < 1 ? { ...current, progress } : current));
+            if (t < 1) rafId = requestAnimationFrame(tick);
+        };
+
+        rafId = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(rafId);
+    }, [targets]);
+
+    return useMemo(() => tweenFrame(tween), [tween]);
 }
 
 /**
  * BST Visualizer React Component with Animation Controls
  */
-const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animationSpeed = 800, traversalType = null }, ref) {
-    const [positions, setPositions] = useState(new Map());
-    const [edges, setEdges] = useState([]);
-    const [highlightedNode, setHighlightedNode] = useState(null);
-    const [highlightState, setHighlightState] = useState(null);
-    const [currentStep, setCurrentStep] = useState(null);
+const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, baseTree = null, finalTree = null, animationSpeed = 800, traversalType = null, onComplete = null, heatmap = null, showSizes = false, showBalance = false, layout = TreeLayout.CLASSIC, backend = 'svg' }, ref) {
     const [stepIndex, setStepIndex] = useState(-1);
     const [isPlaying, setIsPlaying] = useState(false);
-    const [visitedNodes, setVisitedNodes] = useState([]);
+    const [direction, setDirection] = useState(1); // 1 plays forward, -1 in reverse
+    const [shownSteps, setShownSteps] = useState(steps);
+    // Nodes are drawn at their final positions while frames are captured
+    const [frozen, setFrozen] = useState(false);
     const timeoutRef = useRef(null);
-    const stepsRef = useRef([]);
+    const svgRef = useRef(null);
+    const containerRef = useRef(null);
+    const minimapRef = useRef(null);
+    const viewportRef = useRef(null);
+    const canvasRef = useRef(null);
+    const canvasRendererRef = useRef(null);
+    const [zoom, setZoom] = useState(1);
+    const [canvasZoom, setCanvasZoom] = useState(1);
+    // Keep the highlighted node centred while steps play
+    const [follow, setFollow] = useState(false);
+
+    // New steps start from the beginning; reset while rendering so the
+    // old index never shows a frame of the new steps
+    if (steps !== shownSteps) {
+        setShownSteps(steps);
+        setStepIndex(-1);
+    }
 
-    // Compute positions when root changes
-    useEffect(() => {
-        const newPositions = computePositions(root);
-        setPositions(newPositions);
-        setEdges(collectEdges(root, newPositions));
-    }, [root]);
+    // Everything on screen for the current step comes from its timeline
+    // frame, so stepping back and seeking jump straight there. Frames carry
+    // a tree once the shape changes (rotations, the inserted node, ...);
+    // otherwise the root prop is shown.
+    const timeline = useMemo(
+        () => new StepTimeline(steps || [], baseTree, finalTree),
+        [steps, baseTree, finalTree]
+    );
+    const frame = useMemo(() => timeline.frameAt(stepIndex + 1), [timeline, stepIndex]);
+    const currentStep = frame.step;
+    const displayRoot = frame.tree !== null ? frame.tree : root;
+
+    // The canvas backend lays out and draws the tree itself; the SVG stays
+    // empty meanwhile
+    const canvasBackend = backend === 'canvas';
+    const svgRoot = canvasBackend ? null : displayRoot;
+    const btree = isBTree(svgRoot);
+    const { positions, boxes } = useMemo(() => computeLayout(svgRoot, layout, CONFIG), [svgRoot, layout]);
+    const edges = useMemo(() => (btree ? [] : collectEdges(svgRoot)), [btree, svgRoot]);
+    const balanceFactors = useMemo(
+        () => (showBalance ? computeTreeStats(svgRoot).balanceFactors : null),
+        [showBalance, svgRoot]
+    );
+    const tween = useLayoutTween(positions, edges);
+    const positionOf = (key) => (frozen ? { ...positions.get(key), scale: 1 } : tween.positions.get(key) || positions.get(key));
 
-    // Update steps ref when steps change
+    // Zoom and pan (see viewport.js); the viewport sizes the SVG itself
     useEffect(() => {
-        stepsRef.current = steps || [];
-        if (steps && steps.length > 0) {
-            setStepIndex(-1);
-            setCurrentStep(null);
-            setHighlightedNode(null);
-            setHighlightState(null);
-            setVisitedNodes([]);
-        }
-    }, [steps]);
-
-    // Apply step highlight
-    const applyStep = useCallback((index) => {
-        if (index < 0 || index >= stepsRef.current.length) {
-            setCurrentStep(null);
-            setHighlightedNode(null);
-            setHighlightState(null);
-            return;
-        }
+        const viewport = new TreeViewport(containerRef.current, svgRef.current, minimapRef.current);
+        viewport.onChange = setZoom;
+        viewportRef.current = viewport;
+        return () => viewport.destroy();
+    }, []);
 
-        const step = stepsRef.current[index];
-        setCurrentStep(step);
-        setStepIndex(index);
-
-        if (step.node !== null) {
-            setHighlightedNode(step.node);
-            setHighlightState(step.action);
-
-            // Track visited nodes for traversal result
-            if (step.action === Action.VISITED) {
-                setVisitedNodes(prev => {
-                    if (!prev.includes(step.node)) {
-                        return [...prev, step.node];
-                    }
-                    return prev;
-                });
-            }
-        }
+    // Canvas backend (see canvas-renderer.js): clicking a node collapses or
+    // expands its subtree; it zooms and pans itself
+    useEffect(() => {
+        const renderer = new CanvasRenderer(canvasRef.current, CONFIG);
+        renderer.onChange = setCanvasZoom;
+        canvasRendererRef.current = renderer;
+        return () => renderer.destroy();
     }, []);
 
+    // The canvas shows the frame's tree and highlights, like the SVG below
+    useEffect(() => {
+        if (!canvasBackend) return;
+        const renderer = canvasRendererRef.current;
+        if (renderer.layout !== layout) renderer.setLayout(layout);
+        if (renderer.root !== displayRoot) renderer.render(displayRoot, { animate: true });
+        if (renderer.showBalance !== showBalance) renderer.setShowBalance(showBalance);
+        renderer.setShowSizes(showSizes);
+        renderer.setHeatmap(heatmap);
+
+        renderer.clearHighlights();
+        const state = frame.step ? STATE_CLASSES[frame.step.action] : null;
+        if (state) frame.targets.forEach(key => renderer.highlightNode(key, state));
+        renderer.setPaths(frame.paths, frame.lca);
+        renderer.setDimmed(frame.range ? frame.range.pruned : null);
+    }, [canvasBackend, displayRoot, layout, frame, heatmap, showSizes, showBalance]);
+
+    // Zoom buttons and follow act on whichever backend is drawing
+    const view = () => (canvasBackend ? canvasRendererRef.current : viewportRef.current);
+
+    useEffect(() => {
+        if (!follow || frame.targets.length === 0) return;
+        const shown = canvasBackend ? canvasRendererRef.current.nodePositions : positions;
+        const pos = shown.get(frame.targets[0]);
+        if (pos) (canvasBackend ? canvasRendererRef.current : viewportRef.current).centerOn(pos.x, pos.y);
+    }, [follow, frame, positions, canvasBackend]);
+
     // Step forward
     const stepForward = useCallback(() => {
         const nextIndex = stepIndex + 1;
-        if (nextIndex < stepsRef.current.length) {
-            applyStep(nextIndex);
+        if (nextIndex < timeline.length) {
+            setStepIndex(nextIndex);
             return true;
         }
         return false;
-    }, [stepIndex, applyStep]);
+    }, [stepIndex, timeline]);
 
-    // Step backward
+    // Step backward (to before the first step at most)
     const stepBackward = useCallback(() => {
-        const prevIndex = stepIndex - 1;
-        if (prevIndex >= 0) {
-            applyStep(prevIndex);
+        if (stepIndex >= 0) {
+            setStepIndex(stepIndex - 1);
             return true;
-        } else if (stepIndex === 0) {
-            setStepIndex(-1);
-            setCurrentStep(null);
-            setHighlightedNode(null);
-            setHighlightState(null);
         }
         return false;
-    }, [stepIndex, applyStep]);
+    }, [stepIndex]);
 
     // Play animation
     const play = useCallback(() => {
-        if (stepsRef.current.length === 0) return;
+        if (timeline.length === 0) return;
+        setDirection(1);
         setIsPlaying(true);
-    }, []);
+    }, [timeline]);
+
+    // Play backward to the start, from the end if nothing is shown yet
+    const playBackward = useCallback(() => {
+        if (timeline.length === 0) return;
+        if (stepIndex < 0) setStepIndex(timeline.length - 1);
+        setDirection(-1);
+        setIsPlaying(true);
+    }, [timeline, stepIndex]);
 
     // Stop animation
     const stop = useCallback(() => {
@@ -177,39 +354,75 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
         }
     }, []);
 
+    // Show the state after the first `count` steps (0 = before any step)
+    const seek = useCallback((count) => {
+        stop();
+        setStepIndex(Math.max(0, Math.min(count, timeline.length)) - 1);
+    }, [stop, timeline]);
+
     // Reset animation
     const reset = useCallback(() => {
+        seek(0);
+    }, [seek]);
+
+    // Capture the SVG on screen with its styles inlined (see exporter.js),
+    // at rest even if a tween is running
+    const captureFrame = useCallback(() => {
+        flushSync(() => setFrozen(true));
+        const capture = captureSvg(svgRef.current);
+        flushSync(() => setFrozen(false));
+        return capture;
+    }, []);
+
+    // Capture every frame of the steps, from before the first to after the
+    // last, captioned with its step; the frame on screen comes back after
+    const captureFrames = useCallback(() => {
+        const shown = stepIndex;
+        const frames = [];
         stop();
-        setStepIndex(-1);
-        setCurrentStep(null);
-        setHighlightedNode(null);
-        setHighlightState(null);
-        setVisitedNodes([]);
-    }, [stop]);
+        flushSync(() => setFrozen(true));
+        for (let count = 0; count <= timeline.length; count++) {
+            flushSync(() => setStepIndex(count - 1));
+            const { step } = timeline.frameAt(count);
+            frames.push({
+                capture: captureSvg(svgRef.current),
+                caption: step ? `Step ${count}/${timeline.length}: ${step.description}` : `Step 0/${timeline.length}`
+            });
+        }
+        flushSync(() => {
+            setStepIndex(shown);
+            setFrozen(false);
+        });
+        return frames;
+    }, [stop, stepIndex, timeline]);
 
     // Expose controls via ref
     useImperativeHandle(ref, () => ({
         play,
+        playBackward,
         stop,
         reset,
+        seek,
         stepForward,
         stepBackward,
+        captureFrame,
+        captureFrames,
         isPlaying,
         currentIndex: stepIndex,
-        totalSteps: stepsRef.current.length
-    }), [play, stop, reset, stepForward, stepBackward, isPlaying, stepIndex]);
+        totalSteps: timeline.length
+    }), [play, playBackward, stop, reset, seek, stepForward, stepBackward, captureFrame, captureFrames, isPlaying, stepIndex, timeline]);
 
     // Auto-play effect
     useEffect(() => {
         if (!isPlaying) return;
 
         const executeStep = () => {
-            const nextIndex = stepIndex + 1;
-            if (nextIndex >= stepsRef.current.length) {
+            const nextIndex = stepIndex + direction;
+            if (nextIndex < -1 || nextIndex >= timeline.length) {
                 setIsPlaying(false);
                 return;
             }
-            applyStep(nextIndex);
+            setStepIndex(nextIndex);
         };
 
         timeoutRef.current = setTimeout(executeStep, animationSpeed);
@@ -219,7 +432,16 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
                 clearTimeout(timeoutRef.current);
             }
         };
-    }, [isPlaying, stepIndex, animationSpeed, applyStep]);
+    }, [isPlaying, direction, stepIndex, animationSpeed, timeline]);
+
+    // Notify once the last step has been on screen for one tick
+    useEffect(() => {
+        if (!onComplete || timeline.length === 0) return;
+        if (stepIndex !== timeline.length - 1) return;
+
+        const timeoutId = setTimeout(onComplete, animationSpeed);
+        return () => clearTimeout(timeoutId);
+    }, [stepIndex, animationSpeed, onComplete, timeline]);
 
     // Calculate SVG dimensions
     const positionsArray = Array.from(positions.values());
@@ -230,25 +452,51 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
         ? Math.max(...positionsArray.map(p => p.y)) + CONFIG.PADDING + CONFIG.NODE_RADIUS + 50
         : 300;
 
-    // Get node class based on highlight state
-    const getNodeClass = (value) => {
-        if (highlightedNode !== value) return 'node';
-
-        const stateClasses = {
-            [Action.VISITED]: 'node active',
-            [Action.COMPARED]: 'node compared',
-            [Action.FOUND]: 'node found',
-            [Action.INSERTED]: 'node inserted',
-            [Action.MOVED_LEFT]: 'node active',
-            [Action.MOVED_RIGHT]: 'node active',
-            [Action.NOT_FOUND]: 'node'
-        };
+    // Access heatmap: color exposed as --heat-fill so highlight states still win
+    const maxAccesses = heatmap ? Math.max(1, ...heatmap.values()) : 1;
+    const getNodeStyle = (value) => {
+        if (!heatmap) return undefined;
+        return { '--heat-fill': heatColor((heatmap.get(value) || 0) / maxAccesses) };
+    };
+
+    // Get node class (by node id, or key for B-trees) based on highlight
+    // state, layered on the node's own color class (red-black trees) and
+    // the heatmap
+    // LCA query: both search paths stay outlined (the shared prefix is on
+    // both), and the LCA keeps its own state once it is known
+    const { paths, lca, range } = frame;
+    const pathA = new Set(paths ? paths.a : []);
+    const pathB = new Set(paths ? paths.b : []);
+    const onPath = (path, edge) => path.has(edge.parent) && path.has(edge.child);
+
+    const getNodeClass = (key) => {
+        const node = positions.get(key).node;
+        let base = node.color ? `node node-${node.color}` : 'node';
+        if (btree) base += ' btree-key';
+        if (heatmap) base += ' heat';
+        if (pathA.has(key)) base += ' path-a';
+        if (pathB.has(key)) base += ' path-b';
+        if (key === lca) base += ' lca';
+
+        if (!frame.targets.includes(key)) return base;
+
+        const state = STATE_CLASSES[currentStep.action];
+        return state ? `${base} ${state}` : base;
+    };
+
+    // Range search: subtrees pruned so far are dimmed
+    const dimmed = new Set(range ? range.pruned : []);
 
-        return stateClasses[highlightState] || 'node';
+    const getEdgeClass = (edge) => {
+        let base = 'edge';
+        if (dimmed.has(edge.child)) base += ' dimmed';
+        if (onPath(pathA, edge)) base += ' path-a';
+        if (onPath(pathB, edge)) base += ' path-b';
+        return base;
     };
 
-    const totalSteps = stepsRef.current.length;
-    const displayIndex = stepIndex + 1;
+    const totalSteps = timeline.length;
+    const displayIndex = frame.count;
 
     return (
         <div className="bst-visualizer">
@@ -271,6 +519,14 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
                 >
                     ⏮ Reset
                 </button>
+                <button
+                    className="control-btn"
+                    onClick={playBackward}
+                    disabled={totalSteps === 0 || isPlaying}
+                    title="Play backward"
+                >
+                    ◀◀ Reverse
+                </button>
                 <button
                     className="control-btn"
                     onClick={stepBackward}
@@ -305,63 +561,263 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
                 >
                     Next ▶
                 </button>
+                <input
+                    type="range"
+                    className="step-scrubber"
+                    min={0}
+                    max={totalSteps}
+                    value={displayIndex}
+                    onChange={(e) => seek(Number(e.target.value))}
+                    disabled={totalSteps === 0}
+                    aria-label="Step"
+                />
             </div>
 
-            {/* SVG Tree */}
-            <div className="svg-container">
-                <svg width={svgWidth} height={svgHeight} viewBox={`0 0 ${svgWidth} ${svgHeight}`}>
-                    {/* Edges */}
-                    <g className="edges">
-                        {edges.map((edge, i) => {
-                            const angle = Math.atan2(
-                                edge.child.y - edge.parent.y,
-                                edge.child.x - edge.parent.x
-                            );
-                            return (
-                                <line
-                                    key={i}
-                                    x1={edge.parent.x + CONFIG.NODE_RADIUS * Math.cos(angle)}
-                                    y1={edge.parent.y + CONFIG.NODE_RADIUS * Math.sin(angle)}
-                                    x2={edge.child.x - CONFIG.NODE_RADIUS * Math.cos(angle)}
-                                    y2={edge.child.y - CONFIG.NODE_RADIUS * Math.sin(angle)}
-                                    className="edge"
-                                />
-                            );
-                        })}
-                    </g>
-
-                    {/* Nodes */}
-                    <g className="nodes">
-                        {Array.from(positions.entries()).map(([value, pos]) => (
-                            <g key={value} className="node-group">
-                                <circle
-                                    cx={pos.x}
-                                    cy={pos.y}
-                                    r={CONFIG.NODE_RADIUS}
-                                    className={getNodeClass(value)}
-                                />
-                                <text
-                                    x={pos.x}
-                                    y={pos.y}
-                                    className="node-label"
-                                    textAnchor="middle"
-                                    dominantBaseline="central"
-                                >
-                                    {value}
-                                </text>
+            <div className="canvas-row">
+                {/* SVG Tree */}
+                <div className="svg-viewport">
+                    <div className="svg-container" ref={containerRef} hidden={canvasBackend}>
+                        <svg ref={svgRef} width={svgWidth} height={svgHeight} viewBox={`0 0 ${svgWidth} ${svgHeight}`}>
+                            {/* One group, so the minimap can <use> the drawing */}
+                            <g id="tree-layers" className="tree-layers">
+                                {/* Edges */}
+                                <g className="edges">
+                                    {edges.map((edge) => {
+                                        const parent = positionOf(edge.parent);
+                                        const child = positionOf(edge.child);
+                                        const angle = Math.atan2(child.y - parent.y, child.x - parent.x);
+                                        return (
+                                            <line
+                                                key={`${edge.parent}-${edge.child}`}
+                                                x1={parent.x + CONFIG.NODE_RADIUS * Math.cos(angle)}
+                                                y1={parent.y + CONFIG.NODE_RADIUS * Math.sin(angle)}
+                                                x2={child.x - CONFIG.NODE_RADIUS * Math.cos(angle)}
+                                                y2={child.y - CONFIG.NODE_RADIUS * Math.sin(angle)}
+                                                className={getEdgeClass(edge)}
+                                            />
+                                        );
+                                    })}
+                                    {boxes.flatMap((box) => box.children.map((child, i) => (
+                                        <line
+                                            key={`${box.node.keys[0]}-${i}`}
+                                            x1={box.x + i * CONFIG.KEY_WIDTH}
+                                            y1={box.y + CONFIG.KEY_HEIGHT / 2}
+                                            x2={child.x + child.width / 2}
+                                            y2={child.y - CONFIG.KEY_HEIGHT / 2}
+                                            className="edge"
+                                        />
+                                    )))}
+                                </g>
+
+                                {/* Nodes */}
+                                <g className="nodes">
+                                    {Array.from(positions.keys()).map((key) => {
+                                        const pos = positionOf(key);
+                                        const value = btree ? key : pos.node.value;
+                                        return (
+                                            <g
+                                                key={key}
+                                                className={dimmed.has(key) ? 'node-group dimmed' : 'node-group'}
+                                                transform={pos.scale < 1 ? scaleAbout(pos) : undefined}
+                                            >
+                                                {btree ? (
+                                                    <rect
+                                                        x={pos.x - CONFIG.KEY_WIDTH / 2}
+                                                        y={pos.y - CONFIG.KEY_HEIGHT / 2}
+                                                        width={CONFIG.KEY_WIDTH}
+                                                        height={CONFIG.KEY_HEIGHT}
+                                                        className={getNodeClass(key)}
+                                                        style={getNodeStyle(value)}
+                                                    />
+                                                ) : (
+                                                    <circle
+                                                        cx={pos.x}
+                                                        cy={pos.y}
+                                                        r={CONFIG.NODE_RADIUS}
+                                                        className={getNodeClass(key)}
+                                                        style={getNodeStyle(value)}
+                                                    />
+                                                )}
+                                                <text
+                                                    x={pos.x}
+                                                    y={pos.y}
+                                                    className="node-label"
+                                                    textAnchor="middle"
+                                                    dominantBaseline="central"
+                                                >
+                                                    {value}
+                                                </text>
+                                                {pos.node.priority !== undefined && (
+                                                    <text
+                                                        x={pos.x}
+                                                        y={pos.y + CONFIG.NODE_RADIUS + 4}
+                                                        className="node-priority"
+                                                        textAnchor="middle"
+                                                        dominantBaseline="hanging"
+                                                    >
+                                                        p={pos.node.priority}
+                                                    </text>
+                                                )}
+                                                {pos.node.count > 1 && (
+                                                    <text
+                                                        x={pos.x + CONFIG.NODE_RADIUS * 0.8}
+                                                        y={pos.y + CONFIG.NODE_RADIUS * 0.8}
+                                                        className="node-count"
+                                                        dominantBaseline="hanging"
+                                                    >
+                                                        ×{pos.node.count}
+                                                    </text>
+                                                )}
+                                                {showSizes && pos.node.size !== undefined && (
+                                                    <g className="node-size">
+                                                        <circle
+                                                            cx={pos.x + CONFIG.NODE_RADIUS * 0.8}
+                                                            cy={pos.y - CONFIG.NODE_RADIUS * 0.8}
+                                                            r={10}
+                                                            className="node-size-badge"
+                                                        />
+                                                        <text
+                                                            x={pos.x + CONFIG.NODE_RADIUS * 0.8}
+                                                            y={pos.y - CONFIG.NODE_RADIUS * 0.8}
+                                                            className="node-size-label"
+                                                            textAnchor="middle"
+                                                            dominantBaseline="central"
+                                                        >
+                                                            {pos.node.size}
+                                                        </text>
+                                                    </g>
+                                                )}
+                                                {balanceFactors && balanceFactors.has(key) && (
+                                                    <text
+                                                        x={pos.x - CONFIG.NODE_RADIUS * 0.8}
+                                                        y={pos.y - CONFIG.NODE_RADIUS * 0.8}
+                                                        className={`node-balance${Math.abs(balanceFactors.get(key)) > 1 ? ' unbalanced' : ''}`}
+                                                        textAnchor="end"
+                                                        dominantBaseline="central"
+                                                    >
+                                                        {balanceFactors.get(key) > 0 ? `+${balanceFactors.get(key)}` : balanceFactors.get(key)}
+                                                    </text>
+                                                )}
+                                            </g>
+                                        );
+                                    })}
+                                    {boxes.map((box) => (
+                                        <rect
+                                            key={box.node.keys.join('|')}
+                                            x={box.x}
+                                            y={box.y - CONFIG.KEY_HEIGHT / 2}
+                                            width={box.width}
+                                            height={CONFIG.KEY_HEIGHT}
+                                            rx={6}
+                                            className="btree-frame"
+                                        />
+                                    ))}
+                                </g>
+
+                                {/* Removed nodes and their edges fading out */}
+                                {!frozen && (tween.leavingNodes.length > 0 || tween.leavingEdges.length > 0) && (
+                                    <g className="leaving">
+                                        {tween.leavingEdges.map((edge) => {
+                                            const angle = Math.atan2(edge.child.y - edge.parent.y, edge.child.x - edge.parent.x);
+                                            return (
+                                                <line
+                                                    key={edge.key}
+                                                    x1={edge.parent.x + CONFIG.NODE_RADIUS * Math.cos(angle)}
+                                                    y1={edge.parent.y + CONFIG.NODE_RADIUS * Math.sin(angle)}
+                                                    x2={edge.child.x - CONFIG.NODE_RADIUS * Math.cos(angle)}
+                                                    y2={edge.child.y - CONFIG.NODE_RADIUS * Math.sin(angle)}
+                                                    className="edge"
+                                                    opacity={edge.opacity}
+                                                />
+                                            );
+                                        })}
+                                        {tween.leavingNodes.map((pos) => {
+                                            const cell = isBTree(pos.node);
+                                            const base = pos.node.color ? `node node-${pos.node.color}` : 'node';
+                                            return (
+                                                <g
+                                                    key={pos.key}
+                                                    className="node-group"
+                                                    opacity={pos.opacity}
+                                                    transform={pos.scale < 1 ? scaleAbout(pos) : undefined}
+                                                >
+                                                    {cell ? (
+                                                        <rect
+                                                            x={pos.x - CONFIG.KEY_WIDTH / 2}
+                                                            y={pos.y - CONFIG.KEY_HEIGHT / 2}
+                                                            width={CONFIG.KEY_WIDTH}
+                                                            height={CONFIG.KEY_HEIGHT}
+                                                            className={`${base} btree-key`}
+                                                        />
+                                                    ) : (
+                                                        <circle cx={pos.x} cy={pos.y} r={CONFIG.NODE_RADIUS} className={base} />
+                                                    )}
+                                                    <text
+                                                        x={pos.x}
+                                                        y={pos.y}
+                                                        className="node-label"
+                                                        textAnchor="middle"
+                                                        dominantBaseline="central"
+                                                    >
+                                                        {cell ? pos.key : pos.node.value}
+                                                    </text>
+                                                </g>
+                                            );
+                                        })}
+                                    </g>
+                                )}
                             </g>
-                        ))}
-                    </g>
-
-                    {/* Empty message */}
-                    {positions.size === 0 && (
-                        <text x="50%" y="50%" className="empty-message" textAnchor="middle">
-                            Tree is empty
-                        </text>
-                    )}
-                </svg>
+
+                            {/* Empty message */}
+                            {positions.size === 0 && (
+                                <text x="50%" y="50%" className="empty-message" textAnchor="middle">
+                                    Tree is empty
+                                </text>
+                            )}
+                        </svg>
+                    </div>
+                    <canvas className="tree-canvas" ref={canvasRef} hidden={!canvasBackend} />
+                    <div className="viewport-controls">
+                        <button className="viewport-btn" onClick={() => view().zoomBy(0.8)} title="Zoom out">−</button>
+                        <button className="viewport-btn" onClick={() => view().zoomTo(1)} title="Actual size">
+                            {Math.round((canvasBackend ? canvasZoom : zoom) * 100)}%
+                        </button>
+                        <button className="viewport-btn" onClick={() => view().zoomBy(1.25)} title="Zoom in">+</button>
+                        <button className="viewport-btn" onClick={() => view().fit()} title="Fit the whole tree in view">Fit</button>
+                        <button
+                            className="viewport-btn"
+                            onClick={() => setFollow(!follow)}
+                            aria-pressed={follow}
+                            title="Keep the highlighted node centred during playback"
+                        >
+                            Follow
+                        </button>
+                    </div>
+                    <svg className="minimap hidden" ref={minimapRef} aria-label="Minimap" hidden={canvasBackend}>
+                        <use href="#tree-layers" />
+                    </svg>
+                </div>
+
+                {/* Code Panel */}
+                <CodePanel steps={steps} step={currentStep} />
             </div>
 
+            {/* Queue Strip (level-order traversals) */}
+            {frame.queue && (
+                <div className="queue-strip">
+                    <div className="result-label">Queue:</div>
+                    <div className="queue-items">
+                        {frame.queue.length === 0 ? (
+                            <span className="queue-empty">empty</span>
+                        ) : (
+                            frame.queue.map((value, i) => (
+                                <span key={i} className="queue-item">{value}</span>
+                            ))
+                        )}
+                    </div>
+                </div>
+            )}
+
             {/* Legend */}
             <div className="legend">
                 <div className="legend-item"><span className="legend-dot default"></span> Default</div>
@@ -369,16 +825,46 @@ const BSTVisualizer = forwardRef(function BSTVisualizer({ root, steps, animation
                 <div className="legend-item"><span className="legend-dot compared"></span> Compared</div>
                 <div className="legend-item"><span className="legend-dot found"></span> Found</div>
                 <div className="legend-item"><span className="legend-dot inserted"></span> Inserted</div>
+                <div className="legend-item"><span className="legend-dot removing"></span> Removing</div>
+                <div className="legend-item"><span className="legend-dot successor"></span> Successor</div>
+                <div className="legend-item"><span className="legend-dot replaced"></span> Replaced</div>
+                <div className="legend-item"><span className="legend-dot queued"></span> Queued</div>
+                <div className="legend-item"><span className="legend-dot rotated"></span> Rotated</div>
+                <div className="legend-item"><span className="legend-dot answer"></span> Answer</div>
+                <div className="legend-item"><span className="legend-dot pruned"></span> Pruned</div>
+                <div className="legend-item"><span className="legend-dot lca"></span> LCA</div>
+                <div className="legend-item"><span className="legend-dot path-a"></span> Path to a</div>
+                <div className="legend-item"><span className="legend-dot path-b"></span> Path to b</div>
+                <div className="legend-item"><span className="legend-dot rb-red"></span> Red</div>
+                <div className="legend-item"><span className="legend-dot rb-black"></span> Black</div>
+                {heatmap && (
+                    <div className="legend-item"><span className="legend-dot heat"></span> Cold → Hot</div>
+                )}
             </div>
 
+            {/* Range Search Result */}
+            {range && (
+                <div className="traversal-result">
+                    <div className="result-label">
+                        Range [{range.lo}, {range.hi}]:
+                    </div>
+                    <div className="result-values">
+                        [{range.keys.join(', ')}]
+                    </div>
+                    <div className="result-count">
+                        {range.keys.length} {range.keys.length === 1 ? 'key' : 'keys'}
+                    </div>
+                </div>
+            )}
+
             {/* Traversal Result */}
-            {traversalType && visitedNodes.length > 0 && (
+            {traversalType && frame.visited.length > 0 && (
                 <div className="traversal-result">
                     <div className="result-label">
                         {traversalType} Result:
                     </div>
                     <div className="result-values">
-                        [{visitedNodes.join(', ')}]
+                        [{frame.visited.map(visited => visited.value).join(', ')}]
                     </div>
                 </div>
             )}
@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { CodeLanguage, CodeListings, codeLineOf, codeListingFor } from './pseudocode';
+
+const LANGUAGE_LABELS = {
+    [CodeLanguage.PSEUDOCODE]: 'Pseudocode',
+    [CodeLanguage.JAVASCRIPT]: 'JavaScript',
+    [CodeLanguage.PYTHON]: 'Python'
+};
+
+/**
+ * Code behind the steps being played, in a choice of languages, with the
+ * line that produced the current step highlighted
+ */
+function CodePanel({ steps, step }) {
+    const [language, setLanguage] = useState(CodeLanguage.PSEUDOCODE);
+
+    const algorithm = codeListingFor(steps || []);
+    const listing = algorithm !== null ? CodeListings[algorithm] : null;
+    const ref = codeLineOf(step);
+    const isActive = (id) => ref !== null && ref.algorithm === algorithm && id === ref.line;
+
+    return (
+        <aside className="code-panel">
+            <div className="code-header">
+                <span className="result-label">{listing ? listing.title : 'Code'}</span>
+                <select
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    aria-label="Code language"
+                >
+                    {Object.entries(LANGUAGE_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+            </div>
+            <ol className="code-listing">
+                {listing ? (
+                    listing[language].map(([id, text], i) => (
+                        <li key={i} className={isActive(id) ? 'code-line active' : 'code-line'}>
+                            {text}
+                        </li>
+                    ))
+                ) : (
+                    <li className="code-empty">Insert, search or traverse to follow the code</li>
+                )}
+            </ol>
+        </aside>
+    );
+}
+
+export default CodePanel;
@@ -10,12 +10,18 @@ const TUTORIAL_STEPS = [
     },
     {
         target: '.controls section:nth-child(1)',
+        title: 'Tree Mode',
+        content: 'Switch between a plain BST, the self-balancing AVL and red-black trees, a splay tree, a treap (with split and merge) and a B-tree. Turn on the access heatmap to watch frequently used keys move toward the root. The current keys are rebuilt in the new mode, so try it on the skewed presets!',
+        position: 'right'
+    },
+    {
+        target: '.controls section:nth-child(2)',
         title: 'Insert Nodes',
         content: 'Enter a number and click "Insert" to add nodes to the tree. Watch as the BST property is maintained!',
         position: 'right'
     },
     {
-        target: '.controls section:nth-child(2)',
+        target: '.controls section:nth-child(3)',
         title: 'Search Nodes',
         content: 'Search for a value to see the path taken through the tree. Found nodes are highlighted in green.',
         position: 'right'
@@ -23,7 +29,7 @@ const TUTORIAL_STEPS = [
     {
         target: '.traversal-buttons',
         title: 'Tree Traversals',
-        content: 'Explore three traversal methods:\n• Inorder (L→N→R): Sorted order\n• Preorder (N→L→R): Root first\n• Postorder (L→R→N): Root last',
+        content: 'Explore the traversal methods:\n• Inorder (L→N→R): Sorted order\n• Preorder (N→L→R): Root first\n• Postorder (L→R→N): Root last\n• Level Order: Breadth-first, with the queue shown below the tree\n• Zig-zag: Level order, alternating direction',
         position: 'right'
     },
     {
@@ -1,6 +1,7 @@
 /**
  * Binary Search Tree Data Structure
- * With step recording for animation
+ * With step recording for animation; steps of the plain insert, search and
+ * traversals name the code line behind them in `line` (see pseudocode.js)
  */
 
 // Action types
@@ -11,267 +12,3254 @@ export const Action = {
     MOVED_RIGHT: 'moved_right',
     INSERTED: 'inserted',
     FOUND: 'found',
-    NOT_FOUND: 'not_found'
+    NOT_FOUND: 'not_found',
+    REMOVING: 'removing',
+    SUCCESSOR: 'successor',
+    REPLACED: 'replaced',
+    ENQUEUED: 'enqueued',
+    DEQUEUED: 'dequeued',
+    BALANCE_CHECKED: 'balance_checked',
+    ROTATED: 'rotated',
+    RECOLORED: 'recolored',
+    UNCLE_CHECKED: 'uncle_checked',
+    SIBLING_CHECKED: 'sibling_checked',
+    SPLAYED: 'splayed',
+    PRIORITY_CHECKED: 'priority_checked',
+    SPLIT: 'split',
+    MERGED: 'merged',
+    DESCENDED: 'descended',
+    PROMOTED: 'promoted',
+    BORROWED: 'borrowed',
+    CLIMBED: 'climbed',
+    ANSWER: 'answer',
+    PRUNED: 'pruned',
+    COLLECTED: 'collected',
+    LCA: 'lca'
 };
 
+// Action under the name the step-type docs use
+export const StepType = Action;
+
+// One recorded step, built from the object literal of its fields; `message`
+// is the description under the docs' older name
+class Step {
+    constructor(fields) {
+        Object.assign(this, fields);
+    }
+
+    get message() {
+        return this.description;
+    }
+}
+
+// What insert() does with a key that is already in the tree
+export const DuplicatePolicy = {
+    REJECT: 'reject',   // skip it
+    COUNT: 'count',     // bump the count of the existing node
+    LEFT: 'left',       // add another node, equal keys go left
+    RIGHT: 'right'      // add another node, equal keys go right
+};
+
+// Key types a tree can hold (createTree(mode, { keyType }))
+export const KeyType = {
+    NUMBER: 'number',       // integers, floats and negatives
+    STRING: 'string',       // locale-aware text order
+    STRING_CI: 'string_ci', // locale-aware, ignoring case
+    DATE: 'date'            // ISO dates (YYYY-MM-DD)
+};
+
+// Ordered, so sample keys keep the order of the numbers they stand for
+const SAMPLE_WORDS = [
+    'alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india',
+    'juliett', 'kilo', 'lima', 'mike', 'november', 'oscar', 'papa', 'quebec', 'romeo',
+    'sierra', 'tango', 'uniform', 'victor', 'whiskey', 'xray', 'yankee', 'zulu'
+];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// How each key type orders, reads and describes its keys.
+// compare(a, b) is negative, zero or positive like Array.prototype.sort's;
+// words name a < b, a = b and a > b in step descriptions; parse(text)
+// returns a key or null for invalid input; sample(n) is a key standing in
+// for n in 1-100 (quick builds and random trees).
+export const KeyTypes = {
+    [KeyType.NUMBER]: {
+        label: 'Number',
+        inputType: 'number',
+        compare: (a, b) => a - b,
+        words: ['<', '=', '>'],
+        parse: text => {
+            const trimmed = String(text).trim();
+            const value = Number(trimmed);
+            return trimmed !== '' && Number.isFinite(value) ? value : null;
+        },
+        sample: n => n
+    },
+    [KeyType.STRING]: {
+        label: 'Text',
+        inputType: 'text',
+        compare: new Intl.Collator().compare,
+        words: ['comes before', 'equals', 'comes after'],
+        parse: text => (String(text).trim() !== '' ? String(text).trim() : null),
+        sample: n => SAMPLE_WORDS[Math.floor((n - 1) * SAMPLE_WORDS.length / 100)]
+    },
+    [KeyType.STRING_CI]: {
+        label: 'Text (ignore case)',
+        inputType: 'text',
+        compare: new Intl.Collator(undefined, { sensitivity: 'accent' }).compare,
+        words: ['comes before', 'matches', 'comes after'],
+        parse: text => (String(text).trim() !== '' ? String(text).trim() : null),
+        sample: n => SAMPLE_WORDS[Math.floor((n - 1) * SAMPLE_WORDS.length / 100)]
+    },
+    [KeyType.DATE]: {
+        label: 'Date',
+        inputType: 'date',
+        // ISO dates of the same length sort as text
+        compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+        words: ['is before', 'is the same day as', 'is after'],
+        parse: text => {
+            const match = ISO_DATE.exec(String(text).trim());
+            if (!match) return null;
+            const [, year, month, day] = match.map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? match[0] : null;
+        },
+        sample: n => new Date(Date.UTC(2024, 0, n)).toISOString().slice(0, 10)
+    }
+};
+
+// Comparator for a tree's options: the key type's, or options.compare
+// (worded with <, = and >, or options.words) when one is given. word(a, b)
+// names how a relates to b; describe(a, b) words the whole comparison,
+// e.g. "30 < 50" or "apple comes before pear".
+export function createComparator(options = {}) {
+    const keyType = options.keyType || KeyType.NUMBER;
+    const base = KeyTypes[keyType];
+    const compare = options.compare || base.compare;
+    const words = options.words || (options.compare ? KeyTypes[KeyType.NUMBER].words : base.words);
+    const word = (a, b) => {
+        const order = compare(a, b);
+        return words[order < 0 ? 0 : order === 0 ? 1 : 2];
+    };
+    return {
+        keyType,
+        compare,
+        word,
+        describe: (a, b) => `${a} ${word(a, b)} ${b}`
+    };
+}
+
+// Result objects for insert(), search() and the depth-first traversals.
+// Each keeps the recorded steps as `steps`.
+function insertResult(value, steps) {
+    return { success: steps.some(step => step.action === Action.INSERTED), value, steps };
+}
+
+// `comparisons` counts the COMPARED steps; `path` lists the visited nodes
+// (a B-tree node is listed by its keys)
+function searchResult(steps) {
+    return {
+        found: steps.some(step => step.action === Action.FOUND),
+        comparisons: steps.filter(step => step.action === Action.COMPARED).length,
+        path: steps.filter(step => step.action === Action.VISITED).map(step => step.keys || step.node),
+        steps
+    };
+}
+
+// `order` lists the keys in the order they were visited
+function traversalResult(steps) {
+    return {
+        order: steps.filter(step => step.action === Action.VISITED).map(step => step.node),
+        steps
+    };
+}
+
+// Children of a binary tree node, left to right
+function binaryChildren(node) {
+    return [node.left, node.right].filter(child => child !== null);
+}
+
+// Queue of the breadth-first traversals that steps point into rather than
+// copy: a step's `queue` is `window()`, { keys, from, to }, and the queue it
+// saw, front first, is keys.slice(from, to). Nodes are taken by moving
+// `head` or `tail`, never by shifting, and a slot is never written twice, so
+// every window stays as it was. Zig-zag levels add children to the front,
+// so startLevel() moves each level to a new buffer with room before it.
+class LevelQueue {
+    // label(node) is the key shown for a node, children(node) its children
+    constructor(root, label, children) {
+        this.label = label;
+        this.children = children;
+        this.nodes = [root];
+        this.keys = [label(root)];
+        this.head = 0;
+        this.tail = 1;
+    }
+
+    get length() {
+        return this.tail - this.head;
+    }
+
+    window() {
+        return { keys: this.keys, from: this.head, to: this.tail };
+    }
+
+    popFront() {
+        return this.nodes[this.head++];
+    }
+
+    popBack() {
+        return this.nodes[--this.tail];
+    }
+
+    pushBack(node) {
+        this.nodes[this.tail] = node;
+        this.keys[this.tail++] = this.label(node);
+    }
+
+    pushFront(node) {
+        this.nodes[--this.head] = node;
+        this.keys[this.head] = this.label(node);
+    }
+
+    // Move the queued level to a new buffer, with room in front for all of
+    // its children when they join at the front
+    startLevel(childrenAtFront) {
+        const level = this.nodes.slice(this.head, this.tail);
+        const room = childrenAtFront
+            ? level.reduce((sum, node) => sum + this.children(node).length, 0)
+            : 0;
+        this.nodes = new Array(room).concat(level);
+        this.keys = new Array(room).concat(level.map(this.label));
+        this.head = room;
+        this.tail = room + level.length;
+    }
+}
+
+// Node ids are unique across all trees, so a node keeps its id through
+// rotations, splits and merges
+let nextNodeId = 1;
+
 // BST Node class
 export class BSTNode {
     constructor(value) {
+        this.id = nextNodeId++; // stable identity for steps and renderers
         this.value = value;
         this.left = null;
         this.right = null;
+        this.size = 1;      // nodes in this subtree (order statistics)
+        this.count = 1;     // copies of the key (DuplicatePolicy.COUNT)
     }
 }
 
+// English ordinal for a positive integer (1st, 2nd, 3rd, 11th, 22nd, ...)
+function ordinal(n) {
+    const teens = n % 100 >= 11 && n % 100 <= 13;
+    const suffix = teens ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
 // Binary Search Tree class
 export class BinarySearchTree {
-    constructor() {
+    // options.duplicates is a DuplicatePolicy (default 'reject'); keyType
+    // (a KeyType, default 'number') or compare ((a, b) => number) set the order
+    constructor(options = {}) {
         this.root = null;
+        this.duplicates = options.duplicates || DuplicatePolicy.REJECT;
+        this.comparator = createComparator(options);
     }
 
-    // Insert with step recording
+    // Insert with step recording; returns { success, value, steps }
     insert(value) {
         const steps = [];
-        const newNode = new BSTNode(value);
+        const newNode = this._createNode(value);
 
         if (this.root === null) {
             this.root = newNode;
-            steps.push({
+            steps.push(new Step({
                 node: value,
+                nodeId: newNode.id,
                 action: Action.INSERTED,
+                line: 'insert.root',
                 description: `Inserted ${value} as root`
-            });
-            return steps;
+            }));
+            this._afterInsert(newNode, steps);
+            return insertResult(value, steps);
         }
 
         let current = this.root;
 
         while (true) {
-            steps.push({
+            steps.push(new Step({
                 node: current.value,
+                nodeId: current.id,
                 action: Action.VISITED,
+                line: 'insert.visit',
                 description: `Visiting node ${current.value}`
-            });
+            }));
 
-            steps.push({
+            steps.push(new Step({
                 node: current.value,
+                nodeId: current.id,
                 action: Action.COMPARED,
+                line: 'insert.compare',
                 description: `Comparing ${value} with ${current.value}`
-            });
+            }));
+
+            const order = this._compare(value, current.value);
+            const equal = order === 0;
 
-            if (value < current.value) {
-                steps.push({
+            if (order < 0 || (equal && this.duplicates === DuplicatePolicy.LEFT)) {
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.MOVED_LEFT,
-                    description: `${value} < ${current.value}, moving left`
-                });
+                    line: 'insert.left',
+                    description: equal
+                        ? `${this._describe(value, current.value)}, equal keys go left, moving left`
+                        : `${this._describe(value, current.value)}, moving left`
+                }));
 
                 if (current.left === null) {
                     current.left = newNode;
-                    steps.push({
+                    this._refreshPath(this._pathTo(newNode));
+                    steps.push(new Step({
                         node: value,
+                        nodeId: newNode.id,
                         action: Action.INSERTED,
+                        line: 'insert.attach-left',
                         description: `Inserted ${value} as left child of ${current.value}`
-                    });
-                    return steps;
+                    }));
+                    this._afterInsert(newNode, steps);
+                    return insertResult(value, steps);
                 }
                 current = current.left;
-            } else if (value > current.value) {
-                steps.push({
+            } else if (order > 0 || (equal && this.duplicates === DuplicatePolicy.RIGHT)) {
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.MOVED_RIGHT,
-                    description: `${value} > ${current.value}, moving right`
-                });
+                    line: 'insert.right',
+                    description: equal
+                        ? `${this._describe(value, current.value)}, equal keys go right, moving right`
+                        : `${this._describe(value, current.value)}, moving right`
+                }));
 
                 if (current.right === null) {
                     current.right = newNode;
-                    steps.push({
+                    this._refreshPath(this._pathTo(newNode));
+                    steps.push(new Step({
                         node: value,
+                        nodeId: newNode.id,
                         action: Action.INSERTED,
+                        line: 'insert.attach-right',
                         description: `Inserted ${value} as right child of ${current.value}`
-                    });
-                    return steps;
+                    }));
+                    this._afterInsert(newNode, steps);
+                    return insertResult(value, steps);
                 }
                 current = current.right;
+            } else if (this.duplicates === DuplicatePolicy.COUNT) {
+                current.count++;
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.INSERTED,
+                    line: 'insert.duplicate',
+                    description: `${value} already exists, its count is now ${current.count}`
+                }));
+                return insertResult(value, steps);
             } else {
-                steps.push({
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.FOUND,
+                    line: 'insert.duplicate',
                     description: `${value} already exists, skipping`
-                });
-                return steps;
+                }));
+                return insertResult(value, steps);
             }
         }
     }
 
-    // Search with step recording
+    // Search with step recording; returns { found, comparisons, path, steps }
     search(value) {
         const steps = [];
 
         if (this.root === null) {
-            steps.push({
+            steps.push(new Step({
                 node: null,
                 action: Action.NOT_FOUND,
+                line: 'search.not-found',
                 description: `Tree is empty, ${value} not found`
-            });
-            return steps;
+            }));
+            return searchResult(steps);
         }
 
         let current = this.root;
 
         while (current !== null) {
-            steps.push({
+            steps.push(new Step({
                 node: current.value,
+                nodeId: current.id,
                 action: Action.VISITED,
+                line: 'search.visit',
                 description: `Visiting node ${current.value}`
-            });
+            }));
 
-            steps.push({
+            steps.push(new Step({
                 node: current.value,
+                nodeId: current.id,
                 action: Action.COMPARED,
+                line: 'search.compare',
                 description: `Comparing ${value} with ${current.value}`
-            });
+            }));
 
-            if (value === current.value) {
-                steps.push({
+            const order = this._compare(value, current.value);
+            if (order === 0) {
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.FOUND,
+                    line: 'search.found',
                     description: `Found ${value}!`
-                });
-                return steps;
-            } else if (value < current.value) {
-                steps.push({
+                }));
+                return searchResult(steps);
+            } else if (order < 0) {
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.MOVED_LEFT,
-                    description: `${value} < ${current.value}, moving left`
-                });
+                    line: 'search.left',
+                    description: `${this._describe(value, current.value)}, moving left`
+                }));
                 current = current.left;
             } else {
-                steps.push({
+                steps.push(new Step({
                     node: current.value,
+                    nodeId: current.id,
                     action: Action.MOVED_RIGHT,
-                    description: `${value} > ${current.value}, moving right`
-                });
+                    line: 'search.right',
+                    description: `${this._describe(value, current.value)}, moving right`
+                }));
                 current = current.right;
             }
         }
 
-        steps.push({
+        steps.push(new Step({
             node: null,
             action: Action.NOT_FOUND,
+            line: 'search.not-found',
             description: `${value} not found in tree`
-        });
-        return steps;
+        }));
+        return searchResult(steps);
     }
 
-    // Inorder traversal with step recording
-    inorderTraversal() {
+    // Delete with step recording (replacement: 'successor' or 'predecessor')
+    delete(value, replacement = 'successor') {
         const steps = [];
-        this._inorderHelper(this.root, steps);
+
+        if (this.root === null) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `Tree is empty, ${value} not found`
+            }));
+            return steps;
+        }
+
+        let parent = null;
+        let current = this.root;
+
+        while (current !== null) {
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value}`
+            }));
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.COMPARED,
+                description: `Comparing ${value} with ${current.value}`
+            }));
+
+            const order = this._compare(value, current.value);
+            if (order === 0) {
+                break;
+            } else if (order < 0) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.MOVED_LEFT,
+                    description: `${this._describe(value, current.value)}, moving left`
+                }));
+                parent = current;
+                current = current.left;
+            } else {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.MOVED_RIGHT,
+                    description: `${this._describe(value, current.value)}, moving right`
+                }));
+                parent = current;
+                current = current.right;
+            }
+        }
+
+        if (current === null) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `${value} not found in tree`
+            }));
+            return steps;
+        }
+
+        // Two children: copy the successor/predecessor value, then remove that node
+        // Counted duplicate - drop one copy, the node stays
+        if (current.count > 1) {
+            current.count--;
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.REMOVING,
+                description: `${value} is stored ${current.count + 1} times, its count is now ${current.count}`
+            }));
+            return steps;
+        }
+
+        if (current.left !== null && current.right !== null) {
+            const usePredecessor = replacement === 'predecessor';
+            const label = usePredecessor ? 'predecessor' : 'successor';
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: usePredecessor ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                description: usePredecessor
+                    ? `${value} has two children, finding in-order predecessor in left subtree`
+                    : `${value} has two children, finding in-order successor in right subtree`
+            }));
+
+            let replacementParent = current;
+            let replacementNode = usePredecessor ? current.left : current.right;
+
+            while ((usePredecessor ? replacementNode.right : replacementNode.left) !== null) {
+                steps.push(new Step({
+                    node: replacementNode.value,
+                    nodeId: replacementNode.id,
+                    action: usePredecessor ? Action.MOVED_RIGHT : Action.MOVED_LEFT,
+                    description: `Moving ${usePredecessor ? 'right' : 'left'} from ${replacementNode.value}`
+                }));
+                replacementParent = replacementNode;
+                replacementNode = usePredecessor ? replacementNode.right : replacementNode.left;
+            }
+
+            steps.push(new Step({
+                node: replacementNode.value,
+                nodeId: replacementNode.id,
+                action: Action.SUCCESSOR,
+                description: `In-order ${label} of ${value} is ${replacementNode.value}`
+            }));
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.REPLACED,
+                description: `Replaced ${value} with ${replacementNode.value}`
+            }));
+
+            steps.push(new Step({
+                node: replacementNode.value,
+                nodeId: replacementNode.id,
+                action: Action.REMOVING,
+                description: `Removing the original ${replacementNode.value} node`
+            }));
+
+            // The surviving node takes over the replacement's identity
+            current.id = replacementNode.id;
+            current.value = replacementNode.value;
+            current.count = replacementNode.count;
+            const side = this._unlink(replacementParent, replacementNode);
+            this._refreshPath(this._pathTo(replacementParent));
+            this._afterRemove(replacementParent, steps, replacementNode, side);
+            return steps;
+        }
+
+        // Leaf or single child
+        const child = current.left !== null ? current.left : current.right;
+        steps.push(new Step({
+            node: current.value,
+            nodeId: current.id,
+            action: Action.REMOVING,
+            description: child === null
+                ? `${value} is a leaf, removing it`
+                : `${value} has one child, replacing it with ${child.value}`
+        }));
+
+        const side = this._unlink(parent, current);
+        if (parent !== null) this._refreshPath(this._pathTo(parent));
+        this._afterRemove(parent, steps, current, side);
         return steps;
     }
 
-    _inorderHelper(node, steps) {
-        if (node === null) return;
+    // ─────────────────────────────────────────────────────────
+    // Order queries
+    // ─────────────────────────────────────────────────────────
 
-        if (node.left !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_LEFT,
-                description: `Moving left from ${node.value}`
-            });
-            this._inorderHelper(node.left, steps);
+    // Min: follow left children down from the root
+    min() {
+        return this._extreme('left');
+    }
+
+    // Max: follow right children down from the root
+    max() {
+        return this._extreme('right');
+    }
+
+    // Successor: next larger key after `value` (which must be in the tree)
+    // With a right subtree it is that subtree's leftmost node; otherwise it is
+    // the first ancestor reached by climbing up from a left child.
+    successor(value) {
+        return this._adjacent(value, 'right');
+    }
+
+    // Predecessor: next smaller key before `value` (mirror of successor)
+    predecessor(value) {
+        return this._adjacent(value, 'left');
+    }
+
+    // Floor: largest key <= value (value need not be in the tree)
+    floor(value) {
+        return this._bound(value, 'floor');
+    }
+
+    // Ceiling: smallest key >= value (value need not be in the tree)
+    ceiling(value) {
+        return this._bound(value, 'ceiling');
+    }
+
+    // Walk to the leftmost or rightmost node
+    _extreme(side) {
+        const steps = [];
+        const label = side === 'left' ? 'minimum' : 'maximum';
+
+        if (this.root === null) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `Tree is empty, no ${label}`
+            }));
+            return steps;
         }
 
-        steps.push({
-            node: node.value,
+        let current = this.root;
+        steps.push(new Step({
+            node: current.value,
+            nodeId: current.id,
             action: Action.VISITED,
-            description: `Visited ${node.value}`
-        });
+            description: `Visiting node ${current.value}`
+        }));
 
-        if (node.right !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_RIGHT,
-                description: `Moving right from ${node.value}`
-            });
-            this._inorderHelper(node.right, steps);
+        while (current[side] !== null) {
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: side === 'left' ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                description: `${current.value} has a ${side} child, moving ${side}`
+            }));
+            current = current[side];
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value}`
+            }));
         }
-    }
 
-    // Preorder traversal (Root -> Left -> Right)
-    preorderTraversal() {
-        const steps = [];
-        this._preorderHelper(this.root, steps);
+        steps.push(new Step({
+            node: current.value,
+            nodeId: current.id,
+            action: Action.ANSWER,
+            description: `${current.value} has no ${side} child: the ${label} is ${current.value}`
+        }));
         return steps;
     }
 
-    _preorderHelper(node, steps) {
-        if (node === null) return;
+    // Successor (side 'right') or predecessor (side 'left') of a stored key.
+    // Copies of the key sit next to it in order, so a neighbour that compares
+    // equal is passed over and the walk goes on from that copy.
+    _adjacent(value, side) {
+        const steps = [];
+        const path = this._locate(value, steps);
+        if (path === null) return steps;
 
-        steps.push({
-            node: node.value,
-            action: Action.VISITED,
-            description: `Visited ${node.value}`
-        });
+        const other = side === 'right' ? 'left' : 'right';
+        const label = side === 'right' ? 'successor' : 'predecessor';
 
-        if (node.left !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_LEFT,
-                description: `Moving left from ${node.value}`
-            });
-            this._preorderHelper(node.left, steps);
-        }
+        for (;;) {
+            const from = path[path.length - 1];
+            let next = null;
 
-        if (node.right !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_RIGHT,
-                description: `Moving right from ${node.value}`
-            });
-            this._preorderHelper(node.right, steps);
+            if (from[side] !== null) {
+                // Case 1: go one step to `side`, then all the way to `other`
+                steps.push(new Step({
+                    node: from.value,
+                    nodeId: from.id,
+                    action: side === 'left' ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                    description: `${from.value} has a ${side} subtree: the ${label} is its ${other}most node`
+                }));
+                path.push(from[side]);
+
+                while (path[path.length - 1][other] !== null) {
+                    const node = path[path.length - 1];
+                    steps.push(new Step({
+                        node: node.value,
+                        nodeId: node.id,
+                        action: other === 'left' ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                        description: `${node.value} has a ${other} child, moving ${other}`
+                    }));
+                    path.push(node[other]);
+                }
+
+                next = path[path.length - 1];
+                if (this._compare(next.value, value) !== 0) {
+                    steps.push(new Step({
+                        node: next.value,
+                        nodeId: next.id,
+                        action: Action.ANSWER,
+                        description: `${next.value} has no ${other} child: the ${label} of ${value} is ${next.value}`
+                    }));
+                    return steps;
+                }
+            } else {
+                // Case 2: climb until we come up from an `other` child
+                steps.push(new Step({
+                    node: from.value,
+                    nodeId: from.id,
+                    action: Action.CLIMBED,
+                    description: `${from.value} has no ${side} subtree: climbing to the first ancestor reached from a ${other} child`
+                }));
+
+                while (path.length > 1) {
+                    const child = path.pop();
+                    const parent = path[path.length - 1];
+
+                    if (parent[other] === child) {
+                        next = parent;
+                        break;
+                    }
+
+                    steps.push(new Step({
+                        node: parent.value,
+                        nodeId: parent.id,
+                        action: Action.CLIMBED,
+                        description: `Came up from the ${side} child of ${parent.value}, keep climbing`
+                    }));
+                }
+
+                if (next === null) {
+                    steps.push(new Step({
+                        node: null,
+                        action: Action.NOT_FOUND,
+                        description: `Reached the root: ${value} is the ${side === 'right' ? 'maximum' : 'minimum'} and has no ${label}`
+                    }));
+                    return steps;
+                }
+
+                if (this._compare(next.value, value) !== 0) {
+                    steps.push(new Step({
+                        node: next.value,
+                        nodeId: next.id,
+                        action: Action.ANSWER,
+                        description: `Came up from the ${other} child of ${next.value}: the ${label} of ${value} is ${next.value}`
+                    }));
+                    return steps;
+                }
+            }
+
+            steps.push(new Step({
+                node: next.value,
+                nodeId: next.id,
+                action: Action.VISITED,
+                description: `${next.value} is another copy of ${value}, so the ${label} comes after it`
+            }));
         }
     }
 
-    // Postorder traversal (Left -> Right -> Root)
-    postorderTraversal() {
+    // Floor or ceiling: walk down remembering the best candidate so far
+    _bound(value, kind) {
         const steps = [];
-        this._postorderHelper(this.root, steps);
-        return steps;
-    }
+        const isFloor = kind === 'floor';
+        let current = this.root;
+        let best = null;
 
-    _postorderHelper(node, steps) {
-        if (node === null) return;
+        while (current !== null) {
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value}`
+            }));
 
-        if (node.left !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_LEFT,
-                description: `Moving left from ${node.value}`
-            });
-            this._postorderHelper(node.left, steps);
-        }
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.COMPARED,
+                description: `Comparing ${value} with ${current.value}`
+            }));
 
-        if (node.right !== null) {
-            steps.push({
-                node: node.value,
-                action: Action.MOVED_RIGHT,
-                description: `Moving right from ${node.value}`
-            });
-            this._postorderHelper(node.right, steps);
+            const order = this._compare(current.value, value);
+            if (order === 0) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.ANSWER,
+                    description: `${value} is in the tree, so it is its own ${kind}`
+                }));
+                return steps;
+            }
+
+            // A floor candidate is smaller than value, so a closer one is to the right
+            const isCandidate = isFloor ? order < 0 : order > 0;
+            if (isCandidate) best = current;
+            const goRight = order < 0;
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: goRight ? Action.MOVED_RIGHT : Action.MOVED_LEFT,
+                description: isCandidate
+                    ? `${this._describe(current.value, value)}: new ${kind} candidate, moving ${goRight ? 'right' : 'left'} for a closer one`
+                    : `${this._describe(current.value, value)}: too ${isFloor ? 'large' : 'small'}, moving ${goRight ? 'right' : 'left'}`
+            }));
+            current = goRight ? current.right : current.left;
         }
 
-        steps.push({
-            node: node.value,
-            action: Action.VISITED,
-            description: `Visited ${node.value}`
-        });
+        steps.push(new Step(best !== null
+            ? {
+                node: best.value,
+                nodeId: best.id,
+                action: Action.ANSWER,
+                description: `Reached a null link: the ${kind} of ${value} is ${best.value}`
+            }
+            : {
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `No key is at or ${isFloor ? 'below' : 'above'} ${value}, so there is no ${kind}`
+            }));
+        return steps;
     }
 
-    // Clear tree
-    clear() {
-        this.root = null;
-    }
-}
+    // Record the search path to `value`; returns the nodes from the root to
+    // `value`, or null if it is absent
+    _locate(value, steps) {
+        const path = [];
+        let current = this.root;
 
+        while (current !== null) {
+            path.push(current);
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value}`
+            }));
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.COMPARED,
+                description: `Comparing ${value} with ${current.value}`
+            }));
+
+            const order = this._compare(value, current.value);
+            if (order === 0) {
+                steps.push(new Step({
+                    node: value,
+                    nodeId: current.id,
+                    action: Action.FOUND,
+                    description: `Found ${value}`
+                }));
+                return path;
+            }
+
+            const goLeft = order < 0;
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: goLeft ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                description: `${this._describe(value, current.value)}, moving ${goLeft ? 'left' : 'right'}`
+            }));
+            current = goLeft ? current.left : current.right;
+        }
+
+        steps.push(new Step({
+            node: null,
+            action: Action.NOT_FOUND,
+            description: `${value} not found in tree`
+        }));
+        return null;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Range query
+    // ─────────────────────────────────────────────────────────
+
+    // Range search: collect every key in [lo, hi] (inclusive) in sorted order
+    // A subtree is only entered when it can hold keys in range; the others
+    // are pruned whole, so the walk costs O(h + k) for k results. Every step
+    // carries `range`: { lo, hi, keys, pruned, keyCount, prunedCount }; the
+    // steps share `keys` (collected in order) and `pruned` (node ids of the
+    // skipped subtrees), and a step saw the first keyCount and prunedCount
+    // of them.
+    rangeSearch(lo, hi) {
+        const steps = [];
+        const keys = [];
+        const pruned = [];
+        let visited = 0;
+        let prunedSubtrees = 0;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const compare = (a, b) => this._compare(a, b);
+
+        const record = (node, action, description) => {
+            const step = new Step({
+                node: node !== null ? node.value : null,
+                action,
+                description,
+                range: { lo, hi, keys, pruned, keyCount: keys.length, prunedCount: pruned.length }
+            });
+            if (node !== null) step.nodeId = node.id;
+            steps.push(step);
+        };
+
+        const prune = (node, child, side, reason) => {
+            this._collectIds(child, pruned);
+            prunedSubtrees++;
+            record(node, Action.PRUNED,
+                `${reason}: skipping the ${side} subtree of ${node.value} (${plural(this._countNodes(child), 'key')})`);
+        };
+
+        const visit = (node) => {
+            visited++;
+            record(node, Action.VISITED, `Visiting node ${node.value}`);
+
+            // Left subtree keys are all < node.value (or equal, with equal-key nodes)
+            if (node.left !== null) {
+                const order = compare(lo, node.value);
+                if (order < 0 || (order === 0 && this._keepsEqualNodes())) {
+                    record(node, Action.MOVED_LEFT, `${this._describe(lo, node.value)}: the left subtree may hold keys in range, moving left`);
+                    visit(node.left);
+                } else {
+                    prune(node, node.left, 'left', this._describe(node.value, lo));
+                }
+            }
+
+            if (compare(lo, node.value) <= 0 && compare(node.value, hi) <= 0) {
+                keys.push(node.value);
+                record(node, Action.COLLECTED,
+                    `${this._describe(lo, node.value)} ${this.comparator.word(node.value, hi)} ${hi}: collected ${node.value}`);
+            } else {
+                record(node, Action.COMPARED, `${node.value} is outside [${lo}, ${hi}]`);
+            }
+
+            // Right subtree keys are all > node.value (or equal, with equal-key nodes)
+            if (node.right !== null) {
+                const order = compare(node.value, hi);
+                if (order < 0 || (order === 0 && this._keepsEqualNodes())) {
+                    record(node, Action.MOVED_RIGHT, `${this._describe(node.value, hi)}: the right subtree may hold keys in range, moving right`);
+                    visit(node.right);
+                } else {
+                    prune(node, node.right, 'right', this._describe(node.value, hi));
+                }
+            }
+        };
+
+        if (compare(lo, hi) > 0) {
+            record(null, Action.NOT_FOUND, `Empty range: ${this._describe(lo, hi)}`);
+            return steps;
+        }
+
+        if (this.root !== null) {
+            visit(this.root);
+        }
+
+        record(null, Action.COLLECTED,
+            `${plural(keys.length, 'key')} in [${lo}, ${hi}]: ` +
+            `visited ${plural(visited, 'node')}, pruned ${plural(prunedSubtrees, 'subtree')}`);
+        return steps;
+    }
+
+    // Append the node ids of a subtree (in order) to `out`
+    _collectIds(node, out) {
+        if (node === null) return;
+        this._collectIds(node.left, out);
+        out.push(node.id);
+        this._collectIds(node.right, out);
+    }
+
+    // Number of nodes in a subtree
+    _countNodes(node) {
+        return node === null ? 0 : 1 + this._countNodes(node.left) + this._countNodes(node.right);
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Order statistics (subtree sizes)
+    // ─────────────────────────────────────────────────────────
+
+    // Select: find the k-th smallest key (1-based) using subtree sizes
+    // At each node the left subtree holds the size(left) smallest keys, so
+    // k either lies in it, is the node itself, or lies in the right subtree
+    // with size(left) + 1 fewer keys to skip.
+    select(k) {
+        const steps = [];
+        const total = this._size(this.root);
+
+        if (!Number.isInteger(k) || k < 1 || k > total) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: total === 0
+                    ? 'Tree is empty, nothing to select'
+                    : `k must be between 1 and ${total}, got ${k}`
+            }));
+            return steps;
+        }
+
+        let current = this.root;
+        let rank = k;
+
+        while (current !== null) {
+            const leftSize = this._size(current.left);
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value} (subtree size ${current.size})`
+            }));
+
+            if (rank <= leftSize) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.MOVED_LEFT,
+                    description: `k = ${rank} <= ${leftSize} (left subtree size): the answer is in the left subtree, moving left`
+                }));
+                current = current.left;
+            } else if (rank === leftSize + 1) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.ANSWER,
+                    description: `k = ${rank} = ${leftSize} + 1: ${current.value} is the ${ordinal(k)} smallest key`
+                }));
+                return steps;
+            } else {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.MOVED_RIGHT,
+                    description: `k = ${rank} > ${leftSize} + 1: skip ${current.value} and its left subtree, ` +
+                        `moving right with k = ${rank - leftSize - 1}`
+                }));
+                rank -= leftSize + 1;
+                current = current.right;
+            }
+        }
+        return steps;
+    }
+
+    // Rank: count the keys <= x using subtree sizes
+    // For a stored key this is its 1-based position, so select(rank(value)) is value.
+    // Every step carries `rank`, the count so far. Equal-key nodes (the 'left'
+    // and 'right' duplicate policies) all count; a counted key counts once.
+    rank(value) {
+        const steps = [];
+        let current = this.root;
+        let rank = 0;
+        let found = false;
+
+        while (current !== null) {
+            const leftSize = this._size(current.left);
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.VISITED,
+                description: `Visiting node ${current.value} (subtree size ${current.size})`,
+                rank
+            }));
+
+            const order = this._compare(value, current.value);
+            if (order < 0) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.MOVED_LEFT,
+                    description: `${this._describe(value, current.value)}: nothing here counts, moving left`,
+                    rank
+                }));
+                current = current.left;
+                continue;
+            }
+
+            rank += leftSize + 1;
+            found = found || order === 0;
+            if (order === 0 && !this._keepsEqualNodes()) {
+                steps.push(new Step({
+                    node: current.value,
+                    nodeId: current.id,
+                    action: Action.ANSWER,
+                    description: `Found ${value}: count ${leftSize} (left subtree size) + 1, ` +
+                        `rank(${value}) = ${rank}`,
+                    rank
+                }));
+                return steps;
+            }
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.MOVED_RIGHT,
+                description: `${this._describe(value, current.value)}: ` +
+                    `count ${leftSize} (left subtree size) + 1, rank so far ${rank}, moving right`,
+                rank
+            }));
+            current = current.right;
+        }
+
+        steps.push(new Step({
+            node: null,
+            action: Action.ANSWER,
+            description: found
+                ? `Counted every copy of ${value}: rank(${value}) = ${rank}`
+                : `${value} is not in the tree: ${rank} ${rank === 1 ? 'key is' : 'keys are'} at or below ${value}, rank(${value}) = ${rank}`,
+            rank
+        }));
+        return steps;
+    }
+
+    // Cached size of a subtree (0 for empty)
+    _size(node) {
+        return node === null ? 0 : node.size;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Lowest common ancestor
+    // ─────────────────────────────────────────────────────────
+
+    // Lowest common ancestor: walk both search paths together from the root
+    // While a and b fall on the same side of a node the paths are shared;
+    // the first node that separates them (or equals one of them) is the LCA.
+    // Each path is then followed to its key to check that both are stored.
+    // Every step carries `paths`: { a, b } (node ids on each search path so
+    // far), and `lca` (the LCA's node id) once it is known.
+    lowestCommonAncestor(a, b) {
+        return this._findLca(a, b).steps;
+    }
+
+    // Distance: number of edges between a and b, through their LCA
+    // distance(a, b) = depth(a) + depth(b) - 2 * depth(lca)
+    distance(a, b) {
+        const { steps, lca, pathA, pathB } = this._findLca(a, b);
+        if (lca === null) return steps;
+
+        const depthA = pathA.length - 1;
+        const depthB = pathB.length - 1;
+        const depthLca = pathA.indexOf(lca);
+        const distance = depthA + depthB - 2 * depthLca;
+
+        steps.push(new Step({
+            node: lca.value,
+            nodeId: lca.id,
+            action: Action.LCA,
+            description: `distance(${a}, ${b}) = ${depthA} + ${depthB} - 2 × ${depthLca} ` +
+                `(depths of ${a}, ${b} and the LCA ${lca.value}) = ${distance} ${distance === 1 ? 'edge' : 'edges'}`,
+            paths: { a: pathA.map(node => node.id), b: pathB.map(node => node.id) },
+            lca: lca.id,
+            distance
+        }));
+        return steps;
+    }
+
+    // Two-pointer LCA walk shared by lowestCommonAncestor() and distance();
+    // returns { steps, lca, pathA, pathB }, with lca null when a or b is not
+    // in the tree
+    _findLca(a, b) {
+        const steps = [];
+        const pathA = [];
+        const pathB = [];
+        let lca = null;
+
+        const record = (node, action, description) => {
+            const step = new Step({
+                node: node !== null ? node.value : null,
+                action,
+                description,
+                paths: { a: pathA.map(n => n.id), b: pathB.map(n => n.id) }
+            });
+            if (node !== null) step.nodeId = node.id;
+            if (lca !== null) step.lca = lca.id;
+            steps.push(step);
+        };
+
+        if (this.root === null) {
+            record(null, Action.NOT_FOUND, 'Tree is empty, no common ancestor');
+            return { steps, lca: null, pathA, pathB };
+        }
+
+        // Shared prefix: both keys on the same side of the current node
+        let current = this.root;
+        while (current !== null) {
+            pathA.push(current);
+            pathB.push(current);
+            record(current, Action.VISITED, `Visiting node ${current.value}`);
+
+            const orderA = this._compare(a, current.value);
+            const orderB = this._compare(b, current.value);
+            if (orderA < 0 && orderB < 0) {
+                record(current, Action.MOVED_LEFT,
+                    `${this._describe(a, current.value)} and ${this._describe(b, current.value)}: the paths share the move left`);
+                current = current.left;
+            } else if (orderA > 0 && orderB > 0) {
+                record(current, Action.MOVED_RIGHT,
+                    `${this._describe(a, current.value)} and ${this._describe(b, current.value)}: the paths share the move right`);
+                current = current.right;
+            } else {
+                break;
+            }
+        }
+
+        if (current === null) {
+            record(null, Action.NOT_FOUND, `Neither ${a} nor ${b} is in the tree`);
+            return { steps, lca: null, pathA, pathB };
+        }
+
+        const split = current;
+        const [low, high] = this._compare(a, b) <= 0 ? [a, b] : [b, a];
+        record(split, Action.COMPARED, this._compare(a, b) === 0
+            ? `Both keys are ${a}: the search ends at ${split.value}`
+            : `The paths split at ${split.value}: ${this._describe(low, split.value)} ${this.comparator.word(split.value, high)} ${high}`);
+
+        // Follow each path on to its key
+        for (const [key, path] of [[a, pathA], [b, pathB]]) {
+            let node = split;
+            while (this._compare(key, node.value) !== 0) {
+                const goLeft = this._compare(key, node.value) < 0;
+                record(node, goLeft ? Action.MOVED_LEFT : Action.MOVED_RIGHT,
+                    `${this._describe(key, node.value)}, moving ${goLeft ? 'left' : 'right'} toward ${key}`);
+                node = goLeft ? node.left : node.right;
+
+                if (node === null) {
+                    record(null, Action.NOT_FOUND, `${key} not found in tree, so there is no common ancestor`);
+                    return { steps, lca: null, pathA, pathB };
+                }
+                path.push(node);
+            }
+            record(node, Action.FOUND, `Found ${key}`);
+        }
+
+        lca = split;
+        record(lca, Action.LCA, `Lowest common ancestor of ${a} and ${b} is ${lca.value}`);
+        return { steps, lca, pathA, pathB };
+    }
+
+    // Replace a node that has at most one child with that child,
+    // returns the side of `parent` it hung from
+    _unlink(parent, node) {
+        const child = node.left !== null ? node.left : node.right;
+        const side = parent === null ? null : (parent.left === node ? 'left' : 'right');
+        this._replaceChild(parent, node, child);
+        return side;
+    }
+
+    // Put `replacement` where `node` hangs under `parent` (or at the root)
+    _replaceChild(parent, node, replacement) {
+        if (parent === null) {
+            this.root = replacement;
+        } else if (parent.left === node) {
+            parent.left = replacement;
+        } else {
+            parent.right = replacement;
+        }
+    }
+
+    // Left rotation around `node`, returns the new subtree root
+    _rotateLeft(node) {
+        const pivot = node.right;
+        node.right = pivot.left;
+        pivot.left = node;
+        this._updateNode(node);
+        this._updateNode(pivot);
+        return pivot;
+    }
+
+    // Right rotation around `node`, returns the new subtree root
+    _rotateRight(node) {
+        const pivot = node.left;
+        node.left = pivot.right;
+        pivot.right = node;
+        this._updateNode(node);
+        this._updateNode(pivot);
+        return pivot;
+    }
+
+    // Parent of `node` (null for the root)
+    _parentOf(node) {
+        const path = this._pathTo(node);
+        return path.length > 1 ? path[path.length - 2] : null;
+    }
+
+    // Nodes from the root down to `node` (inclusive)
+    _pathTo(node) {
+        const path = [];
+        let current = this.root;
+
+        while (current !== null) {
+            path.push(current);
+            if (current === node) break;
+            const order = this._compare(node.value, current.value);
+            if (order === 0) {
+                // Rotations can leave equal keys on either side
+                current = this._contains(current.left, node) ? current.left : current.right;
+            } else {
+                current = order < 0 ? current.left : current.right;
+            }
+        }
+        return path;
+    }
+
+    // Whether `node` is in the subtree rooted at `subtree`
+    _contains(subtree, node) {
+        if (subtree === null) return false;
+        return subtree === node || this._contains(subtree.left, node) || this._contains(subtree.right, node);
+    }
+
+    // Whether equal keys get nodes of their own (the 'left' and 'right'
+    // duplicate policies); rotations can then leave them on either side
+    _keepsEqualNodes() {
+        return this.duplicates === DuplicatePolicy.LEFT || this.duplicates === DuplicatePolicy.RIGHT;
+    }
+
+    // Order two keys with the tree's comparator (negative, zero or positive)
+    _compare(a, b) {
+        return this.comparator.compare(a, b);
+    }
+
+    // Word a comparison the comparator's way, e.g. "30 < 50"
+    _describe(a, b) {
+        return this.comparator.describe(a, b);
+    }
+
+    // Extension hooks for self-balancing variants
+    _createNode(value) {
+        return new BSTNode(value);
+    }
+
+    // Called as (node, steps) after insert() linked a new node into the tree
+    _afterInsert() {}
+
+    // Called as (parent, steps, removed, side) after delete() unlinked `removed`
+    // from the `side` of `parent`
+    _afterRemove() {}
+
+    // Recompute cached per-node data (subtree size; height in AVL trees)
+    // from the children
+    _updateNode(node) {
+        node.size = 1 + this._size(node.left) + this._size(node.right);
+    }
+
+    // Update every node on `path` (root first) bottom-up, after a link below
+    // them changed
+    _refreshPath(path) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            this._updateNode(path[i]);
+        }
+    }
+
+    // Plain-object copy of the tree for steps that change its shape
+    snapshot(node = this.root) {
+        if (node === null) return null;
+        return {
+            ...node,
+            left: this.snapshot(node.left),
+            right: this.snapshot(node.right)
+        };
+    }
+
+    // Replace the tree with a copy of a snapshot() (e.g. to undo an
+    // operation); nodes keep their ids, so they are redrawn in place
+    restore(snapshot) {
+        const copy = (snap) => {
+            if (snap === null) return null;
+            return Object.assign(this._createNode(snap.value), snap, {
+                left: copy(snap.left),
+                right: copy(snap.right)
+            });
+        };
+        this.root = copy(snapshot);
+    }
+
+    // Inorder traversal with step recording; returns { order, steps }
+    inorderTraversal() {
+        const steps = [];
+        this._inorderHelper(this.root, steps);
+        return traversalResult(steps);
+    }
+
+    _inorderHelper(node, steps) {
+        if (node === null) return;
+
+        if (node.left !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_LEFT,
+                line: 'inorder.left',
+                description: `Moving left from ${node.value}`
+            }));
+            this._inorderHelper(node.left, steps);
+        }
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.VISITED,
+            line: 'inorder.visit',
+            description: `Visited ${node.value}`
+        }));
+
+        if (node.right !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_RIGHT,
+                line: 'inorder.right',
+                description: `Moving right from ${node.value}`
+            }));
+            this._inorderHelper(node.right, steps);
+        }
+    }
+
+    // Preorder traversal (Root -> Left -> Right)
+    preorderTraversal() {
+        const steps = [];
+        this._preorderHelper(this.root, steps);
+        return traversalResult(steps);
+    }
+
+    _preorderHelper(node, steps) {
+        if (node === null) return;
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.VISITED,
+            line: 'preorder.visit',
+            description: `Visited ${node.value}`
+        }));
+
+        if (node.left !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_LEFT,
+                line: 'preorder.left',
+                description: `Moving left from ${node.value}`
+            }));
+            this._preorderHelper(node.left, steps);
+        }
+
+        if (node.right !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_RIGHT,
+                line: 'preorder.right',
+                description: `Moving right from ${node.value}`
+            }));
+            this._preorderHelper(node.right, steps);
+        }
+    }
+
+    // Postorder traversal (Left -> Right -> Root)
+    postorderTraversal() {
+        const steps = [];
+        this._postorderHelper(this.root, steps);
+        return traversalResult(steps);
+    }
+
+    _postorderHelper(node, steps) {
+        if (node === null) return;
+
+        if (node.left !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_LEFT,
+                line: 'postorder.left',
+                description: `Moving left from ${node.value}`
+            }));
+            this._postorderHelper(node.left, steps);
+        }
+
+        if (node.right !== null) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MOVED_RIGHT,
+                line: 'postorder.right',
+                description: `Moving right from ${node.value}`
+            }));
+            this._postorderHelper(node.right, steps);
+        }
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.VISITED,
+            line: 'postorder.visit',
+            description: `Visited ${node.value}`
+        }));
+    }
+
+    // Level order traversal (BFS), each step carrying its view of the queue
+    // (see LevelQueue); returns { order, steps }
+    levelOrderTraversal() {
+        const steps = [];
+        if (this.root === null) return traversalResult(steps);
+
+        const queue = new LevelQueue(this.root, n => n.value, binaryChildren);
+        steps.push(new Step({
+            node: this.root.value,
+            nodeId: this.root.id,
+            action: Action.ENQUEUED,
+            line: 'levelOrder.enqueue-root',
+            description: `Enqueued root ${this.root.value}`,
+            queue: queue.window()
+        }));
+
+        while (queue.length > 0) {
+            const node = queue.popFront();
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.DEQUEUED,
+                line: 'levelOrder.dequeue',
+                description: `Dequeued ${node.value} from the front`,
+                queue: queue.window()
+            }));
+
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.VISITED,
+                line: 'levelOrder.visit',
+                description: `Visited ${node.value}`,
+                queue: queue.window()
+            }));
+
+            // Children join the back of the queue, left first
+            [['left', node.left], ['right', node.right]].forEach(([side, child]) => {
+                if (child === null) return;
+                queue.pushBack(child);
+                steps.push(new Step({
+                    node: child.value,
+                    nodeId: child.id,
+                    action: Action.ENQUEUED,
+                    line: 'levelOrder.enqueue-child',
+                    description: `Enqueued ${child.value} (${side} child of ${node.value})`,
+                    queue: queue.window()
+                }));
+            });
+        }
+
+        return traversalResult(steps);
+    }
+
+    // Zig-zag level order using a double-ended queue; returns { order, steps }
+    // Left-to-right levels take from the front and add children to the back,
+    // right-to-left levels do the opposite
+    zigzagTraversal() {
+        const steps = [];
+        if (this.root === null) return traversalResult(steps);
+
+        const deque = new LevelQueue(this.root, n => n.value, binaryChildren);
+        let leftToRight = true;
+        steps.push(new Step({
+            node: this.root.value,
+            nodeId: this.root.id,
+            action: Action.ENQUEUED,
+            line: 'zigzag.enqueue-root',
+            description: `Enqueued root ${this.root.value}`,
+            queue: deque.window()
+        }));
+
+        while (deque.length > 0) {
+            let levelSize = deque.length;
+            deque.startLevel(!leftToRight);
+
+            while (levelSize-- > 0) {
+                const node = leftToRight ? deque.popFront() : deque.popBack();
+                steps.push(new Step({
+                    node: node.value,
+                    nodeId: node.id,
+                    action: Action.DEQUEUED,
+                    line: 'zigzag.dequeue',
+                    description: `Dequeued ${node.value} from the ${leftToRight ? 'front' : 'back'}`,
+                    queue: deque.window()
+                }));
+
+                steps.push(new Step({
+                    node: node.value,
+                    nodeId: node.id,
+                    action: Action.VISITED,
+                    line: 'zigzag.visit',
+                    description: `Visited ${node.value}`,
+                    queue: deque.window()
+                }));
+
+                // Left-to-right: push left, right to the back
+                // Right-to-left: push right, left to the front
+                const children = leftToRight
+                    ? [['left', node.left], ['right', node.right]]
+                    : [['right', node.right], ['left', node.left]];
+
+                children.forEach(([side, child]) => {
+                    if (child === null) return;
+                    if (leftToRight) {
+                        deque.pushBack(child);
+                    } else {
+                        deque.pushFront(child);
+                    }
+                    steps.push(new Step({
+                        node: child.value,
+                        nodeId: child.id,
+                        action: Action.ENQUEUED,
+                        line: leftToRight ? 'zigzag.enqueue-back' : 'zigzag.enqueue-front',
+                        description: `Enqueued ${child.value} (${side} child of ${node.value}) at the ${leftToRight ? 'back' : 'front'}`,
+                        queue: deque.window()
+                    }));
+                });
+            }
+
+            leftToRight = !leftToRight;
+        }
+
+        return traversalResult(steps);
+    }
+
+    // Height of the tree in levels (0 for an empty tree, 1 for a lone root)
+    getHeight(node = this.root) {
+        if (node === null) return 0;
+        return 1 + Math.max(this.getHeight(node.left), this.getHeight(node.right));
+    }
+
+    // Clear tree
+    clear() {
+        this.root = null;
+    }
+}
+
+// AVL Node - BST node that caches its subtree height
+export class AVLNode extends BSTNode {
+    constructor(value) {
+        super(value);
+        this.height = 1;
+    }
+}
+
+// AVL Tree - self-balancing BST
+// insert() and delete() record the plain BST steps, then walk back up the
+// path checking balance factors and recording LL/RR/LR/RL rotations.
+// Steps that change the tree shape carry a `tree` snapshot to animate to.
+export class AVLTree extends BinarySearchTree {
+    _createNode(value) {
+        return new AVLNode(value);
+    }
+
+    _updateNode(node) {
+        super._updateNode(node);
+        node.height = 1 + Math.max(this._height(node.left), this._height(node.right));
+    }
+
+    _afterInsert(node, steps) {
+        steps[steps.length - 1].tree = this.snapshot();
+
+        const path = this._pathTo(node);
+        path.pop();
+        this._rebalancePath(path, steps);
+    }
+
+    _afterRemove(parent, steps) {
+        if (parent === null) {
+            steps[steps.length - 1].tree = this.snapshot();
+            return;
+        }
+
+        // The first balance check shows the tree without the removed node
+        this._rebalancePath(this._pathTo(parent), steps, this.snapshot());
+    }
+
+    // Height of a subtree (0 for empty)
+    _height(node) {
+        return node === null ? 0 : node.height;
+    }
+
+    // Balance factor: height(left) - height(right)
+    _balanceFactor(node) {
+        return this._height(node.left) - this._height(node.right);
+    }
+
+    // Update heights bottom-up along `path` (root first) and rotate any node
+    // whose balance factor leaves [-1, 1]
+    _rebalancePath(path, steps, shape = null) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            const node = path[i];
+            const parent = i > 0 ? path[i - 1] : null;
+
+            this._updateNode(node);
+            const balance = this._balanceFactor(node);
+
+            const step = new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.BALANCE_CHECKED,
+                description: `Balance factor of ${node.value} is ${balance} ` +
+                    `(left height ${this._height(node.left)}, right height ${this._height(node.right)})`,
+                balanceFactor: balance
+            });
+            if (shape !== null && i === path.length - 1) {
+                step.tree = shape;
+            }
+            steps.push(step);
+
+            if (Math.abs(balance) > 1) {
+                this._rotateAt(node, parent, balance, steps);
+            }
+        }
+    }
+
+    // Perform the LL, RR, LR or RL fix-up at an unbalanced node
+    _rotateAt(node, parent, balance, steps) {
+        let subtreeRoot;
+
+        if (balance > 1) {
+            if (this._balanceFactor(node.left) < 0) {
+                // LR: left-rotate the left child, then right-rotate the node
+                node.left = this._rotateLeft(node.left);
+                this._recordRotation(node.left, `LR case at ${node.value}: rotating left around ${node.left.left.value}`, steps);
+                subtreeRoot = this._rotateRight(node);
+                this._replaceChild(parent, node, subtreeRoot);
+                this._recordRotation(subtreeRoot, `LR case at ${node.value}: rotating right around ${node.value}`, steps);
+            } else {
+                // LL: single right rotation
+                subtreeRoot = this._rotateRight(node);
+                this._replaceChild(parent, node, subtreeRoot);
+                this._recordRotation(subtreeRoot, `LL case at ${node.value}: rotating right around ${node.value}`, steps);
+            }
+        } else {
+            if (this._balanceFactor(node.right) > 0) {
+                // RL: right-rotate the right child, then left-rotate the node
+                node.right = this._rotateRight(node.right);
+                this._recordRotation(node.right, `RL case at ${node.value}: rotating right around ${node.right.right.value}`, steps);
+                subtreeRoot = this._rotateLeft(node);
+                this._replaceChild(parent, node, subtreeRoot);
+                this._recordRotation(subtreeRoot, `RL case at ${node.value}: rotating left around ${node.value}`, steps);
+            } else {
+                // RR: single left rotation
+                subtreeRoot = this._rotateLeft(node);
+                this._replaceChild(parent, node, subtreeRoot);
+                this._recordRotation(subtreeRoot, `RR case at ${node.value}: rotating left around ${node.value}`, steps);
+            }
+        }
+    }
+
+    // Push a rotation step with the resulting tree shape
+    _recordRotation(subtreeRoot, description, steps) {
+        steps.push(new Step({
+            node: subtreeRoot.value,
+            nodeId: subtreeRoot.id,
+            action: Action.ROTATED,
+            description,
+            tree: this.snapshot()
+        }));
+    }
+}
+
+// Node colors for red-black trees
+export const RBColor = {
+    RED: 'red',
+    BLACK: 'black'
+};
+
+// Red-Black Node - new nodes start out red
+export class RBNode extends BSTNode {
+    constructor(value) {
+        super(value);
+        this.color = RBColor.RED;
+    }
+}
+
+// Red-Black Tree - self-balancing BST
+// insert() fixes red-red violations with uncle checks, recolorings and
+// rotations; delete() resolves the "double black" left by removing a black
+// node via sibling checks. Recolor and rotation steps carry a `tree` snapshot.
+export class RedBlackTree extends BinarySearchTree {
+    _createNode(value) {
+        return new RBNode(value);
+    }
+
+    _afterInsert(node, steps) {
+        steps[steps.length - 1].tree = this.snapshot();
+        let current = node;
+
+        while (current !== this.root) {
+            const parent = this._parentOf(current);
+
+            if (!this._isRed(parent)) {
+                steps.push(new Step({
+                    node: parent.value,
+                    nodeId: parent.id,
+                    action: Action.COMPARED,
+                    description: `Parent ${parent.value} is black, no red-red violation`
+                }));
+                break;
+            }
+
+            // A red parent is never the root, so the grandparent exists
+            const grandparent = this._parentOf(parent);
+            const parentIsLeft = grandparent.left === parent;
+            const uncle = parentIsLeft ? grandparent.right : grandparent.left;
+
+            const focus = uncle !== null ? uncle : grandparent;
+            steps.push(new Step({
+                node: focus.value,
+                nodeId: focus.id,
+                action: Action.UNCLE_CHECKED,
+                description: `${current.value} and its parent ${parent.value} are both red; ` +
+                    `uncle ${uncle !== null ? uncle.value : '(null leaf)'} is ${this._isRed(uncle) ? 'red' : 'black'}`
+            }));
+
+            if (this._isRed(uncle)) {
+                this._recolor(
+                    [[parent, RBColor.BLACK], [uncle, RBColor.BLACK], [grandparent, RBColor.RED]],
+                    `Red uncle: recolor ${parent.value} and ${uncle.value} black, ${grandparent.value} red`,
+                    grandparent,
+                    steps
+                );
+                current = grandparent;
+                continue;
+            }
+
+            // Black uncle: straighten a triangle into a line first
+            let top = parent;
+            if (parentIsLeft && parent.right === current) {
+                top = this._rotate(parent, 'left', `Triangle case: rotate left around ${parent.value}`, steps);
+            } else if (!parentIsLeft && parent.left === current) {
+                top = this._rotate(parent, 'right', `Triangle case: rotate right around ${parent.value}`, steps);
+            }
+
+            this._recolor(
+                [[top, RBColor.BLACK], [grandparent, RBColor.RED]],
+                `Line case: recolor ${top.value} black and ${grandparent.value} red`,
+                top,
+                steps
+            );
+            this._rotate(
+                grandparent,
+                parentIsLeft ? 'right' : 'left',
+                `Line case: rotate ${parentIsLeft ? 'right' : 'left'} around ${grandparent.value}`,
+                steps
+            );
+            break;
+        }
+
+        if (this._isRed(this.root)) {
+            this._recolor([[this.root, RBColor.BLACK]], `Root ${this.root.value} must be black`, this.root, steps);
+        }
+    }
+
+    _afterRemove(parent, steps, removed, side) {
+        const child = removed.left !== null ? removed.left : removed.right;
+        const shape = this.snapshot();
+        const firstStep = steps.length;
+
+        if (removed.color === RBColor.RED) {
+            steps.push(new Step({
+                node: parent !== null ? parent.value : null,
+                nodeId: parent !== null ? parent.id : null,
+                action: Action.COMPARED,
+                description: 'Removed node was red, black heights are unchanged'
+            }));
+        } else if (this._isRed(child)) {
+            this._recolor(
+                [[child, RBColor.BLACK]],
+                `Removed a black node: its red child ${child.value} turns black`,
+                child,
+                steps
+            );
+        } else if (parent !== null) {
+            this._fixDoubleBlack(child, parent, side, steps);
+        }
+
+        // The first fix-up step shows the tree without the removed node
+        if (steps.length > firstStep && !steps[firstStep].tree) {
+            steps[firstStep].tree = shape;
+        }
+    }
+
+    // Resolve the extra black at `node` (possibly a null leaf) on the
+    // `side` of `parent`
+    _fixDoubleBlack(node, parent, side, steps) {
+        while (node !== this.root && !this._isRed(node)) {
+            const isLeft = side === 'left';
+            const toward = isLeft ? 'left' : 'right';
+            const away = isLeft ? 'right' : 'left';
+            let sibling = isLeft ? parent.right : parent.left;
+
+            steps.push(new Step({
+                node: sibling.value,
+                nodeId: sibling.id,
+                action: Action.SIBLING_CHECKED,
+                description: `Double black at ${node !== null ? node.value : 'null leaf'} under ${parent.value}; ` +
+                    `sibling ${sibling.value} is ${sibling.color}`
+            }));
+
+            // Case 1: red sibling - rotate it above the parent, then re-check
+            if (this._isRed(sibling)) {
+                this._recolor(
+                    [[sibling, RBColor.BLACK], [parent, RBColor.RED]],
+                    `Red sibling: recolor ${sibling.value} black and ${parent.value} red`,
+                    sibling,
+                    steps
+                );
+                this._rotate(parent, toward, `Red sibling: rotate ${toward} around ${parent.value}`, steps);
+                continue;
+            }
+
+            // Case 2: black sibling with black children - push the black up
+            if (!this._isRed(sibling.left) && !this._isRed(sibling.right)) {
+                this._recolor(
+                    [[sibling, RBColor.RED]],
+                    `Black sibling with black children: recolor ${sibling.value} red, double black moves up to ${parent.value}`,
+                    sibling,
+                    steps
+                );
+                node = parent;
+                parent = this._parentOf(node);
+                if (parent === null) break;
+                side = parent.left === node ? 'left' : 'right';
+                continue;
+            }
+
+            // Case 3: only the near nephew is red - rotate it into the far position
+            if (!this._isRed(isLeft ? sibling.right : sibling.left)) {
+                const near = isLeft ? sibling.left : sibling.right;
+                this._recolor(
+                    [[near, RBColor.BLACK], [sibling, RBColor.RED]],
+                    `Near nephew ${near.value} is red: recolor it black and ${sibling.value} red`,
+                    near,
+                    steps
+                );
+                this._rotate(sibling, away, `Near nephew: rotate ${away} around ${sibling.value}`, steps);
+                sibling = isLeft ? parent.right : parent.left;
+            }
+
+            // Case 4: far nephew is red - rotate the sibling above the parent
+            const far = isLeft ? sibling.right : sibling.left;
+            this._recolor(
+                [[sibling, parent.color], [parent, RBColor.BLACK], [far, RBColor.BLACK]],
+                `Far nephew ${far.value} is red: ${sibling.value} takes ${parent.value}'s color, ` +
+                    `${parent.value} and ${far.value} turn black`,
+                sibling,
+                steps
+            );
+            this._rotate(parent, toward, `Far nephew: rotate ${toward} around ${parent.value}`, steps);
+            node = this.root;
+        }
+
+        if (this._isRed(node)) {
+            this._recolor([[node, RBColor.BLACK]], `${node.value} absorbs the extra black`, node, steps);
+        }
+    }
+
+    // Red test that treats null leaves as black
+    _isRed(node) {
+        return node !== null && node.color === RBColor.RED;
+    }
+
+    // Apply [node, color] pairs and record one recolor step
+    _recolor(changes, description, focus, steps) {
+        changes.forEach(([node, color]) => {
+            node.color = color;
+        });
+        steps.push(new Step({
+            node: focus.value,
+            nodeId: focus.id,
+            action: Action.RECOLORED,
+            description,
+            tree: this.snapshot()
+        }));
+    }
+
+    // Rotate around `node`, re-link the subtree and record the step
+    _rotate(node, direction, description, steps) {
+        const parent = this._parentOf(node);
+        const subtreeRoot = direction === 'left' ? this._rotateLeft(node) : this._rotateRight(node);
+        this._replaceChild(parent, node, subtreeRoot);
+
+        steps.push(new Step({
+            node: subtreeRoot.value,
+            nodeId: subtreeRoot.id,
+            action: Action.ROTATED,
+            description,
+            tree: this.snapshot()
+        }));
+        return subtreeRoot;
+    }
+}
+
+// Splay Tree - self-adjusting BST
+// search() and insert() record the usual steps, then splay the accessed node
+// (or the last node on the search path) to the root with zig, zig-zig and
+// zig-zag rotations. Rotation steps carry a `tree` snapshot.
+export class SplayTree extends BinarySearchTree {
+    insert(value) {
+        const result = super.insert(value);
+        const inserted = result.steps.find(step => step.action === Action.INSERTED);
+        if (inserted) {
+            inserted.tree = this.snapshot();
+        }
+
+        this._splay(this._lastAccessed(value), result.steps);
+        return result;
+    }
+
+    search(value) {
+        const result = super.search(value);
+        this._splay(this._lastAccessed(value), result.steps);
+        return result;
+    }
+
+    // Node holding `value`, or the last node on its search path
+    _lastAccessed(value) {
+        let current = this.root;
+        let last = null;
+
+        while (current !== null && this._compare(value, current.value) !== 0) {
+            last = current;
+            current = this._compare(value, current.value) < 0 ? current.left : current.right;
+        }
+        return current !== null ? current : last;
+    }
+
+    // Bring `node` to the root, recording each splay step
+    _splay(node, steps) {
+        if (node === null || node === this.root) return;
+
+        while (node !== this.root) {
+            const parent = this._parentOf(node);
+            const grandparent = this._parentOf(parent);
+            const nodeSide = parent.left === node ? 'left' : 'right';
+
+            if (grandparent === null) {
+                // Zig: parent is the root
+                this._rotateUp(node, 'zig',
+                    `Zig: ${node.value} is the ${nodeSide} child of the root, rotate around ${parent.value}`, steps);
+            } else if ((grandparent.left === parent) === (nodeSide === 'left')) {
+                // Zig-zig: rotate the parent first, then the node
+                this._rotateUp(parent, 'zig-zig',
+                    `Zig-zig: ${node.value} and ${parent.value} are both ${nodeSide} children, rotate around ${grandparent.value}`, steps);
+                this._rotateUp(node, 'zig-zig',
+                    `Zig-zig: rotate around ${parent.value}`, steps);
+            } else {
+                // Zig-zag: rotate the node twice
+                this._rotateUp(node, 'zig-zag',
+                    `Zig-zag: ${node.value} is a ${nodeSide} child of a ${nodeSide === 'left' ? 'right' : 'left'} child, rotate around ${parent.value}`, steps);
+                this._rotateUp(node, 'zig-zag',
+                    `Zig-zag: rotate around ${grandparent.value}`, steps);
+            }
+        }
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.SPLAYED,
+            description: `${node.value} splayed to the root`
+        }));
+    }
+
+    // Rotate `node` above its parent and record the step
+    _rotateUp(node, splayCase, description, steps) {
+        const parent = this._parentOf(node);
+        const grandparent = this._parentOf(parent);
+        const subtreeRoot = parent.left === node ? this._rotateRight(parent) : this._rotateLeft(parent);
+        this._replaceChild(grandparent, parent, subtreeRoot);
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.ROTATED,
+            description,
+            splayCase,
+            tree: this.snapshot()
+        }));
+    }
+}
+
+// Seeded pseudo-random generator (mulberry32) returning floats in [0, 1)
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Treap Node - BST node with a heap priority
+export class TreapNode extends BSTNode {
+    constructor(value, priority) {
+        super(value);
+        this.priority = priority;
+    }
+}
+
+// Treap - BST by key, max-heap by priority
+// Priorities are random in [0, 100), or reproducible when a seed is given.
+// insert() rotates the new node up while it outranks its parent; delete()
+// rotates the node down until it can be unlinked. split() and merge() are
+// recorded top-down; their steps carry a forest snapshot (array of trees).
+export class Treap extends BinarySearchTree {
+
+    constructor(options = {}) {
+        super(options);
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this._random = this.seed !== null ? seededRandom(this.seed) : Math.random;
+        this._insertPriority = null;
+    }
+
+    // Insert with an optional explicit priority, then rotate up to restore heap order
+    insert(value, priority = null) {
+        this._insertPriority = priority !== null ? priority : Math.floor(this._random() * 100);
+        return super.insert(value);
+    }
+
+    // Delete: rotate the node down below its higher-priority children until
+    // it has at most one child, then unlink it
+    delete(value) {
+        const { found, steps } = this.search(value);
+        if (!found) {
+            return steps;
+        }
+
+        let node = this.root;
+        while (this._compare(value, node.value) !== 0) {
+            node = this._compare(value, node.value) < 0 ? node.left : node.right;
+        }
+
+        // Counted duplicate - drop one copy, the node stays
+        if (node.count > 1) {
+            node.count--;
+            steps.push(new Step({
+                node: value,
+                nodeId: node.id,
+                action: Action.REMOVING,
+                description: `${value} is stored ${node.count + 1} times, its count is now ${node.count}`
+            }));
+            return steps;
+        }
+
+        while (node.left !== null && node.right !== null) {
+            const child = node.left.priority > node.right.priority ? node.left : node.right;
+            steps.push(new Step({
+                node: child.value,
+                nodeId: child.id,
+                action: Action.PRIORITY_CHECKED,
+                description: `${value} has two children: ${child.value} has the higher priority (${child.priority})`
+            }));
+            this._rotateUp(child, `Rotate ${child.value} above ${value}`, steps);
+        }
+
+        const child = node.left !== null ? node.left : node.right;
+        steps.push(new Step({
+            node: value,
+            nodeId: node.id,
+            action: Action.REMOVING,
+            description: child === null
+                ? `${value} is now a leaf, removing it`
+                : `${value} now has one child, replacing it with ${child.value}`
+        }));
+        const parent = this._parentOf(node);
+        this._unlink(parent, node);
+        if (parent !== null) this._refreshPath(this._pathTo(parent));
+        return steps;
+    }
+
+    // Split into { left, right, steps }: two new treaps holding the keys < key
+    // and the keys >= key. This treap is emptied; its nodes move into the halves.
+    split(key) {
+        const steps = [];
+        let leftRoot = null;
+        let rightRoot = null;
+        let leftTail = null;
+        let rightTail = null;
+        const moved = []; // nodes re-linked so far, top-down
+        let current = this.root;
+        this.root = null;
+
+        steps.push(new Step({
+            node: current !== null ? current.value : null,
+            nodeId: current !== null ? current.id : null,
+            action: Action.SPLIT,
+            description: `Splitting at ${key}: keys < ${key} go left, keys >= ${key} go right`,
+            tree: [null, this.snapshot(current), null]
+        }));
+
+        while (current !== null) {
+            const goesLeft = this._compare(current.value, key) < 0;
+            const next = goesLeft ? current.right : current.left;
+
+            if (goesLeft) {
+                // current and its left subtree belong to the left part
+                current.right = null;
+                if (leftTail === null) leftRoot = current; else leftTail.right = current;
+                leftTail = current;
+            } else {
+                // current and its right subtree belong to the right part
+                current.left = null;
+                if (rightTail === null) rightRoot = current; else rightTail.left = current;
+                rightTail = current;
+            }
+            moved.push(current);
+            this._refreshPath(moved);
+
+            steps.push(new Step({
+                node: current.value,
+                nodeId: current.id,
+                action: Action.SPLIT,
+                description: goesLeft
+                    ? `${this._describe(current.value, key)}: ${current.value} and its left subtree go left, continue in its right subtree`
+                    : `${this._describe(current.value, key)}: ${current.value} and its right subtree go right, continue in its left subtree`,
+                tree: [this.snapshot(leftRoot), this.snapshot(next), this.snapshot(rightRoot)]
+            }));
+            current = next;
+        }
+
+        steps.push(new Step({
+            node: null,
+            action: Action.SPLIT,
+            description: `Split complete: left part has keys < ${key}, right part has keys >= ${key}`,
+            tree: [this.snapshot(leftRoot), this.snapshot(rightRoot)]
+        }));
+
+        return { left: this._withRoot(leftRoot), right: this._withRoot(rightRoot), steps };
+    }
+
+    // Merge two treaps whose keys are all ordered (left < right) into
+    // this treap, always taking the root with the higher priority next
+    merge(left, right) {
+        let l = left.root;
+        let r = right.root;
+
+        if (l !== null && r !== null && this._compare(this._maxNode(l).value, this._minNode(r).value) >= 0) {
+            throw new Error('merge: every key in the left treap must be smaller than every key in the right treap');
+        }
+
+        const steps = [];
+        let root = null;
+        let attach = null; // { parent, side } where the next node hangs
+        const taken = []; // nodes placed so far, top-down
+        left.root = null;
+        right.root = null;
+
+        steps.push(new Step({
+            node: null,
+            action: Action.MERGED,
+            description: 'Merging: repeatedly take the root with the higher priority',
+            tree: [this.snapshot(l), null, this.snapshot(r)]
+        }));
+
+        while (l !== null && r !== null) {
+            let node;
+            let side;
+            let description;
+
+            if (l.priority > r.priority) {
+                // l wins: it keeps its left subtree, its right slot is merged next
+                node = l;
+                side = 'right';
+                l = l.right;
+                description = `Priority ${node.priority} (${node.value}) > ${r.priority} (${r.value}): ` +
+                    `take ${node.value}, merge its right subtree next`;
+            } else {
+                // r wins: it keeps its right subtree, its left slot is merged next
+                node = r;
+                side = 'left';
+                r = r.left;
+                description = `Priority ${node.priority} (${node.value}) >= ${l.priority} (${l.value}): ` +
+                    `take ${node.value}, merge its left subtree next`;
+            }
+            node[side] = null;
+
+            if (attach === null) root = node; else attach.parent[attach.side] = node;
+            attach = { parent: node, side };
+            taken.push(node);
+            this._refreshPath(taken);
+
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.MERGED,
+                description,
+                tree: [this.snapshot(l), this.snapshot(root), this.snapshot(r)]
+            }));
+        }
+
+        // One side is exhausted; the other hangs at the open slot as-is
+        const rest = l !== null ? l : r;
+        if (attach === null) root = rest; else attach.parent[attach.side] = rest;
+        this._refreshPath(taken);
+        this.root = root;
+
+        steps.push(new Step({
+            node: root !== null ? root.value : null,
+            nodeId: root !== null ? root.id : null,
+            action: Action.MERGED,
+            description: rest !== null
+                ? `Attach the remaining subtree rooted at ${rest.value}; merge complete`
+                : 'Merge complete',
+            tree: this.snapshot()
+        }));
+        return steps;
+    }
+
+    _createNode(value) {
+        return new TreapNode(value, this._insertPriority);
+    }
+
+    _afterInsert(node, steps) {
+        steps[steps.length - 1].tree = this.snapshot();
+        let parent = this._parentOf(node);
+
+        while (parent !== null && node.priority > parent.priority) {
+            steps.push(new Step({
+                node: node.value,
+                nodeId: node.id,
+                action: Action.PRIORITY_CHECKED,
+                description: `Priority ${node.priority} > parent ${parent.value}'s ${parent.priority}: heap order violated`
+            }));
+            this._rotateUp(node, `Rotate ${node.value} above ${parent.value}`, steps);
+            parent = this._parentOf(node);
+        }
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.PRIORITY_CHECKED,
+            description: parent === null
+                ? `${node.value} is the root: heap order holds`
+                : `Priority ${node.priority} <= parent ${parent.value}'s ${parent.priority}: heap order holds`
+        }));
+    }
+
+    // Rotate `node` above its parent and record the step
+    _rotateUp(node, description, steps) {
+        const parent = this._parentOf(node);
+        const grandparent = this._parentOf(parent);
+        const subtreeRoot = parent.left === node ? this._rotateRight(parent) : this._rotateLeft(parent);
+        this._replaceChild(grandparent, parent, subtreeRoot);
+
+        steps.push(new Step({
+            node: node.value,
+            nodeId: node.id,
+            action: Action.ROTATED,
+            description,
+            tree: this.snapshot()
+        }));
+    }
+
+    // New treap around `root` that keeps drawing from this treap's priorities
+    _withRoot(root) {
+        const treap = new Treap({ duplicates: this.duplicates });
+        treap.comparator = this.comparator;
+        treap.seed = this.seed;
+        treap._random = this._random;
+        treap.root = root;
+        return treap;
+    }
+
+    // Leftmost / rightmost node of a subtree
+    _minNode(node) {
+        while (node.left !== null) node = node.left;
+        return node;
+    }
+
+    _maxNode(node) {
+        while (node.right !== null) node = node.right;
+        return node;
+    }
+}
+
+// B-Tree Node - sorted keys and, unless it is a leaf, one more child than keys
+export class BTreeNode {
+    constructor(leaf = true) {
+        this.keys = [];
+        this.children = [];
+        this.leaf = leaf;
+    }
+}
+
+// B-Tree of minimum degree t
+// Every node but the root holds t - 1 to 2t - 1 keys. insert() splits full
+// nodes on the way down and delete() tops up minimal children (borrowing from
+// a sibling or merging with it) before descending, so neither walks back up.
+// Steps name one key in `node`; steps about a whole node also list its `keys`,
+// and steps that change the tree carry a `tree` snapshot.
+export class BTree {
+    // options.minDegree is t (at least 2, default 2); keyType and compare
+    // set the key order as for binary trees
+    constructor(options = {}) {
+        this.t = Math.max(2, options.minDegree || 2);
+        this.root = null;
+        this.comparator = createComparator(options);
+    }
+
+    // Most keys a node may hold (2t - 1)
+    get maxKeys() {
+        return 2 * this.t - 1;
+    }
+
+    // Insert: descend to a leaf, splitting full nodes on the way down
+    insert(value) {
+        const steps = [];
+
+        if (this.root === null) {
+            this.root = new BTreeNode(true);
+            this.root.keys.push(value);
+            steps.push(new Step({
+                node: value,
+                action: Action.INSERTED,
+                description: `Inserted ${value} as root`,
+                tree: this.snapshot()
+            }));
+            return insertResult(value, steps);
+        }
+
+        if (this.root.keys.length === this.maxKeys) {
+            const oldRoot = this.root;
+            this.root = new BTreeNode(false);
+            this.root.children.push(oldRoot);
+            this._splitChild(this.root, 0, steps, 'The root is full');
+        }
+
+        let node = this.root;
+        while (true) {
+            let i = this._scan(node, value, steps);
+
+            if (this._holds(node, i, value)) {
+                steps.push(new Step({
+                    node: value,
+                    action: Action.FOUND,
+                    description: `${value} already exists, skipping`
+                }));
+                return insertResult(value, steps);
+            }
+
+            if (node.leaf) {
+                node.keys.splice(i, 0, value);
+                steps.push(new Step({
+                    node: value,
+                    keys: [...node.keys],
+                    action: Action.INSERTED,
+                    description: `Inserted ${value} into leaf ${this._label(node)}`,
+                    tree: this.snapshot()
+                }));
+                return insertResult(value, steps);
+            }
+
+            if (node.children[i].keys.length === this.maxKeys) {
+                this._splitChild(node, i, steps, `Child ${this._label(node.children[i])} is full`);
+                // The promoted median now separates the two halves
+                if (this._holds(node, i, value)) continue;
+                if (this.comparator.compare(value, node.keys[i]) > 0) i++;
+            }
+
+            this._recordDescent(node, i, value, steps);
+            node = node.children[i];
+        }
+    }
+
+    // Search: scan each node's keys, then descend into the matching child
+    search(value) {
+        const steps = [];
+
+        if (this.root === null) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `Tree is empty, ${value} not found`
+            }));
+            return searchResult(steps);
+        }
+
+        let node = this.root;
+        while (true) {
+            const i = this._scan(node, value, steps);
+
+            if (this._holds(node, i, value)) {
+                steps.push(new Step({
+                    node: value,
+                    action: Action.FOUND,
+                    description: `Found ${value}!`
+                }));
+                return searchResult(steps);
+            }
+
+            if (node.leaf) {
+                steps.push(new Step({
+                    node: null,
+                    action: Action.NOT_FOUND,
+                    description: `${value} not found in tree`
+                }));
+                return searchResult(steps);
+            }
+
+            this._recordDescent(node, i, value, steps);
+            node = node.children[i];
+        }
+    }
+
+    // Delete with step recording (replacement: 'successor' or 'predecessor'),
+    // keeping every node on the way down above the minimum so the removal
+    // never underflows. A key in an internal node is replaced by its in-order successor or
+    // predecessor (whichever child can spare a key, `replacement` first);
+    // when neither can, the two children are merged around it.
+    delete(value, replacement = 'successor') {
+        const steps = [];
+
+        if (this.root === null) {
+            steps.push(new Step({
+                node: null,
+                action: Action.NOT_FOUND,
+                description: `Tree is empty, ${value} not found`
+            }));
+            return steps;
+        }
+
+        let node = this.root;
+        let key = value;
+        while (true) {
+            const i = this._scan(node, key, steps);
+
+            if (this._holds(node, i, key)) {
+                if (node.leaf) {
+                    steps.push(new Step({
+                        node: key,
+                        action: Action.REMOVING,
+                        description: key === value
+                            ? `Removing ${key} from leaf ${this._label(node)}`
+                            : `Removing the original ${key} from leaf ${this._label(node)}`
+                    }));
+                    node.keys.splice(i, 1);
+                    break;
+                }
+
+                const sides = replacement === 'predecessor'
+                    ? ['predecessor', 'successor']
+                    : ['successor', 'predecessor'];
+                const side = sides.find(s => node.children[s === 'predecessor' ? i : i + 1].keys.length >= this.t);
+
+                if (side === undefined) {
+                    node = this._merge(node, i, steps,
+                        `Both children around ${key} have only ${this.t - 1} key(s)`);
+                    continue;
+                }
+
+                const child = node.children[side === 'predecessor' ? i : i + 1];
+                const substitute = side === 'predecessor' ? this._maxKey(child) : this._minKey(child);
+                steps.push(new Step({
+                    node: substitute,
+                    action: Action.SUCCESSOR,
+                    description: `${key} is in an internal node: its in-order ${side} ${substitute} ` +
+                        `comes from a child with at least ${this.t} keys`
+                }));
+                node.keys[i] = substitute;
+                steps.push(new Step({
+                    node: substitute,
+                    action: Action.REPLACED,
+                    description: `Replaced ${key} with ${substitute}, now deleting ${substitute} from that child`,
+                    tree: this.snapshot()
+                }));
+                key = substitute;
+                node = child;
+                continue;
+            }
+
+            if (node.leaf) {
+                steps.push(new Step({
+                    node: null,
+                    action: Action.NOT_FOUND,
+                    description: `${value} not found in tree`
+                }));
+                break;
+            }
+
+            this._recordDescent(node, i, key, steps);
+            node = node.children[i].keys.length < this.t
+                ? this._fill(node, i, steps)
+                : node.children[i];
+        }
+
+        if (this.root.keys.length === 0) {
+            this.root = this.root.leaf ? null : this.root.children[0];
+        }
+        return steps;
+    }
+
+    // Inorder traversal: child 0, key 0, child 1, key 1, ... (sorted order)
+    inorderTraversal() {
+        const steps = [];
+        this._traverse(this.root, steps, 'inorder');
+        return traversalResult(steps);
+    }
+
+    // Preorder traversal: a node's keys, then its children left to right
+    preorderTraversal() {
+        const steps = [];
+        this._traverse(this.root, steps, 'preorder');
+        return traversalResult(steps);
+    }
+
+    // Postorder traversal: a node's children left to right, then its keys
+    postorderTraversal() {
+        const steps = [];
+        this._traverse(this.root, steps, 'postorder');
+        return traversalResult(steps);
+    }
+
+    // Level order traversal: breadth-first over nodes, visiting every key
+    levelOrderTraversal() {
+        return traversalResult(this._levelOrder(false));
+    }
+
+    // Zig-zag level order: breadth-first, alternating direction per level
+    zigzagTraversal() {
+        return traversalResult(this._levelOrder(true));
+    }
+
+    // Plain-object copy of the tree ({ keys, children, leaf })
+    snapshot(node = this.root) {
+        if (node === null) return null;
+        return {
+            keys: [...node.keys],
+            children: node.children.map(child => this.snapshot(child)),
+            leaf: node.leaf
+        };
+    }
+
+    // Replace the tree with a copy of a snapshot() (e.g. to undo an operation)
+    restore(snapshot) {
+        const copy = (snap) => {
+            if (snap === null) return null;
+            return Object.assign(new BTreeNode(snap.leaf), {
+                keys: [...snap.keys],
+                children: snap.children.map(copy)
+            });
+        };
+        this.root = copy(snapshot);
+    }
+
+    // Height of the tree in levels; every leaf is at the same depth
+    getHeight() {
+        let height = 0;
+        for (let node = this.root; node !== null; node = node.leaf ? null : node.children[0]) {
+            height++;
+        }
+        return height;
+    }
+
+    // Clear the tree
+    clear() {
+        this.root = null;
+    }
+
+    // ─────────────────────────────────────────────────────────
+    // Helpers
+    // ─────────────────────────────────────────────────────────
+
+    // Record a visit to `node` and compare `value` with its keys in order
+    _scan(node, value, steps) {
+        steps.push(new Step({
+            node: node.keys[0],
+            keys: [...node.keys],
+            action: Action.VISITED,
+            description: `Visiting node ${this._label(node)}`
+        }));
+
+        let i = 0;
+        while (i < node.keys.length) {
+            steps.push(new Step({
+                node: node.keys[i],
+                action: Action.COMPARED,
+                description: `Comparing ${value} with ${node.keys[i]}`
+            }));
+            if (this.comparator.compare(value, node.keys[i]) <= 0) break;
+            i++;
+        }
+        return i;
+    }
+
+    // Record the move from `node` into child `i`
+    _recordDescent(node, i, value, steps) {
+        const keys = node.keys;
+        let reason;
+        const { describe, word } = this.comparator;
+        if (i === 0) {
+            reason = describe(value, keys[0]);
+        } else if (i === keys.length) {
+            reason = describe(value, keys[keys.length - 1]);
+        } else {
+            reason = `${describe(keys[i - 1], value)} ${word(value, keys[i])} ${keys[i]}`;
+        }
+
+        steps.push(new Step({
+            node: keys[0],
+            keys: [...keys],
+            action: Action.DESCENDED,
+            childIndex: i,
+            description: `${reason}, descending into child ${i}`
+        }));
+    }
+
+    // Split the full child `i` of `parent` around its median, which moves up
+    _splitChild(parent, i, steps, reason) {
+        const child = parent.children[i];
+        const median = child.keys[this.t - 1];
+
+        steps.push(new Step({
+            node: median,
+            keys: [...child.keys],
+            action: Action.SPLIT,
+            description: `${reason}: splitting ${this._label(child)} around its median ${median}`
+        }));
+
+        const right = new BTreeNode(child.leaf);
+        right.keys = child.keys.splice(this.t);
+        child.keys.pop();
+        if (!child.leaf) {
+            right.children = child.children.splice(this.t);
+        }
+        parent.keys.splice(i, 0, median);
+        parent.children.splice(i + 1, 0, right);
+
+        steps.push(new Step({
+            node: median,
+            action: Action.PROMOTED,
+            description: parent === this.root && parent.keys.length === 1
+                ? `Promoted ${median} to a new root above ${this._label(child)} and ${this._label(right)}`
+                : `Promoted ${median} into ${this._label(parent)} between ${this._label(child)} and ${this._label(right)}`,
+            tree: this.snapshot()
+        }));
+    }
+
+    // Give child `i` of `parent` a t-th key before descending into it, by
+    // borrowing through the parent from a sibling or merging with one
+    _fill(parent, i, steps) {
+        const child = parent.children[i];
+        const left = i > 0 ? parent.children[i - 1] : null;
+        const right = i < parent.children.length - 1 ? parent.children[i + 1] : null;
+        const reason = `${this._label(child)} has only ${this.t - 1} key(s)`;
+
+        if (left !== null && left.keys.length >= this.t) {
+            const up = left.keys.pop();
+            const down = parent.keys[i - 1];
+            child.keys.unshift(down);
+            parent.keys[i - 1] = up;
+            if (!left.leaf) child.children.unshift(left.children.pop());
+
+            steps.push(new Step({
+                node: down,
+                action: Action.BORROWED,
+                description: `${reason}: borrowing from its left sibling, ${up} moves up and ${down} moves down`,
+                tree: this.snapshot()
+            }));
+            return child;
+        }
+
+        if (right !== null && right.keys.length >= this.t) {
+            const up = right.keys.shift();
+            const down = parent.keys[i];
+            child.keys.push(down);
+            parent.keys[i] = up;
+            if (!right.leaf) child.children.push(right.children.shift());
+
+            steps.push(new Step({
+                node: down,
+                action: Action.BORROWED,
+                description: `${reason}: borrowing from its right sibling, ${up} moves up and ${down} moves down`,
+                tree: this.snapshot()
+            }));
+            return child;
+        }
+
+        return right !== null
+            ? this._merge(parent, i, steps, `${reason} and so does its right sibling`)
+            : this._merge(parent, i - 1, steps, `${reason} and so does its left sibling`);
+    }
+
+    // Merge children `i` and `i + 1` of `parent` around the key between them
+    // (the root shrinks when that was its last key)
+    _merge(parent, i, steps, reason) {
+        const left = parent.children[i];
+        const right = parent.children[i + 1];
+        const separator = parent.keys[i];
+        const description = `${reason}: merging ${this._label(left)}, ${separator} and ${this._label(right)}`;
+
+        left.keys.push(separator, ...right.keys);
+        left.children.push(...right.children);
+        parent.keys.splice(i, 1);
+        parent.children.splice(i + 1, 1);
+
+        const rootShrinks = parent === this.root && parent.keys.length === 0;
+        if (rootShrinks) {
+            this.root = left;
+        }
+
+        steps.push(new Step({
+            node: separator,
+            keys: [...left.keys],
+            action: Action.MERGED,
+            description: rootShrinks ? `${description}; the merged node becomes the root` : description,
+            tree: this.snapshot()
+        }));
+        return left;
+    }
+
+    // Depth-first traversal shared by inorder / preorder / postorder
+    _traverse(node, steps, order) {
+        if (node === null) return;
+
+        const visit = (key) => steps.push(new Step({
+            node: key,
+            action: Action.VISITED,
+            description: `Visited ${key}`
+        }));
+        const descend = (i) => {
+            steps.push(new Step({
+                node: node.keys[0],
+                keys: [...node.keys],
+                action: Action.DESCENDED,
+                childIndex: i,
+                description: `Descending into child ${i} of ${this._label(node)}`
+            }));
+            this._traverse(node.children[i], steps, order);
+        };
+
+        if (order === 'preorder') node.keys.forEach(visit);
+
+        node.keys.forEach((key, i) => {
+            if (!node.leaf) descend(i);
+            if (order === 'inorder') visit(key);
+        });
+        if (!node.leaf) descend(node.keys.length);
+
+        if (order === 'postorder') node.keys.forEach(visit);
+    }
+
+    // Breadth-first traversal over nodes; zig-zag alternates direction per
+    // level using the queue as a deque
+    _levelOrder(zigzag) {
+        const steps = [];
+        if (this.root === null) return steps;
+
+        const queue = new LevelQueue(this.root, n => this._label(n), n => n.children);
+        let leftToRight = true;
+
+        steps.push(new Step({
+            node: this.root.keys[0],
+            keys: [...this.root.keys],
+            action: Action.ENQUEUED,
+            description: `Enqueued root ${this._label(this.root)}`,
+            queue: queue.window()
+        }));
+
+        while (queue.length > 0) {
+            let levelSize = zigzag ? queue.length : 1;
+            if (zigzag) queue.startLevel(!leftToRight);
+
+            while (levelSize-- > 0) {
+                const fromBack = zigzag && !leftToRight;
+                const node = fromBack ? queue.popBack() : queue.popFront();
+                steps.push(new Step({
+                    node: node.keys[0],
+                    keys: [...node.keys],
+                    action: Action.DEQUEUED,
+                    description: `Dequeued ${this._label(node)} from the ${fromBack ? 'back' : 'front'}`,
+                    queue: queue.window()
+                }));
+
+                node.keys.forEach(key => steps.push(new Step({
+                    node: key,
+                    action: Action.VISITED,
+                    description: `Visited ${key}`,
+                    queue: queue.window()
+                })));
+
+                // Right-to-left levels push children right first, to the front
+                const children = fromBack ? [...node.children].reverse() : node.children;
+                children.forEach(child => {
+                    if (fromBack) queue.pushFront(child); else queue.pushBack(child);
+                    steps.push(new Step({
+                        node: child.keys[0],
+                        keys: [...child.keys],
+                        action: Action.ENQUEUED,
+                        description: `Enqueued ${this._label(child)} (child of ${this._label(node)})` +
+                            (zigzag ? ` at the ${fromBack ? 'front' : 'back'}` : ''),
+                        queue: queue.window()
+                    }));
+                });
+            }
+
+            if (zigzag) leftToRight = !leftToRight;
+        }
+
+        return steps;
+    }
+
+    // Whether key `i` of `node` (the one _scan() stopped at) equals `value`
+    _holds(node, i, value) {
+        return i < node.keys.length && this.comparator.compare(node.keys[i], value) === 0;
+    }
+
+    _minKey(node) {
+        while (!node.leaf) node = node.children[0];
+        return node.keys[0];
+    }
+
+    _maxKey(node) {
+        while (!node.leaf) node = node.children[node.children.length - 1];
+        return node.keys[node.keys.length - 1];
+    }
+
+    // Display label for a node, e.g. [10 | 20]
+    _label(node) {
+        return `[${node.keys.join(' | ')}]`;
+    }
+}
+
+// Tree modes selectable in the UI
+export const TreeMode = {
+    BST: 'bst',
+    AVL: 'avl',
+    RED_BLACK: 'red_black',
+    SPLAY: 'splay',
+    TREAP: 'treap',
+    B_TREE: 'b_tree'
+};
+
+// Create an empty tree for a mode (options: all { keyType, compare },
+// binary trees { duplicates }, Treap { seed }, B-Tree { minDegree })
+export function createTree(mode, options = {}) {
+    switch (mode) {
+        case TreeMode.AVL:
+            return new AVLTree(options);
+        case TreeMode.RED_BLACK:
+            return new RedBlackTree(options);
+        case TreeMode.SPLAY:
+            return new SplayTree(options);
+        case TreeMode.TREAP:
+            return new Treap(options);
+        case TreeMode.B_TREE:
+            return new BTree(options);
+        default:
+            return new BinarySearchTree(options);
+    }
+}
+
+// Node (id, or key for B-trees) a step is about, or null
+function stepTarget(step) {
+    if (step.node === null) return null;
+    return step.nodeId !== undefined ? step.nodeId : step.node;
+}
+
+// A range step's `range` as lists: { lo, hi, keys, pruned } so far
+function rangeAt(range) {
+    return {
+        lo: range.lo,
+        hi: range.hi,
+        keys: range.keys.slice(0, range.keyCount),
+        pruned: range.pruned.slice(0, range.prunedCount)
+    };
+}
+
+// Step Timeline - the visual state after any number of steps
+// Which tree shape is in effect and how long the result list is are
+// precomputed per step, so seeking anywhere (or playing in reverse) never
+// replays earlier steps. Everything else on screen comes from the step
+// itself: its highlighted nodes and edge, and the `queue`, `range`, `paths`
+// and `lca` it carries. A frame is found in constant time, but it copies
+// out the lists it shows (queue, range and visited keys), so building one
+// costs as much as drawing those lists.
+export class StepTimeline {
+    // steps: recorded steps; shape-changing ones carry `tree`
+    // baseTree: tree on screen before the first step
+    // finalTree: tree once every step has been shown
+    constructor(steps = [], baseTree = null, finalTree = null) {
+        this.steps = steps;
+        this.baseTree = baseTree;
+        this.finalTree = finalTree;
+        this.visited = []; // { key, value } of each node visited, in order
+
+        // Per count of shown steps: index of the step whose tree is in
+        // effect (-1 for baseTree) and length of the visited list
+        this._treeAt = new Int32Array(steps.length + 1).fill(-1);
+        this._visitedAt = new Int32Array(steps.length + 1);
+
+        const seen = new Set();
+        let treeIndex = -1;
+        steps.forEach((step, i) => {
+            if (step.tree) treeIndex = i;
+            const key = stepTarget(step);
+            if (step.action === Action.VISITED && key !== null && !seen.has(key)) {
+                seen.add(key);
+                this.visited.push({ key, value: step.node });
+            }
+            this._treeAt[i + 1] = treeIndex;
+            this._visitedAt[i + 1] = this.visited.length;
+        });
+
+        // Without snapshots or end trees the shape never changes on screen
+        this.hasTrees = treeIndex >= 0 || finalTree !== null;
+    }
+
+    get length() {
+        return this.steps.length;
+    }
+
+    // Visual state once the first `count` steps (0 to length) have been
+    // shown: { count, step, tree, targets, edge, queue, range, paths, lca,
+    // visited }. tree is null when the shape on screen stays as it is; edge
+    // is { from, dir } (dir is 'left', 'right' or a B-tree child index).
+    frameAt(count) {
+        count = Math.max(0, Math.min(count, this.steps.length));
+        const step = count > 0 ? this.steps[count - 1] : null;
+        const target = step !== null ? stepTarget(step) : null;
+
+        let tree = null;
+        if (this.hasTrees) {
+            const treeIndex = this._treeAt[count];
+            if (count === this.steps.length && this.finalTree !== null) {
+                tree = this.finalTree;
+            } else {
+                tree = treeIndex >= 0 ? this.steps[treeIndex].tree : this.baseTree;
+            }
+        }
+
+        let edge = null;
+        if (target !== null) {
+            if (step.action === Action.MOVED_LEFT) edge = { from: target, dir: 'left' };
+            if (step.action === Action.MOVED_RIGHT) edge = { from: target, dir: 'right' };
+            if (step.action === Action.DESCENDED) edge = { from: target, dir: step.childIndex };
+        }
+
+        return {
+            count,
+            step,
+            tree,
+            // Steps about a whole B-tree node list all of its keys
+            targets: target === null ? [] : (step.keys || [target]),
+            edge,
+            queue: step !== null && step.queue ? step.queue.keys.slice(step.queue.from, step.queue.to) : null,
+            range: step !== null && step.range ? rangeAt(step.range) : null,
+            paths: step !== null && step.paths ? step.paths : null,
+            lca: step !== null && step.lca !== undefined ? step.lca : null,
+            visited: this.visited.slice(0, this._visitedAt[count])
+        };
+    }
+}
+
+// Animation Controller - plays recorded steps one at a time on a timer
+// Headless: listeners added with onStep() receive each step as it is shown,
+// and onFrame() listeners the whole visual state (a StepTimeline frame), so
+// it also works outside React (the visualizer renders frames itself).
+// Stepping back, seeking and playing in reverse jump straight to the frame.
+export class AnimationController {
+    // steps: steps to play (e.g. bst.search(40).steps)
+    constructor(steps = []) {
+        this.steps = steps;
+        this.timeline = new StepTimeline(steps);
+        this.currentIndex = 0;  // number of steps shown so far
+        this.isPlaying = false;
+        this.direction = 1;     // 1 plays forward, -1 in reverse
+        this.speed = 800;       // ms per step
+        this.timeoutId = null;
+        this.stepListeners = [];
+        this.frameListeners = [];
+
+        // Callbacks
+        this.onComplete = null;
+        this.onStatusChange = null;
+    }
+
+    // Load steps for animation, with the trees on screen before the first
+    // and after the last step (see StepTimeline)
+    setSteps(steps, baseTree = null, finalTree = null) {
+        this.pause();
+        this.steps = steps;
+        this.timeline = new StepTimeline(steps, baseTree, finalTree);
+        this.reset();
+    }
+
+    // Set animation speed
+    setSpeed(ms) {
+        this.speed = ms;
+    }
+
+    // Call `callback(step, current, total)` for every step shown, where
+    // `current` is the 1-based position of the step
+    onStep(callback) {
+        this.stepListeners.push(callback);
+        return () => {
+            this.stepListeners = this.stepListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    // Call `callback(frame)` with the visual state whenever it changes,
+    // including the empty frame before the first step
+    onFrame(callback) {
+        this.frameListeners.push(callback);
+        return () => {
+            this.frameListeners = this.frameListeners.filter(listener => listener !== callback);
+        };
+    }
+
+    // Start or resume animation
+    play() {
+        this._start(1);
+    }
+
+    // Play the steps backward to the start
+    playBackward() {
+        this._start(-1);
+    }
+
+    // Pause animation
+    pause() {
+        this.isPlaying = false;
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+        this._notifyStatus();
+    }
+
+    // Stop and return to the first step
+    reset() {
+        this.pause();
+        this.seek(0);
+    }
+
+    // Step forward manually
+    stepForward() {
+        if (this.currentIndex < this.steps.length) {
+            this.seek(this.currentIndex + 1);
+
+            if (this.currentIndex >= this.steps.length && this.onComplete) {
+                this.onComplete();
+            }
+        }
+    }
+
+    // Step backward
+    stepBackward() {
+        if (this.currentIndex > 0) {
+            this.seek(this.currentIndex - 1);
+        }
+    }
+
+    // Jump to specific step
+    goToStep(index) {
+        if (index >= 0 && index < this.steps.length) {
+            this.seek(index + 1);
+        }
+    }
+
+    // Show the state after the first `count` steps (0 = before any step)
+    seek(count) {
+        this.currentIndex = Math.max(0, Math.min(count, this.steps.length));
+        this._showFrame(this.timeline.frameAt(this.currentIndex));
+        this._notifyStatus();
+    }
+
+    // Get current progress
+    getProgress() {
+        return {
+            current: this.currentIndex,
+            total: this.steps.length,
+            percentage: this.steps.length > 0
+                ? Math.round((this.currentIndex / this.steps.length) * 100)
+                : 0,
+            isPlaying: this.isPlaying,
+            direction: this.direction,
+            currentStep: this.steps[this.currentIndex] || null
+        };
+    }
+
+    // Start playing in `direction`, wrapping around from the far end
+    _start(direction) {
+        if (this.steps.length === 0) return;
+
+        this.pause();
+        this.direction = direction;
+        if (direction > 0 && this.currentIndex >= this.steps.length) {
+            this.seek(0);
+        } else if (direction < 0 && this.currentIndex === 0) {
+            this.seek(this.steps.length);
+        }
+
+        this.isPlaying = true;
+        this._notifyStatus();
+        this._executeStep();
+    }
+
+    // Execute current step and schedule next
+    _executeStep() {
+        const done = this.direction > 0
+            ? this.currentIndex >= this.steps.length
+            : this.currentIndex === 0;
+
+        if (!this.isPlaying || done) {
+            this.isPlaying = false;
+            this._notifyStatus();
+            if (this.direction > 0 && this.onComplete) this.onComplete();
+            return;
+        }
+
+        this.seek(this.currentIndex + this.direction);
+
+        this.timeoutId = setTimeout(() => {
+            this._executeStep();
+        }, this.speed);
+    }
+
+    // Show a frame and notify the listeners
+    _showFrame(frame) {
+        if (frame.step !== null) {
+            this.stepListeners.forEach(listener => listener(frame.step, frame.count, this.steps.length));
+        }
+        this.frameListeners.forEach(listener => listener(frame));
+    }
+
+    // Notify status change
+    _notifyStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getProgress());
+        }
+    }
+}
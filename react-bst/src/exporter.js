@@ -0,0 +1,130 @@
+/**
+ * Image Export
+ * Turns the tree on screen into files: a standalone SVG with the page's
+ * styles inlined, a PNG at a chosen scale, and an animated SVG that replays
+ * a sequence of captured frames on its own (SMIL, no scripts), so the files
+ * open offline and paste into slides as they look on screen.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Computed styles copied onto every element; together they cover what the
+// stylesheets set on nodes, edges and labels
+const INLINED_STYLES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'filter', 'font-family', 'font-size', 'font-weight',
+    'text-anchor', 'dominant-baseline'
+];
+
+const CAPTION_HEIGHT = 40;
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
+
+// Copy what an SVG element on the page shows, with each element's computed
+// styles inlined: { width, height, background, color, body }, body being the
+// markup of its children. Transitions and CSS animations are frozen while
+// the styles are read (the `exporting` class), so highlights are captured at
+// their end state; elements that are not displayed are left out.
+export function captureSvg(svg) {
+    const [, , width, height] = (svg.getAttribute('viewBox') || '0 0 0 0').split(/[\s,]+/).map(Number);
+    const clone = svg.cloneNode(true);
+    const originals = svg.querySelectorAll('*');
+    const copies = clone.querySelectorAll('*');
+    const hidden = [];
+
+    svg.classList.add('exporting');
+    originals.forEach((el, i) => {
+        const computed = getComputedStyle(el);
+        if (computed.getPropertyValue('display') === 'none') {
+            hidden.push(copies[i]);
+            return;
+        }
+        copies[i].setAttribute('style', INLINED_STYLES
+            .map(name => [name, computed.getPropertyValue(name)])
+            .filter(([, value]) => value !== '')
+            .map(([name, value]) => `${name}:${value}`)
+            .join(';'));
+        copies[i].removeAttribute('class');
+    });
+    const background = getComputedStyle(svg.parentNode).getPropertyValue('background-color');
+    const color = getComputedStyle(svg).getPropertyValue('color');
+    svg.classList.remove('exporting');
+
+    hidden.forEach(el => el.remove());
+    const serializer = new XMLSerializer();
+    const body = Array.from(clone.childNodes).map(node => serializer.serializeToString(node)).join('');
+    return { width, height, background, color, body };
+}
+
+// Standalone SVG file for one captureSvg() capture
+export function svgDocument({ width, height, background, body }) {
+    return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="${background}"/>${body}</svg>`;
+}
+
+// Animated SVG file showing captures ({ capture, caption } in playing order)
+// one after another for frameDuration ms each, captioned underneath, then
+// starting over. The last frame stays up for two frame durations before the
+// replay.
+export function animatedSvgDocument(frames, frameDuration) {
+    const width = Math.max(...frames.map(frame => frame.capture.width));
+    const treeHeight = Math.max(...frames.map(frame => frame.capture.height));
+    const height = treeHeight + CAPTION_HEIGHT;
+    const { background, color } = frames[0].capture;
+    const slots = frames.length + 1;
+
+    const layers = frames.map(({ capture, caption }, i) => {
+        const start = i / slots;
+        const end = i === frames.length - 1 ? 1 : (i + 1) / slots;
+        return `<g visibility="hidden">` +
+            `<animate attributeName="visibility" values="hidden;visible;hidden" keyTimes="0;${start};${end}" ` +
+            `calcMode="discrete" dur="${slots * frameDuration}ms" repeatCount="indefinite"/>` +
+            capture.body +
+            `<text x="${width / 2}" y="${treeHeight + CAPTION_HEIGHT / 2}" fill="${color}" ` +
+            `font-family="sans-serif" font-size="14" text-anchor="middle" dominant-baseline="central">` +
+            `${escapeXml(caption)}</text></g>`;
+    });
+
+    return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<rect width="100%" height="100%" fill="${background}"/>${layers.join('')}</svg>`;
+}
+
+// Draw a standalone SVG of width x height pixels onto a canvas and encode it
+// as a PNG Blob; scale is pixels per SVG unit, e.g. 2 for high-DPI slides
+export function svgToPng(markup, width, height, scale = 1) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The PNG could not be encoded'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The SVG could not be drawn'));
+        };
+        image.src = url;
+    });
+}
+
+// Save text (of MIME type `type`) or a Blob as a file through the browser's
+// download
+export function downloadFile(filename, data, type = 'image/svg+xml') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
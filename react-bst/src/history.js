@@ -0,0 +1,64 @@
+/**
+ * Tree History
+ * Undo/redo for tree mutations. Each entry pairs a label ("Insert 42") with
+ * the state after that operation; the first entry is the starting state.
+ * Moving through the list hands back the entry whose state to restore, and
+ * recording after an undo drops the entries that could have been redone.
+ */
+
+export class TreeHistory {
+    // limit: entries kept; the oldest go first
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.entries = [];  // { label, state }
+        this.index = -1;    // entry on screen
+    }
+
+    // Start over with a single entry
+    reset(label, state) {
+        this.entries = [{ label, state }];
+        this.index = 0;
+    }
+
+    // Add the state after an operation (`label` says what it did), dropping
+    // any redoable entries
+    record(label, state) {
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push({ label, state });
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+    }
+
+    // Entry on screen ({ label, state }), or null before the first reset()
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    // Step back to the previous entry; returns the entry to restore, or null
+    undo() {
+        return this.canUndo() ? this.jumpTo(this.index - 1) : null;
+    }
+
+    // Step forward to the next entry; returns the entry to restore, or null
+    redo() {
+        return this.canRedo() ? this.jumpTo(this.index + 1) : null;
+    }
+
+    // Move to any entry and return it (null if out of range); later entries
+    // stay redoable until the next record()
+    jumpTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.entries[index];
+    }
+}
@@ -1,7 +1,39 @@
-import { defineConfig } from 'vite'
+import { fileURLToPath } from 'node:url'
+import { defineConfig, normalizePath } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// stats.js, layout.js, viewport.js and canvas-renderer.js live in the
+// repository root, shared with the vanilla page, which loads them as classic
+// scripts (so it still opens from file://). They end with a CommonJS export
+// for Node; this serves them to the app as ES modules instead.
+const SHARED_SCRIPTS = ['stats.js', 'layout.js', 'viewport.js', 'canvas-renderer.js']
+  .map(file => normalizePath(fileURLToPath(new URL(`../${file}`, import.meta.url))))
+const NODE_EXPORT = /if \(typeof module !== 'undefined' && module\.exports\) \{\s*module\.exports = \{([^}]*)\};\s*\} else if \(typeof window !== 'undefined'\) \{[^}]*\}\s*$/
+
+function sharedScripts() {
+  return {
+    name: 'shared-scripts',
+    transform(code, id) {
+      if (!SHARED_SCRIPTS.includes(id.split('?')[0])) return null
+      const names = code.match(NODE_EXPORT)
+      if (names === null) this.error(`${id} has no CommonJS export to turn into an ES one`)
+      // require('./layout.js') fallbacks become imports of the same files,
+      // kept on the first line so line numbers still match
+      const imports = []
+      const body = code.replace(NODE_EXPORT, `export {${names[1]}};\n`)
+        .replace(/require\('(\.\/[\w-]+\.js)'\)/g, (call, path) => {
+          imports.push(`import * as shared${imports.length} from '${path}';`)
+          return `shared${imports.length - 1}`
+        })
+      return { code: imports.join(' ') + body, map: null }
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [sharedScripts(), react()],
+  server: {
+    fs: { allow: ['..'] },
+  },
 })
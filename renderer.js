@@ -7,119 +7,251 @@ const CONFIG = {
     NODE_RADIUS: 25,
     HORIZONTAL_SPACING: 60,
     VERTICAL_SPACING: 80,
-    PADDING: 50
+    PADDING: 50,
+    TWEEN_DURATION: 500,
+    KEY_WIDTH: 40,      // B-tree key cell
+    KEY_HEIGHT: 34,
+    NODE_GAP: 20        // between sibling B-tree nodes
 };
 
+// stats.js is loaded as a separate script in the browser, a module in Node
+const treeStats = typeof computeTreeStats !== 'undefined'
+    ? computeTreeStats
+    : require('./stats.js').computeTreeStats;
+const layoutTree = typeof computeLayout !== 'undefined'
+    ? computeLayout
+    : require('./layout.js').computeLayout;
+
+/**
+ * Heatmap color from cold (blue, 0) to hot (red, 1)
+ * @param {number} t - Relative access frequency in [0, 1]
+ */
+function heatColor(t) {
+    return `hsl(${Math.round(220 * (1 - t))}, 80%, 50%)`;
+}
+
 /**
  * BSTRenderer - Computes positions and renders tree as SVG
  */
 class BSTRenderer {
     constructor(svgElement) {
         this.svg = svgElement;
-        this.nodePositions = new Map(); // value -> {x, y}
-        this.nodeElements = new Map();  // value -> SVG element
+        this.nodePositions = new Map(); // node id (B-tree: key) -> {x, y, node}
+        this.nodeElements = new Map();  // node id (B-tree: key) -> SVG element
+        this.edgeElements = [];         // { line, parent, child }
+        this.tweenId = null;
+        this.finishFrame = null;        // draws the running tween's last frame
+        this.drawn = new Map();         // node id -> {x, y, scale} as last drawn, mid-tween too
+        this.fading = [];               // { el, opacity } of removed nodes and edges still fading out
+        this.heatmap = null;            // value -> access count, or null
+        this.btreeBoxes = [];           // B-tree node boxes { node, x, y, width, children }
+        this.balanceFactors = new Map(); // node id -> balance factor of the drawn tree
+        this.layout = 'classic';        // TreeLayout (layout.js)
+        this.root = null;               // tree last rendered
+        this.layers = svgElement;       // group holding the drawing
     }
 
     /**
-     * Compute node positions using subtree-width algorithm
-     * @param {BSTNode} root - Root of the tree
-     * @returns {object} - { width, positions }
+     * Compute node positions with the current layout (see layout.js)
+     * @param {BSTNode|Array} root - Root of the tree, or an array of roots
+     * @returns {Map} - node id (B-tree: key) -> {x, y, node}
      */
     computePositions(root) {
-        this.nodePositions.clear();
-        if (!root) return { width: 0 };
-
-        // First pass: calculate subtree widths
-        const widths = new Map();
-        this._calculateWidths(root, widths);
-
-        // Second pass: assign x,y positions
-        this._assignPositions(root, 0, 0, widths);
-
-        return {
-            width: widths.get(root) || 1,
-            positions: this.nodePositions
-        };
+        const { positions, boxes } = layoutTree(root, this.layout, CONFIG);
+        this.nodePositions = positions;
+        this.btreeBoxes = boxes;
+        return positions;
     }
 
     /**
-     * Calculate width of each subtree (bottom-up)
+     * Non-empty trees to draw from a root or an array of roots
      */
-    _calculateWidths(node, widths) {
-        if (!node) return 0;
-
-        const leftWidth = this._calculateWidths(node.left, widths);
-        const rightWidth = this._calculateWidths(node.right, widths);
-        const totalWidth = leftWidth + 1 + rightWidth;
-
-        widths.set(node, totalWidth);
-        return totalWidth;
+    _treesOf(root) {
+        return (Array.isArray(root) ? root : [root]).filter(tree => tree);
     }
 
     /**
-     * Assign x,y positions (top-down)
+     * B-tree nodes hold a `keys` array instead of a single value
      */
-    _assignPositions(node, depth, leftBound, widths) {
-        if (!node) return;
-
-        const leftWidth = node.left ? widths.get(node.left) : 0;
-
-        // X position = left bound + left subtree width
-        const x = CONFIG.PADDING + (leftBound + leftWidth) * CONFIG.HORIZONTAL_SPACING;
-        const y = CONFIG.PADDING + depth * CONFIG.VERTICAL_SPACING;
-
-        this.nodePositions.set(node.value, { x, y, node });
-
-        // Recurse left
-        this._assignPositions(node.left, depth + 1, leftBound, widths);
-
-        // Recurse right (starts after this node)
-        this._assignPositions(node.right, depth + 1, leftBound + leftWidth + 1, widths);
+    _isBTree(root) {
+        return Array.isArray(root.keys);
     }
 
     /**
      * Render the tree to SVG
-     * @param {BSTNode} root - Root of the tree
+     * @param {BSTNode|Array} root - Root of the tree, or an array of roots
+     * @param {object} [options]
+     * @param {boolean} [options.animate] - Move nodes from their previous
+     *     positions, grow new ones in from their parent and fade removed ones
+     *     out; ignored when the user prefers reduced motion
      */
-    render(root) {
+    render(root, options = {}) {
+        this.root = root;
+
+        // A render in the middle of a tween carries on from what is drawn
+        const animate = options.animate && !this._prefersReducedMotion();
+        const previous = animate ? this.drawn : null;
+        const previousNodes = new Map(this.nodeElements);
+        const previousEdges = this.edgeElements;
+        const fading = animate ? this.fading : [];
+        this.drawn = new Map();
+        this.fading = [];
+
+        if (this.tweenId !== null) {
+            cancelAnimationFrame(this.tweenId);
+            this.tweenId = null;
+        }
+
         this.svg.innerHTML = '';
         this.nodeElements.clear();
+        this.edgeElements = [];
 
-        if (!root) {
+        const trees = this._treesOf(root);
+        if (trees.length === 0) {
             this._renderEmptyMessage();
             return;
         }
 
         // Compute positions
-        const result = this.computePositions(root);
+        this.computePositions(root);
+        this.balanceFactors = treeStats(root).balanceFactors;
 
         // Calculate SVG dimensions
         const positions = Array.from(this.nodePositions.values());
         const maxX = Math.max(...positions.map(p => p.x)) + CONFIG.PADDING + CONFIG.NODE_RADIUS;
         const maxY = Math.max(...positions.map(p => p.y)) + CONFIG.PADDING + CONFIG.NODE_RADIUS;
 
+        // Drawn at actual size unless a TreeViewport (viewport.js) zooms it
         this.svg.setAttribute('viewBox', `0 0 ${maxX} ${maxY}`);
-        this.svg.style.minWidth = `${maxX}px`;
-        this.svg.style.minHeight = `${maxY}px`;
+        this.svg.setAttribute('width', maxX);
+        this.svg.setAttribute('height', maxY);
+
+        // Everything goes in one group, so a minimap can <use> the drawing
+        this.layers = this._createGroup('tree-layers', this.svg);
+        if (this.svg.id) this.layers.id = `${this.svg.id}-layers`;
 
         // Create groups for layering
         const edgeGroup = this._createGroup('edges');
         const nodeGroup = this._createGroup('nodes');
 
-        // Draw edges first (behind nodes)
-        this._renderEdges(root, edgeGroup);
+        if (this._isBTree(trees[0])) {
+            this._renderBTree(edgeGroup, nodeGroup);
+        } else {
+            // Draw edges first (behind nodes)
+            trees.forEach(tree => this._renderEdges(tree, edgeGroup));
+
+            // Draw nodes on top
+            this._renderNodes(nodeGroup);
+        }
+        this._applyHeatmap();
+
+        if (previous && previous.size > 0) {
+            this._tweenFrom(previous, previousNodes, previousEdges, fading);
+        } else {
+            this.nodePositions.forEach(({ x, y }, key) => this.drawn.set(key, { x, y, scale: 1 }));
+        }
+    }
+
+    /**
+     * Jump a running tween to its end state, so what is drawn is the tree at
+     * rest (e.g. before capturing it)
+     */
+    finishTween() {
+        if (this.tweenId === null) return;
+        cancelAnimationFrame(this.tweenId);
+        this.tweenId = null;
+        this.finishFrame();
+    }
+
+    /**
+     * Whether the user asked the system for reduced motion
+     */
+    _prefersReducedMotion() {
+        return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Glide nodes and edges from where they are drawn to their new positions.
+     * New nodes grow in from where their parent starts (B-tree keys where
+     * they are); nodes that are gone, and their edges, fade out on top.
+     * @param {Map} previous - node id -> {x, y, scale} as drawn before this render
+     * @param {Map} previousNodes - node id -> element before this render
+     * @param {Array} previousEdges - edge elements before this render
+     * @param {Array} fading - { el, opacity } still fading out from earlier renders
+     */
+    _tweenFrom(previous, previousNodes, previousEdges, fading) {
+        const start = performance.now();
+        const parents = new Map(this.edgeElements.map(({ parent, child }) => [child, parent]));
+
+        const startOf = (key) => {
+            if (previous.has(key)) return previous.get(key);
+            const origin = parents.has(key) ? startOf(parents.get(key)) : this.nodePositions.get(key);
+            return { x: origin.x, y: origin.y, scale: 0 };
+        };
+
+        const drawnAt = (key, progress) => {
+            const to = this.nodePositions.get(key);
+            const from = startOf(key);
+            return {
+                x: from.x + (to.x - from.x) * progress,
+                y: from.y + (to.y - from.y) * progress,
+                scale: from.scale + (1 - from.scale) * progress
+            };
+        };
 
-        // Draw nodes on top
-        this._renderNodes(nodeGroup);
+        const leaving = this._createGroup('leaving');
+        const fadingOut = [...fading];
+        previousEdges
+            .filter(({ parent, child }) => !this.nodePositions.has(parent) || !this.nodePositions.has(child))
+            .forEach(({ line }) => fadingOut.push({ el: line, opacity: 1 }));
+        previousNodes.forEach((el, key) => {
+            if (!this.nodePositions.has(key)) fadingOut.push({ el, opacity: 1 });
+        });
+        fadingOut.forEach(({ el }) => leaving.appendChild(el));
+
+        const frame = (now) => {
+            const t = Math.min(1, (now - start) / CONFIG.TWEEN_DURATION);
+            const progress = 1 - Math.pow(1 - t, 3); // ease-out cubic
+
+            this.nodeElements.forEach((el, key) => {
+                const to = this.nodePositions.get(key);
+                const at = drawnAt(key, progress);
+                el.setAttribute('transform',
+                    `translate(${at.x} ${at.y}) scale(${at.scale}) translate(${-to.x} ${-to.y})`);
+                this.drawn.set(key, at);
+            });
+
+            this.edgeElements.forEach(({ line, parent, child }) => {
+                this._placeEdge(line, drawnAt(parent, progress), drawnAt(child, progress));
+            });
+
+            this.fading = fadingOut.map(({ el, opacity }) => {
+                el.setAttribute('opacity', opacity * (1 - progress));
+                return { el, opacity: opacity * (1 - progress) };
+            });
+
+            if (t < 1) {
+                this.tweenId = requestAnimationFrame(frame);
+            } else {
+                this.tweenId = null;
+                this.fading = [];
+                leaving.remove();
+            }
+        };
+        this.finishFrame = () => frame(start + CONFIG.TWEEN_DURATION);
+
+        // The first frame is drawn right away, so new nodes never flash in
+        // at full size
+        frame(start);
     }
 
     /**
-     * Create SVG group element
+     * Create SVG group element (in the drawing's layers by default)
      */
-    _createGroup(className) {
+    _createGroup(className, parent = this.layers) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         g.setAttribute('class', className);
-        this.svg.appendChild(g);
+        parent.appendChild(g);
         return g;
     }
 
@@ -129,66 +261,77 @@ class BSTRenderer {
     _renderEdges(node, group) {
         if (!node) return;
 
-        const parentPos = this.nodePositions.get(node.value);
+        const parentPos = this.nodePositions.get(node.id);
 
         if (node.left) {
-            const childPos = this.nodePositions.get(node.left.value);
+            const childPos = this.nodePositions.get(node.left.id);
             this._drawEdge(parentPos, childPos, 'left', group);
             this._renderEdges(node.left, group);
         }
 
         if (node.right) {
-            const childPos = this.nodePositions.get(node.right.value);
+            const childPos = this.nodePositions.get(node.right.id);
             this._drawEdge(parentPos, childPos, 'right', group);
             this._renderEdges(node.right, group);
         }
     }
 
     /**
-     * Draw a single edge between parent and child
+     * Draw a single edge between parent and child, tagged with their node ids
      */
     _drawEdge(parent, child, direction, group) {
         const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
 
-        // Calculate edge endpoints (from bottom of parent to top of child)
+        this._placeEdge(line, parent, child);
+        line.setAttribute('class', `edge edge-${direction}`);
+        line.setAttribute('data-parent', parent.node.id);
+        line.setAttribute('data-child', child.node.id);
+
+        group.appendChild(line);
+        this.edgeElements.push({ line, parent: parent.node.id, child: child.node.id });
+    }
+
+    /**
+     * Set edge endpoints (from the rim of the parent to the rim of the child)
+     */
+    _placeEdge(line, parent, child) {
         const angle = Math.atan2(child.y - parent.y, child.x - parent.x);
 
         line.setAttribute('x1', parent.x + CONFIG.NODE_RADIUS * Math.cos(angle));
         line.setAttribute('y1', parent.y + CONFIG.NODE_RADIUS * Math.sin(angle));
         line.setAttribute('x2', child.x - CONFIG.NODE_RADIUS * Math.cos(angle));
         line.setAttribute('y2', child.y - CONFIG.NODE_RADIUS * Math.sin(angle));
-        line.setAttribute('class', `edge edge-${direction}`);
-        line.setAttribute('data-parent', parent.node.value);
-        line.setAttribute('data-child', child.node.value);
-
-        group.appendChild(line);
     }
 
     /**
      * Render all nodes
      */
     _renderNodes(group) {
-        this.nodePositions.forEach((pos, value) => {
-            const nodeGroup = this._drawNode(pos.x, pos.y, value);
+        this.nodePositions.forEach((pos, id) => {
+            const nodeGroup = this._drawNode(pos.x, pos.y, pos.node.value, pos.node);
             group.appendChild(nodeGroup);
-            this.nodeElements.set(value, nodeGroup);
+            this.nodeElements.set(id, nodeGroup);
         });
     }
 
     /**
      * Draw a single node (circle + text)
+     * Red-black nodes get a `node-red` / `node-black` base class that the
+     * highlight states are layered on top of; treap nodes show their priority
+     * underneath and counted duplicates their count at the bottom right.
      */
-    _drawNode(x, y, value) {
+    _drawNode(x, y, value, node) {
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         g.setAttribute('class', 'node-group');
         g.setAttribute('data-value', value);
+        if (node) g.setAttribute('data-id', node.id);
 
         // Circle
         const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
         circle.setAttribute('cx', x);
         circle.setAttribute('cy', y);
         circle.setAttribute('r', CONFIG.NODE_RADIUS);
-        circle.setAttribute('class', 'node');
+        circle.setAttribute('class', node && node.color ? `node node-${node.color}` : 'node');
 
         // Text label
         const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -200,6 +343,139 @@ class BSTRenderer {
         g.appendChild(circle);
         g.appendChild(text);
 
+        if (node && node.priority !== undefined) {
+            const priority = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            priority.setAttribute('x', x);
+            priority.setAttribute('y', y + CONFIG.NODE_RADIUS + 4);
+            priority.setAttribute('class', 'node-priority');
+            priority.textContent = `p=${node.priority}`;
+            g.appendChild(priority);
+        }
+
+        if (node && node.count > 1) {
+            const count = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            count.setAttribute('x', x + CONFIG.NODE_RADIUS * 0.8);
+            count.setAttribute('y', y + CONFIG.NODE_RADIUS * 0.8);
+            count.setAttribute('class', 'node-count');
+            count.textContent = `×${node.count}`;
+            g.appendChild(count);
+        }
+
+        if (node && node.size !== undefined) {
+            g.appendChild(this._drawSizeBadge(x, y, node.size));
+        }
+
+        if (node && this.balanceFactors.has(node.id)) {
+            g.appendChild(this._drawBalanceLabel(x, y, this.balanceFactors.get(node.id)));
+        }
+
+        return g;
+    }
+
+    /**
+     * Subtree-size badge at the node's top-right; only shown while the SVG
+     * has the `show-sizes` class (see setShowSizes)
+     */
+    _drawSizeBadge(x, y, size) {
+        const offset = CONFIG.NODE_RADIUS * 0.8;
+        const badge = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        badge.setAttribute('class', 'node-size');
+
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', x + offset);
+        circle.setAttribute('cy', y - offset);
+        circle.setAttribute('r', 10);
+        circle.setAttribute('class', 'node-size-badge');
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x + offset);
+        text.setAttribute('y', y - offset);
+        text.setAttribute('class', 'node-size-label');
+        text.textContent = size;
+
+        badge.appendChild(circle);
+        badge.appendChild(text);
+        return badge;
+    }
+
+    /**
+     * Balance factor at the node's top-left, flagged when outside [-1, 1];
+     * only shown while the SVG has the `show-balance` class
+     */
+    _drawBalanceLabel(x, y, balance) {
+        const offset = CONFIG.NODE_RADIUS * 0.8;
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x - offset);
+        text.setAttribute('y', y - offset);
+        text.setAttribute('class', Math.abs(balance) > 1 ? 'node-balance unbalanced' : 'node-balance');
+        text.textContent = balance > 0 ? `+${balance}` : balance;
+        return text;
+    }
+
+    /**
+     * Render the laid-out B-tree: an edge from each child pointer (the gap
+     * between two keys) to the child's top, then one cell per key inside a
+     * rounded node frame. Edges are tagged `edge-<child index>` and belong to
+     * the parent's first key.
+     */
+    _renderBTree(edgeGroup, nodeGroup) {
+        const half = CONFIG.KEY_HEIGHT / 2;
+
+        this.btreeBoxes.forEach(box => {
+            box.children.forEach((child, i) => {
+                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', box.x + i * CONFIG.KEY_WIDTH);
+                line.setAttribute('y1', box.y + half);
+                line.setAttribute('x2', child.x + child.width / 2);
+                line.setAttribute('y2', child.y - half);
+                line.setAttribute('class', `edge edge-${i}`);
+                line.setAttribute('data-parent', box.node.keys[0]);
+                line.setAttribute('data-child', child.node.keys[0]);
+                edgeGroup.appendChild(line);
+            });
+
+            box.node.keys.forEach(key => {
+                const pos = this.nodePositions.get(key);
+                const cell = this._drawKeyCell(pos.x, pos.y, key);
+                nodeGroup.appendChild(cell);
+                this.nodeElements.set(key, cell);
+            });
+
+            const frame = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            frame.setAttribute('x', box.x);
+            frame.setAttribute('y', box.y - half);
+            frame.setAttribute('width', box.width);
+            frame.setAttribute('height', CONFIG.KEY_HEIGHT);
+            frame.setAttribute('rx', 6);
+            frame.setAttribute('class', 'btree-frame');
+            nodeGroup.appendChild(frame);
+        });
+    }
+
+    /**
+     * Draw one B-tree key (cell + text); the cell takes the same `node`
+     * classes as a circle, so highlights apply per key
+     */
+    _drawKeyCell(x, y, value) {
+        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        g.setAttribute('class', 'node-group');
+        g.setAttribute('data-value', value);
+
+        const cell = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        cell.setAttribute('x', x - CONFIG.KEY_WIDTH / 2);
+        cell.setAttribute('y', y - CONFIG.KEY_HEIGHT / 2);
+        cell.setAttribute('width', CONFIG.KEY_WIDTH);
+        cell.setAttribute('height', CONFIG.KEY_HEIGHT);
+        cell.setAttribute('class', 'node btree-key');
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', x);
+        text.setAttribute('y', y);
+        text.setAttribute('class', 'node-label');
+        text.textContent = value;
+
+        g.appendChild(cell);
+        g.appendChild(text);
         return g;
     }
 
@@ -215,6 +491,71 @@ class BSTRenderer {
         this.svg.appendChild(text);
     }
 
+    // ═══════════════════════════════════════════════════════════
+    // HEATMAP OVERLAY
+    // ═══════════════════════════════════════════════════════════
+
+    /**
+     * Color nodes by access frequency (pass null to turn the overlay off)
+     * @param {Map|null} counts - value -> access count
+     */
+    setHeatmap(counts) {
+        this.heatmap = counts;
+        this._applyHeatmap();
+    }
+
+    /**
+     * Switch layout and glide the tree on screen into it. Highlights are
+     * redrawn from scratch, so callers showing a step should show it again.
+     * @param {string} layout - TreeLayout
+     */
+    setLayout(layout) {
+        this.layout = layout;
+        if (this.root !== null) {
+            this.render(this.root, { animate: true });
+        }
+    }
+
+    /**
+     * Show or hide the subtree-size badges
+     * @param {boolean} show
+     */
+    setShowSizes(show) {
+        this.svg.classList.toggle('show-sizes', show);
+    }
+
+    /**
+     * Show or hide the per-node balance factors
+     * @param {boolean} show
+     */
+    setShowBalance(show) {
+        this.svg.classList.toggle('show-balance', show);
+    }
+
+    /**
+     * Apply the heatmap to the drawn nodes. The color is exposed as the
+     * --heat-fill custom property so highlight states still win.
+     */
+    _applyHeatmap() {
+        const counts = this.heatmap;
+        const max = counts ? Math.max(1, ...counts.values()) : 1;
+
+        this.nodeElements.forEach((el, key) => {
+            const circle = el.querySelector('.node');
+            if (!counts) {
+                circle.classList.remove('heat');
+                circle.style.removeProperty('--heat-fill');
+                return;
+            }
+
+            const { node } = this.nodePositions.get(key);
+            const count = counts.get(this._isBTree(node) ? key : node.value) || 0;
+            circle.classList.add('heat');
+            circle.style.setProperty('--heat-fill', heatColor(count / max));
+            el.setAttribute('data-accesses', count);
+        });
+    }
+
     // ═══════════════════════════════════════════════════════════
     // HIGHLIGHTING METHODS
     // ═══════════════════════════════════════════════════════════
@@ -224,7 +565,10 @@ class BSTRenderer {
      */
     clearHighlights() {
         this.nodeElements.forEach(el => {
-            el.querySelector('.node').classList.remove('active', 'compared', 'found', 'inserted', 'visited');
+            el.querySelector('.node').classList.remove(
+                'active', 'compared', 'found', 'inserted', 'visited', 'removing', 'successor',
+                'replaced', 'queued', 'rotated', 'recolored', 'answer', 'lca'
+            );
         });
         this.svg.querySelectorAll('.edge').forEach(edge => {
             edge.classList.remove('active');
@@ -233,11 +577,13 @@ class BSTRenderer {
 
     /**
      * Highlight a node with given state
-     * @param {number} value - Node value
-     * @param {string} state - 'active', 'compared', 'found', 'inserted', 'visited'
+     * @param {number} key - Node id (a key for B-trees)
+     * @param {string} state - 'active', 'compared', 'found', 'inserted', 'visited',
+     *                         'removing', 'successor', 'replaced', 'queued', 'rotated',
+     *                         'recolored', 'answer', 'lca'
      */
-    highlightNode(value, state) {
-        const nodeEl = this.nodeElements.get(value);
+    highlightNode(key, state) {
+        const nodeEl = this.nodeElements.get(key);
         if (nodeEl) {
             nodeEl.querySelector('.node').classList.add(state);
         }
@@ -245,12 +591,12 @@ class BSTRenderer {
 
     /**
      * Highlight edge going to a child
-     * @param {number} parentValue - Parent node value
-     * @param {string} direction - 'left' or 'right'
+     * @param {number} parentKey - Parent node id (first key of a B-tree node)
+     * @param {string|number} direction - 'left' or 'right', or a B-tree child index
      */
-    highlightEdge(parentValue, direction) {
+    highlightEdge(parentKey, direction) {
         const edge = this.svg.querySelector(
-            `.edge[data-parent="${parentValue}"]${direction ? `.edge-${direction}` : ''}`
+            `.edge[data-parent="${parentKey}"]${direction !== undefined ? `.edge-${direction}` : ''}`
         );
         if (edge) {
             edge.classList.add('active');
@@ -258,10 +604,53 @@ class BSTRenderer {
     }
 
     /**
-     * Get node element by value
+     * Dim nodes and the edges leading into them (pass null to undim all)
+     * @param {Array|null} ids - e.g. nodes of subtrees pruned by a range search
+     */
+    setDimmed(ids) {
+        const dimmed = new Set((ids || []).map(String));
+
+        this.nodeElements.forEach((el, id) => {
+            el.classList.toggle('dimmed', dimmed.has(String(id)));
+        });
+        this.svg.querySelectorAll('.edge').forEach(edge => {
+            edge.classList.toggle('dimmed', dimmed.has(edge.getAttribute('data-child')));
+        });
+    }
+
+    /**
+     * Outline the search paths to a and b (nodes on both get both classes)
+     * and mark their lowest common ancestor; pass null to clear
+     * @param {object|null} paths - { a: [node ids], b: [node ids] }, root first
+     * @param {number} [lca] - LCA node id, once known
+     */
+    setPaths(paths, lca) {
+        const onPath = (key) => {
+            const ids = paths ? paths[key].map(String) : [];
+            const edges = new Set(ids.slice(1).map((child, i) => `${ids[i]}>${child}`));
+            return { nodes: new Set(ids), edges };
+        };
+        const a = onPath('a');
+        const b = onPath('b');
+
+        this.nodeElements.forEach((el, id) => {
+            const circle = el.querySelector('.node');
+            circle.classList.toggle('path-a', a.nodes.has(String(id)));
+            circle.classList.toggle('path-b', b.nodes.has(String(id)));
+            circle.classList.toggle('lca', lca !== undefined && String(lca) === String(id));
+        });
+        this.svg.querySelectorAll('.edge').forEach(edge => {
+            const key = `${edge.getAttribute('data-parent')}>${edge.getAttribute('data-child')}`;
+            edge.classList.toggle('path-a', a.edges.has(key));
+            edge.classList.toggle('path-b', b.edges.has(key));
+        });
+    }
+
+    /**
+     * Get node element by node id (a key for B-trees)
      */
-    getNodeElement(value) {
-        return this.nodeElements.get(value);
+    getNodeElement(key) {
+        return this.nodeElements.get(key);
     }
 }
 
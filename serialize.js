@@ -0,0 +1,236 @@
+/**
+ * Tree Import / Export
+ * Writes a binary tree as nested JSON ({ value, left, right }, the shape of
+ * snapshot(), plus count for keys stored more than once) or as a
+ * LeetCode-style level-order array ([50,30,70,null,40]), and reads either
+ * back. Imports may have any shape; they are checked for the binary search
+ * tree property under the tree's duplicate policy and come back with their
+ * keys in level order, which rebuilds exactly that shape when inserted into
+ * a plain BST.
+ */
+
+// bst.js is loaded as a separate script in the browser, a module in Node
+const Duplicates = typeof DuplicatePolicy !== 'undefined'
+    ? DuplicatePolicy
+    : require('./bst.js').DuplicatePolicy;
+
+const TreeFormat = {
+    JSON: 'json',
+    LEVEL_ORDER: 'level-order'
+};
+
+/**
+ * Nested { value, left, right } copy of a tree, without ids or cached data.
+ * Nodes holding several copies of their key (DuplicatePolicy.COUNT) also
+ * carry count.
+ * @param {object|null} node - Root of a binary tree (or its snapshot)
+ * @returns {object|null}
+ */
+function treeToJSON(node) {
+    if (node === null) return null;
+    const copy = { value: node.value };
+    if (node.count > 1) copy.count = node.count;
+    copy.left = treeToJSON(node.left);
+    copy.right = treeToJSON(node.right);
+    return copy;
+}
+
+/**
+ * Breadth-first keys with null for missing children, trailing nulls trimmed
+ * @param {object|null} root - Root of a binary tree (or its snapshot)
+ * @returns {Array}
+ */
+function treeToLevelOrder(root) {
+    const values = [];
+    const queue = [root];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        values.push(node === null ? null : node.value);
+        if (node !== null) queue.push(node.left, node.right);
+    }
+    while (values.length > 0 && values[values.length - 1] === null) values.pop();
+    return values;
+}
+
+/**
+ * Text for a tree in a TreeFormat
+ * @param {object|null} root - Root of a binary tree
+ * @param {string} format - TreeFormat
+ * @returns {string}
+ * @throws {Error} For level order when a key is stored more than once on one
+ *                 node, since a flat list of keys has nowhere to put the count
+ */
+function exportTree(root, format) {
+    if (format === TreeFormat.LEVEL_ORDER) {
+        const counted = findCounted(root);
+        if (counted !== null) {
+            throw new Error(`Level order can't record counts, and ${counted.value} is stored ${counted.count} times; export as JSON instead`);
+        }
+        return JSON.stringify(treeToLevelOrder(root));
+    }
+    return JSON.stringify(treeToJSON(root), null, 2);
+}
+
+function findCounted(root) {
+    const stack = root === null ? [] : [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.count > 1) return node;
+        if (node.left !== null) stack.push(node.left);
+        if (node.right !== null) stack.push(node.right);
+    }
+    return null;
+}
+
+/**
+ * Read a tree in a TreeFormat and check that it is a binary search tree
+ * @param {string} text
+ * @param {string} format - TreeFormat
+ * @param {object} keyType - Entry of KeyTypes; parses and orders the keys
+ * @param {string} [duplicates='reject'] - DuplicatePolicy of the tree the
+ *        keys go into: 'left' and 'right' allow equal keys on that side,
+ *        'count' allows JSON counts
+ * @returns {object} { root, keys }: the nested tree and its keys in level
+ *          order, a counted key repeated once per copy
+ * @throws {Error} If the text is malformed or breaks the BST property; the
+ *                 message names the offending node
+ */
+function importTree(text, format, keyType, duplicates = Duplicates.REJECT) {
+    const root = format === TreeFormat.LEVEL_ORDER
+        ? parseLevelOrder(text, keyType)
+        : parseTreeJSON(text, keyType, duplicates);
+    checkSearchOrder(root, keyType, duplicates);
+    const keys = [];
+    const queue = root === null ? [] : [root];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        for (let copy = 0; copy < node.count; copy++) keys.push(node.value);
+        if (node.left !== null) queue.push(node.left);
+        if (node.right !== null) queue.push(node.right);
+    }
+    return { root, keys };
+}
+
+function parseKey(raw, keyType, where) {
+    const key = raw !== null && typeof raw !== 'object' ? keyType.parse(raw) : null;
+    if (key === null) {
+        throw new Error(`${JSON.stringify(raw)} at ${where} is not a valid ${keyType.label.toLowerCase()} key`);
+    }
+    return key;
+}
+
+function parseTreeJSON(text, keyType, duplicates) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    const read = (node, where) => {
+        if (node === null || node === undefined) return null;
+        if (typeof node !== 'object' || Array.isArray(node) || !('value' in node)) {
+            throw new Error(`${where} must be null or an object with a value`);
+        }
+        const value = parseKey(node.value, keyType, where);
+        const count = node.count === undefined ? 1 : node.count;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`The count of ${value} at ${where} must be a whole number of at least 1`);
+        }
+        if (count > 1 && duplicates !== Duplicates.COUNT) {
+            throw new Error(`${value} at ${where} is stored ${count} times; set Duplicate keys to "Count on node" to keep the copies`);
+        }
+        return {
+            value,
+            count,
+            left: read(node.left, `${where}.left`),
+            right: read(node.right, `${where}.right`)
+        };
+    };
+    return read(data, 'root');
+}
+
+/**
+ * Level order is a JSON array, or bare comma-separated keys (so text keys
+ * need no quotes); null marks a missing child
+ */
+function parseLevelOrder(text, keyType) {
+    let values;
+    try {
+        values = JSON.parse(text);
+    } catch {
+        const inner = text.trim().replace(/^\[/, '').replace(/\]$/, '').trim();
+        values = inner === '' ? [] : inner.split(',').map(item => {
+            const token = item.trim().replace(/^(["'])(.*)\1$/, '$2');
+            return token === 'null' ? null : token;
+        });
+    }
+    if (!Array.isArray(values)) {
+        throw new Error('Level order must be a list such as [50,30,70,null,40]');
+    }
+    if (values.length === 0) return null;
+    if (values[0] === null) {
+        throw new Error('Level order must start with the root, not null');
+    }
+
+    const make = (i, where) => (values[i] === null || values[i] === undefined)
+        ? null
+        : { value: parseKey(values[i], keyType, where), count: 1, left: null, right: null };
+    const root = make(0, 'index 0');
+    const parents = [root];
+    let i = 1;
+    while (i < values.length) {
+        if (parents.length === 0) {
+            throw new Error(`Index ${i} has no parent: every node above it is null`);
+        }
+        const parent = parents.shift();
+        for (const side of ['left', 'right']) {
+            if (i >= values.length) break;
+            parent[side] = make(i, `index ${i}`);
+            if (parent[side] !== null) parents.push(parent[side]);
+            i++;
+        }
+    }
+    return root;
+}
+
+/**
+ * Keys in a subtree must lie between its lowest and highest ancestors on
+ * either side: strictly, unless the duplicate policy sends equal keys to that
+ * side ('left' allows a key equal to an ancestor it sits left of, 'right' one
+ * it sits right of). Walks with a stack, so sorted-key chains of any length
+ * are fine.
+ */
+function checkSearchOrder(root, keyType, duplicates) {
+    const equalLeft = duplicates === Duplicates.LEFT;
+    const equalRight = duplicates === Duplicates.RIGHT;
+    const stack = [{ node: root, where: 'root', low: null, high: null }];
+    while (stack.length > 0) {
+        const { node, where, low, high } = stack.pop();
+        if (node === null) continue;
+        if (low !== null) {
+            const order = keyType.compare(node.value, low);
+            if (order < 0 || (order === 0 && !equalRight)) {
+                throw new Error(`Not a binary search tree: ${node.value} at ${where} is in the right subtree of ${low}, so it must be greater than ${equalRight ? 'or equal to ' : ''}${low}`);
+            }
+        }
+        if (high !== null) {
+            const order = keyType.compare(node.value, high);
+            if (order > 0 || (order === 0 && !equalLeft)) {
+                throw new Error(`Not a binary search tree: ${node.value} at ${where} is in the left subtree of ${high}, so it must be less than ${equalLeft ? 'or equal to ' : ''}${high}`);
+            }
+        }
+        stack.push({ node: node.right, where: `${where}.right`, low: node.value, high });
+        stack.push({ node: node.left, where: `${where}.left`, low, high: node.value });
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TreeFormat, treeToJSON, treeToLevelOrder, exportTree, importTree };
+} else if (typeof window !== 'undefined') {
+    window.TreeFormat = TreeFormat;
+    window.treeToJSON = treeToJSON;
+    window.treeToLevelOrder = treeToLevelOrder;
+    window.exportTree = exportTree;
+    window.importTree = importTree;
+}
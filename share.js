@@ -0,0 +1,105 @@
+/**
+ * Shareable Links
+ * Encodes the key sequence, tree mode, key type, animation speed and an
+ * optional queued operation into a URL hash, e.g.
+ * #mode=avl&keys=50,30,70&speed=800&op=search:45
+ * Keys and operation arguments are URI-encoded, so text keys may contain
+ * commas and colons.
+ */
+
+/**
+ * Operations a link can queue, by hash name; `takesKey` ones need an argument
+ */
+const SharedOperations = {
+    insert: { label: 'Insert', takesKey: true },
+    search: { label: 'Search', takesKey: true },
+    delete: { label: 'Delete', takesKey: true },
+    inorder: { label: 'Inorder', takesKey: false },
+    preorder: { label: 'Preorder', takesKey: false },
+    postorder: { label: 'Postorder', takesKey: false },
+    levelorder: { label: 'Level Order', takesKey: false },
+    zigzag: { label: 'Zig-zag', takesKey: false }
+};
+
+/**
+ * Build the hash (without '#') for a shared state
+ * @param {object} state - { mode, keyType, keys, speed, operation }; the
+ *                         operation ({ name, arg }) may be null
+ * @returns {string}
+ */
+function encodeShareState({ mode, keyType, keys, speed, operation = null }) {
+    const parts = [`mode=${encodeURIComponent(mode)}`];
+    if (keyType && keyType !== 'number') {
+        parts.push(`type=${encodeURIComponent(keyType)}`);
+    }
+    parts.push(`keys=${keys.map(key => encodeURIComponent(String(key))).join(',')}`);
+    parts.push(`speed=${speed}`);
+    if (operation !== null) {
+        const { takesKey } = SharedOperations[operation.name];
+        parts.push(takesKey
+            ? `op=${operation.name}:${encodeURIComponent(String(operation.arg))}`
+            : `op=${operation.name}`);
+    }
+    return parts.join('&');
+}
+
+/**
+ * Read a shared state from a URL hash. Keys and the operation argument stay
+ * text, to be parsed with the key type; unknown fields are ignored and a
+ * malformed operation or speed reads as null.
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {object|null} { mode, keyType, keys, speed, operation }, or null
+ *                        if the hash holds no shared state
+ */
+function decodeShareState(hash) {
+    const params = new Map();
+    hash.replace(/^#/, '').split('&').forEach(part => {
+        const eq = part.indexOf('=');
+        if (eq > 0) params.set(part.slice(0, eq), part.slice(eq + 1));
+    });
+    if (!params.has('mode') && !params.has('keys')) return null;
+
+    const decode = (text) => {
+        try {
+            return decodeURIComponent(text);
+        } catch {
+            return null;
+        }
+    };
+
+    const keys = (params.get('keys') || '')
+        .split(',')
+        .map(decode)
+        .filter(key => key !== null && key !== '');
+
+    const speed = parseInt(params.get('speed'));
+
+    let operation = null;
+    if (params.has('op')) {
+        const op = params.get('op');
+        const colon = op.indexOf(':');
+        const name = colon >= 0 ? op.slice(0, colon) : op;
+        const arg = colon >= 0 ? decode(op.slice(colon + 1)) : null;
+        const known = Object.prototype.hasOwnProperty.call(SharedOperations, name);
+        if (known && (!SharedOperations[name].takesKey || (arg !== null && arg !== ''))) {
+            operation = { name, arg: SharedOperations[name].takesKey ? arg : null };
+        }
+    }
+
+    return {
+        mode: params.has('mode') ? decode(params.get('mode')) : null,
+        keyType: params.has('type') ? decode(params.get('type')) : 'number',
+        keys,
+        speed: isNaN(speed) ? null : speed,
+        operation
+    };
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SharedOperations, encodeShareState, decodeShareState };
+} else if (typeof window !== 'undefined') {
+    window.SharedOperations = SharedOperations;
+    window.encodeShareState = encodeShareState;
+    window.decodeShareState = decodeShareState;
+}
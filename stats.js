@@ -0,0 +1,97 @@
+/**
+ * Tree Statistics
+ * Shape measures for the statistics panel: height, node and leaf counts,
+ * path lengths, average search depth, the ratio to the optimal height and a
+ * balance factor per node
+ */
+
+/**
+ * Compute statistics for a tree (or a forest, e.g. a split treap)
+ * Heights count levels like getHeight() (a lone root has height 1); depths
+ * count edges from the root. The internal path length sums the depths of
+ * all nodes, the external path length those of the empty child slots.
+ * B-tree nodes ({ keys, children }) count as one node each; they have no
+ * binary optimal height or balance factors.
+ * @param {object|Array|null} root - Root node or snapshot, or an array of roots
+ * @returns {object} { height, nodeCount, keyCount, leafCount,
+ *                     internalPathLength, externalPathLength,
+ *                     averageSearchDepth, optimalHeight, heightRatio,
+ *                     balanceFactors (node id -> height(left) - height(right)) }
+ */
+function computeTreeStats(root) {
+    const trees = (Array.isArray(root) ? root : [root]).filter(tree => tree !== null);
+    const btree = trees.length > 0 && Array.isArray(trees[0].keys);
+
+    const stats = {
+        height: 0,
+        nodeCount: 0,
+        keyCount: 0,
+        leafCount: 0,
+        internalPathLength: 0,
+        externalPathLength: 0,
+        averageSearchDepth: 0,
+        optimalHeight: null,
+        heightRatio: null,
+        balanceFactors: new Map()
+    };
+    let searchCost = 0; // nodes visited to find every key, summed
+
+    // Measures a node whose children are measured; subtree heights go in
+    // `heights`
+    const heights = new Map();
+    const visit = (node, depth) => {
+        const children = btree ? node.children : [node.left, node.right];
+        const slots = btree ? node.keys.length + 1 : 2;
+        const keys = btree ? node.keys.length : 1;
+        const present = children.filter(child => child);
+
+        stats.nodeCount++;
+        stats.keyCount += keys;
+        stats.internalPathLength += depth;
+        stats.externalPathLength += (slots - present.length) * (depth + 1);
+        if (present.length === 0) stats.leafCount++;
+        searchCost += keys * (depth + 1);
+
+        const below = children.map(child => (child ? heights.get(child) : 0));
+        if (!btree) {
+            stats.balanceFactors.set(node.id, below[0] - below[1]);
+        }
+        heights.set(node, 1 + Math.max(0, ...below));
+    };
+
+    // Children before parents, walked with a stack: a tree of sorted keys
+    // is one long path, deeper than the call stack
+    trees.forEach(tree => {
+        const order = [];
+        const stack = [{ node: tree, depth: 0 }];
+        while (stack.length > 0) {
+            const entry = stack.pop();
+            order.push(entry);
+            (btree ? entry.node.children : [entry.node.left, entry.node.right]).forEach(child => {
+                if (child) stack.push({ node: child, depth: entry.depth + 1 });
+            });
+        }
+        for (let i = order.length - 1; i >= 0; i--) visit(order[i].node, order[i].depth);
+        stats.height = Math.max(stats.height, heights.get(tree));
+    });
+
+    if (stats.keyCount > 0) {
+        stats.averageSearchDepth = searchCost / stats.keyCount;
+    }
+
+    // Best possible height for n keys in a binary tree: ⌈log2(n + 1)⌉
+    if (!btree) {
+        stats.optimalHeight = Math.ceil(Math.log2(stats.nodeCount + 1));
+        if (stats.nodeCount > 0) {
+            stats.heightRatio = stats.height / stats.optimalHeight;
+        }
+    }
+    return stats;
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeTreeStats };
+} else if (typeof window !== 'undefined') {
+    window.computeTreeStats = computeTreeStats;
+}
@@ -0,0 +1,309 @@
+/**
+ * Tree invariants after inserts and deletes, for every tree mode and
+ * duplicate policy
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    Action, BinarySearchTree, DuplicatePolicy, RBColor, StepTimeline, StepType, TreeMode, createTree
+} = require('../bst.js');
+
+// Reproducible key order for the random runs
+function shuffled(count, seed) {
+    const keys = Array.from({ length: count }, (_, i) => i);
+    let state = seed;
+    for (let i = keys.length - 1; i > 0; i--) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        const j = state % (i + 1);
+        [keys[i], keys[j]] = [keys[j], keys[i]];
+    }
+    return keys;
+}
+
+/**
+ * Check the search order and subtree sizes of a binary tree
+ * @returns {number} Height of the tree
+ */
+function checkBinary(node, low = -Infinity, high = Infinity) {
+    if (node === null) return 0;
+    assert.ok(node.value >= low && node.value <= high, `${node.value} is out of order`);
+    const size = (node.left ? node.left.size : 0) + (node.right ? node.right.size : 0) + 1;
+    assert.equal(node.size, size, `size of ${node.value}`);
+    return 1 + Math.max(checkBinary(node.left, low, node.value), checkBinary(node.right, node.value, high));
+}
+
+function heightOf(node) {
+    return node === null ? 0 : 1 + Math.max(heightOf(node.left), heightOf(node.right));
+}
+
+function checkAVL(node) {
+    if (node === null) return;
+    const balance = heightOf(node.left) - heightOf(node.right);
+    assert.ok(Math.abs(balance) <= 1, `balance factor of ${node.value} is ${balance}`);
+    assert.equal(node.height, heightOf(node), `height of ${node.value}`);
+    checkAVL(node.left);
+    checkAVL(node.right);
+}
+
+/**
+ * @returns {number} Black height of the subtree
+ */
+function checkRedBlack(node) {
+    if (node === null) return 1;
+    if (node.color === RBColor.RED) {
+        for (const child of [node.left, node.right]) {
+            assert.ok(child === null || child.color === RBColor.BLACK, `red ${node.value} has a red child`);
+        }
+    }
+    const left = checkRedBlack(node.left);
+    assert.equal(checkRedBlack(node.right), left, `black heights under ${node.value}`);
+    return left + (node.color === RBColor.BLACK ? 1 : 0);
+}
+
+function checkTreap(node) {
+    if (node === null) return;
+    for (const child of [node.left, node.right]) {
+        if (child !== null) {
+            assert.ok(child.priority <= node.priority, `${child.value} outranks its parent ${node.value}`);
+        }
+    }
+    checkTreap(node.left);
+    checkTreap(node.right);
+}
+
+/**
+ * Check key counts, key order and leaf depth of a B-tree
+ * @returns {number} Depth of its leaves
+ */
+function checkBTree(tree, node = tree.root, isRoot = true, low = -Infinity, high = Infinity) {
+    assert.ok(node.keys.length <= 2 * tree.t - 1, `node [${node.keys}] is over full`);
+    assert.ok(node.keys.length >= (isRoot ? 1 : tree.t - 1), `node [${node.keys}] is under full`);
+    const bounds = [low, ...node.keys, high];
+    for (let i = 1; i < bounds.length; i++) {
+        assert.ok(bounds[i - 1] < bounds[i], `keys of [${node.keys}] are out of order`);
+    }
+    if (node.leaf) {
+        assert.equal(node.children.length, 0);
+        return 0;
+    }
+    assert.equal(node.children.length, node.keys.length + 1);
+    const depths = node.children.map((child, i) => checkBTree(tree, child, false, bounds[i], bounds[i + 1]));
+    assert.ok(depths.every(depth => depth === depths[0]), `leaves under [${node.keys}] differ in depth`);
+    return depths[0] + 1;
+}
+
+const CHECKS = {
+    [TreeMode.BST]: () => {},
+    [TreeMode.AVL]: tree => checkAVL(tree.root),
+    [TreeMode.RED_BLACK]: tree => {
+        if (tree.root !== null) assert.equal(tree.root.color, RBColor.BLACK, 'root is black');
+        checkRedBlack(tree.root);
+    },
+    [TreeMode.SPLAY]: () => {},
+    [TreeMode.TREAP]: tree => checkTreap(tree.root)
+};
+
+describe('binary trees', () => {
+    for (const [mode, check] of Object.entries(CHECKS)) {
+        it(`${mode} keeps its invariants through inserts and deletes`, () => {
+            const tree = createTree(mode, { seed: 7 });
+            const keys = shuffled(200, 1);
+            for (const key of keys) {
+                assert.equal(tree.insert(key).success, true);
+                checkBinary(tree.root);
+                check(tree);
+            }
+            assert.deepEqual(tree.inorderTraversal().order, [...keys].sort((a, b) => a - b));
+
+            for (const key of shuffled(200, 2).slice(0, 150)) {
+                tree.delete(key);
+                checkBinary(tree.root);
+                check(tree);
+                assert.equal(tree.search(key).found, false);
+            }
+            assert.equal(tree.root.size, 50);
+        });
+
+        it(`${mode} keeps its invariants on sorted keys`, () => {
+            const tree = createTree(mode, { seed: 7 });
+            for (let key = 0; key < 100; key++) tree.insert(key);
+            checkBinary(tree.root);
+            check(tree);
+        });
+    }
+
+    it('AVL and red-black trees stay logarithmic on sorted keys', () => {
+        for (const mode of [TreeMode.AVL, TreeMode.RED_BLACK]) {
+            const tree = createTree(mode);
+            for (let key = 0; key < 1023; key++) tree.insert(key);
+            assert.ok(heightOf(tree.root) <= 2 * Math.log2(1024), `${mode} height ${heightOf(tree.root)}`);
+        }
+    });
+});
+
+describe('B-tree', () => {
+    for (const minDegree of [2, 3, 5]) {
+        it(`keeps its invariants with minimum degree ${minDegree}`, () => {
+            const tree = createTree(TreeMode.B_TREE, { minDegree });
+            const keys = shuffled(300, minDegree);
+            for (const key of keys) {
+                assert.equal(tree.insert(key).success, true);
+                checkBTree(tree);
+            }
+            assert.equal(tree.insert(keys[0]).success, false, 'duplicates are rejected');
+            assert.deepEqual(tree.inorderTraversal().order, [...keys].sort((a, b) => a - b));
+
+            for (const key of shuffled(300, minDegree + 10)) {
+                tree.delete(key);
+                if (tree.root !== null) checkBTree(tree);
+                assert.equal(tree.search(key).found, false);
+            }
+            assert.equal(tree.root, null);
+        });
+    }
+});
+
+describe('duplicate policies', () => {
+    const KEYS = [5, 3, 8, 5, 5];
+
+    const build = (duplicates, mode = TreeMode.BST) => {
+        const tree = createTree(mode, { duplicates, seed: 3 });
+        return { tree, results: KEYS.map(key => tree.insert(key)) };
+    };
+
+    it('reject leaves the tree unchanged', () => {
+        const { tree, results } = build(DuplicatePolicy.REJECT);
+        assert.deepEqual(results.map(result => result.success), [true, true, true, false, false]);
+        assert.deepEqual(tree.inorderTraversal().order, [3, 5, 8]);
+        assert.equal(tree.root.size, 3);
+    });
+
+    it('count keeps one node and counts the copies', () => {
+        const { tree, results } = build(DuplicatePolicy.COUNT);
+        assert.ok(results.every(result => result.success));
+        assert.equal(tree.root.size, 3);
+        assert.equal(tree.root.count, 3);
+        tree.delete(5);
+        assert.equal(tree.root.count, 2);
+        assert.equal(tree.search(5).found, true);
+    });
+
+    for (const duplicates of [DuplicatePolicy.LEFT, DuplicatePolicy.RIGHT]) {
+        it(`${duplicates} stores each copy as its own node`, () => {
+            for (const mode of Object.keys(CHECKS)) {
+                const { tree, results } = build(duplicates, mode);
+                assert.ok(results.every(result => result.success));
+                assert.deepEqual(tree.inorderTraversal().order, [3, 5, 5, 5, 8]);
+                assert.equal(tree.root.size, 5);
+                checkBinary(tree.root);
+                CHECKS[mode](tree);
+
+                tree.delete(5);
+                assert.deepEqual(tree.inorderTraversal().order, [3, 5, 5, 8]);
+                checkBinary(tree.root);
+                CHECKS[mode](tree);
+            }
+        });
+    }
+
+    it('left and right send the copy to that side in a plain BST', () => {
+        const left = new BinarySearchTree({ duplicates: DuplicatePolicy.LEFT });
+        const right = new BinarySearchTree({ duplicates: DuplicatePolicy.RIGHT });
+        [5, 5].forEach(key => { left.insert(key); right.insert(key); });
+        assert.equal(left.root.left.value, 5);
+        assert.equal(right.root.right.value, 5);
+    });
+});
+
+describe('steps', () => {
+    it('carry the documented StepType values and message', () => {
+        assert.equal(StepType, Action);
+        const tree = new BinarySearchTree();
+        const steps = [50, 30, 70].flatMap(key => tree.insert(key).steps)
+            .concat(tree.search(30).steps, tree.levelOrderTraversal().steps, tree.delete(50));
+        const actions = new Set(Object.values(StepType));
+        for (const step of steps) {
+            assert.ok(actions.has(step.action), step.action);
+            assert.equal(step.message, step.description);
+        }
+    });
+});
+
+describe('successor and predecessor', () => {
+    const answer = steps => {
+        const last = steps[steps.length - 1];
+        return last.action === Action.ANSWER ? last.node : null;
+    };
+
+    for (const duplicates of Object.values(DuplicatePolicy)) {
+        it(`pass over copies of the key under ${duplicates}`, () => {
+            const tree = new BinarySearchTree({ duplicates });
+            [5, 3, 8, 5].forEach(key => tree.insert(key));
+            assert.equal(answer(tree.predecessor(5)), 3);
+            assert.equal(answer(tree.successor(5)), 8);
+            assert.equal(answer(tree.predecessor(3)), null);
+            assert.equal(answer(tree.successor(8)), null);
+        });
+    }
+
+    it('find the next distinct key in every tree mode', () => {
+        for (const mode of Object.keys(CHECKS)) {
+            for (const duplicates of Object.values(DuplicatePolicy)) {
+                const tree = createTree(mode, { duplicates, seed: 11 });
+                shuffled(60, 5).forEach(key => tree.insert(key % 15));
+                for (let key = 0; key < 15; key++) {
+                    const where = `${key} in ${mode} / ${duplicates}`;
+                    assert.equal(answer(tree.successor(key)), key < 14 ? key + 1 : null, where);
+                    assert.equal(answer(tree.predecessor(key)), key > 0 ? key - 1 : null, where);
+                }
+            }
+        }
+    });
+});
+
+describe('step timeline', () => {
+    const tree = new BinarySearchTree();
+    [50, 30, 70, 20, 40, 60, 80].forEach(key => tree.insert(key));
+
+    const queues = steps => {
+        const timeline = new StepTimeline(steps);
+        return steps.map((_, i) => timeline.frameAt(i + 1).queue);
+    };
+
+    it('shows the level-order queue of each step from one shared list', () => {
+        const { steps } = tree.levelOrderTraversal();
+        assert.ok(steps.every(step => step.queue.keys === steps[0].queue.keys));
+        const shown = queues(steps);
+        assert.deepEqual(shown.slice(0, 5), [[50], [], [], [30], [30, 70]]);
+        assert.deepEqual(shown[shown.length - 1], []);
+    });
+
+    it('shows the zig-zag deque at both ends', () => {
+        const { order, steps } = tree.zigzagTraversal();
+        assert.deepEqual(order, [50, 70, 30, 20, 40, 60, 80]);
+        const shown = queues(steps);
+        const at = description => shown[steps.findIndex(step => step.description === description)];
+        assert.deepEqual(at('Enqueued 60 (left child of 70) at the front'), [60, 80, 30]);
+        assert.deepEqual(at('Enqueued 20 (left child of 30) at the front'), [20, 40, 60, 80]);
+        assert.deepEqual(at('Dequeued 20 from the front'), [40, 60, 80]);
+    });
+
+    it('shows the keys a range search had collected by each step', () => {
+        const steps = tree.rangeSearch(35, 65);
+        const timeline = new StepTimeline(steps);
+        const collected = steps.map((_, i) => timeline.frameAt(i + 1).range.keys.length);
+        assert.deepEqual(timeline.frameAt(steps.length).range.keys, [40, 50, 60]);
+        assert.ok(collected.every((count, i) => i === 0 || count >= collected[i - 1]));
+        assert.equal(timeline.frameAt(1).range.keys.length, 0);
+    });
+
+    it('records a level order of a large tree without copying the queue per step', () => {
+        const big = new BinarySearchTree();
+        shuffled(20000, 9).forEach(key => big.insert(key));
+        const before = process.memoryUsage().heapUsed;
+        const { steps } = big.levelOrderTraversal();
+        assert.equal(steps.length, 3 * 20000);
+        assert.ok(process.memoryUsage().heapUsed - before < 200e6);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Layouts and statistics of trees far deeper than the call stack: 10k sorted
+ * keys make one long path
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BSTNode, BinarySearchTree } = require('../bst.js');
+const { TreeLayout, computeLayout } = require('../layout.js');
+const { computeTreeStats } = require('../stats.js');
+
+// CONFIG in renderer.js
+const CONFIG = {
+    NODE_RADIUS: 25,
+    HORIZONTAL_SPACING: 60,
+    VERTICAL_SPACING: 80,
+    PADDING: 50,
+    KEY_WIDTH: 40,
+    NODE_GAP: 20
+};
+
+const SIZE = 10000;
+
+// What inserting sorted keys builds, without recording 50M steps
+function chain(side) {
+    const nodes = Array.from({ length: SIZE }, (_, i) => new BSTNode(side === 'right' ? i : SIZE - i));
+    for (let i = 0; i + 1 < nodes.length; i++) nodes[i][side] = nodes[i + 1];
+    return nodes;
+}
+
+describe('degenerate trees', () => {
+    for (const side of ['left', 'right']) {
+        for (const layout of Object.values(TreeLayout)) {
+            it(`lays out a ${SIZE}-node ${side} chain with the ${layout} layout`, () => {
+                const nodes = chain(side);
+                const { positions } = computeLayout(nodes[0], layout, CONFIG);
+                assert.equal(positions.size, SIZE);
+                for (const { x, y } of positions.values()) {
+                    assert.ok(Number.isFinite(x) && Number.isFinite(y));
+                }
+                if (layout === TreeLayout.RADIAL) return;
+
+                // One node per depth, each a level below (or right of) its parent
+                const depthAxis = layout === TreeLayout.HORIZONTAL ? 'x' : 'y';
+                for (let i = 1; i < SIZE; i++) {
+                    const step = positions.get(nodes[i].id)[depthAxis] - positions.get(nodes[i - 1].id)[depthAxis];
+                    assert.ok(step > 0, `node ${i} is not below its parent`);
+                }
+            });
+        }
+    }
+
+    it('re-lays out a cached chain after a change at the bottom', () => {
+        const nodes = chain('right');
+        const cache = {};
+        computeLayout(nodes[0], TreeLayout.TIDY, CONFIG, { cache });
+        nodes[SIZE - 1].right = new BSTNode(SIZE);
+        const { positions } = computeLayout(nodes[0], TreeLayout.TIDY, CONFIG, { cache });
+        assert.equal(positions.size, SIZE + 1);
+        assert.deepEqual(
+            computeLayout(nodes[0], TreeLayout.TIDY, CONFIG).positions.get(nodes[SIZE - 1].right.id),
+            positions.get(nodes[SIZE - 1].right.id)
+        );
+    });
+
+    it('measures a chain', () => {
+        const stats = computeTreeStats(chain('right')[0]);
+        assert.equal(stats.height, SIZE);
+        assert.equal(stats.nodeCount, SIZE);
+        assert.equal(stats.leafCount, 1);
+        assert.equal(stats.balanceFactors.size, SIZE);
+    });
+
+    it('matches a tree built by inserting sorted keys', () => {
+        const tree = new BinarySearchTree();
+        for (let key = 0; key < 300; key++) tree.insert(key);
+        const { positions } = computeLayout(tree.root, TreeLayout.TIDY, CONFIG);
+        assert.equal(positions.size, 300);
+        assert.equal(computeTreeStats(tree.root).height, 300);
+    });
+});
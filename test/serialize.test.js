@@ -0,0 +1,101 @@
+/**
+ * Import / export: round trips in both formats and the errors for input that
+ * is malformed or not a binary search tree
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BinarySearchTree, DuplicatePolicy, KeyType, KeyTypes } = require('../bst.js');
+const { TreeFormat, exportTree, importTree } = require('../serialize.js');
+
+const numbers = KeyTypes[KeyType.NUMBER];
+
+// Insert the imported keys, as the apps do
+function rebuild(keys, duplicates = DuplicatePolicy.REJECT) {
+    const tree = new BinarySearchTree({ duplicates });
+    keys.forEach(key => tree.insert(key));
+    return tree;
+}
+
+describe('import / export', () => {
+    const KEYS = [50, 30, 70, 40, 20, 80, 35, -2.5];
+
+    for (const format of Object.values(TreeFormat)) {
+        it(`round-trips the shape of a tree as ${format}`, () => {
+            const tree = rebuild(KEYS);
+            const text = exportTree(tree.root, format);
+            const { keys } = importTree(text, format, numbers);
+            assert.equal(exportTree(rebuild(keys).root, format), text);
+        });
+
+        it(`round-trips an empty tree as ${format}`, () => {
+            const text = exportTree(null, format);
+            assert.deepEqual(importTree(text, format, numbers), { root: null, keys: [] });
+        });
+    }
+
+    it('exports level order with nulls for missing children', () => {
+        assert.equal(exportTree(rebuild([50, 30, 70, 40]).root, TreeFormat.LEVEL_ORDER), '[50,30,70,null,40]');
+    });
+
+    it('reads bare comma-separated text keys', () => {
+        const text = KeyTypes[KeyType.STRING];
+        assert.deepEqual(importTree('m, c, "x", null, g', TreeFormat.LEVEL_ORDER, text).keys, ['m', 'c', 'x', 'g']);
+    });
+
+    it('round-trips counted keys as JSON only', () => {
+        const tree = rebuild([5, 3, 5, 5], DuplicatePolicy.COUNT);
+        const text = exportTree(tree.root, TreeFormat.JSON);
+        const { keys } = importTree(text, TreeFormat.JSON, numbers, DuplicatePolicy.COUNT);
+        assert.deepEqual(keys, [5, 5, 5, 3]);
+        assert.equal(exportTree(rebuild(keys, DuplicatePolicy.COUNT).root, TreeFormat.JSON), text);
+
+        assert.throws(() => exportTree(tree.root, TreeFormat.LEVEL_ORDER), /5 is stored 3 times; export as JSON/);
+        assert.throws(() => importTree(text, TreeFormat.JSON, numbers), /set Duplicate keys to "Count on node"/);
+    });
+
+    for (const duplicates of [DuplicatePolicy.LEFT, DuplicatePolicy.RIGHT]) {
+        it(`round-trips copies stored to the ${duplicates}`, () => {
+            const tree = rebuild([5, 3, 8, 5, 5], duplicates);
+            for (const format of Object.values(TreeFormat)) {
+                const text = exportTree(tree.root, format);
+                const { keys } = importTree(text, format, numbers, duplicates);
+                assert.equal(exportTree(rebuild(keys, duplicates).root, format), text);
+                assert.throws(() => importTree(text, format, numbers), /Not a binary search tree/);
+            }
+        });
+    }
+
+    it('names the first node that breaks the search order', () => {
+        assert.throws(
+            () => importTree('[50,30,70,null,60]', TreeFormat.LEVEL_ORDER, numbers),
+            { message: 'Not a binary search tree: 60 at root.left.right is in the left subtree of 50, so it must be less than 50' }
+        );
+        const json = '{"value":50,"left":{"value":30,"left":null,"right":{"value":60}},"right":null}';
+        assert.throws(() => importTree(json, TreeFormat.JSON, numbers), /60 at root\.left\.right is in the left subtree of 50/);
+        assert.throws(() => importTree('[50,30,70,20,55]', TreeFormat.LEVEL_ORDER, numbers), /55 at root\.left\.right/);
+        assert.throws(() => importTree('[5,5]', TreeFormat.LEVEL_ORDER, numbers), /must be less than 5/);
+        assert.doesNotThrow(() => importTree('[5,5]', TreeFormat.LEVEL_ORDER, numbers, DuplicatePolicy.LEFT));
+        assert.throws(() => importTree('[5,5]', TreeFormat.LEVEL_ORDER, numbers, DuplicatePolicy.RIGHT), /must be less than 5/);
+        assert.doesNotThrow(() => importTree('[5,null,5]', TreeFormat.LEVEL_ORDER, numbers, DuplicatePolicy.RIGHT));
+        assert.throws(() => importTree('[5,null,5]', TreeFormat.LEVEL_ORDER, numbers), /must be greater than 5/);
+    });
+
+    it('rejects malformed input', () => {
+        const cases = [
+            ['{"value":', TreeFormat.JSON, /Not valid JSON/],
+            ['[1,2]', TreeFormat.JSON, /root must be null or an object with a value/],
+            ['{"value":1,"left":{"key":2}}', TreeFormat.JSON, /root\.left must be null or an object/],
+            ['{"value":1,"count":0}', TreeFormat.JSON, /count of 1 at root must be a whole number/],
+            ['{"value":1,"count":1.5}', TreeFormat.JSON, /count of 1 at root must be a whole number/],
+            ['{"value":"abc"}', TreeFormat.JSON, /abc/],
+            ['{"a":1}', TreeFormat.LEVEL_ORDER, /Level order must be a list/],
+            ['[null,1]', TreeFormat.LEVEL_ORDER, /must start with the root/],
+            ['[1,null,null,2]', TreeFormat.LEVEL_ORDER, /Index 3 has no parent/],
+            ['[1,x]', TreeFormat.LEVEL_ORDER, /x/]
+        ];
+        for (const [text, format, message] of cases) {
+            assert.throws(() => importTree(text, format, numbers), message, text);
+        }
+    });
+});
@@ -0,0 +1,49 @@
+/**
+ * Shareable link hashes: round trips, and malformed hashes from hand-edited
+ * or truncated links
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeShareState, decodeShareState } = require('../share.js');
+
+describe('share links', () => {
+    it('round-trips a state, text keys with commas and colons included', () => {
+        const state = {
+            mode: 'avl',
+            keyType: 'string',
+            keys: ['a,b', 'c:d', 'é'],
+            speed: 800,
+            operation: { name: 'search', arg: 'c:d' }
+        };
+        assert.deepEqual(decodeShareState(`#${encodeShareState(state)}`), state);
+    });
+
+    it('drops the argument of an operation that takes none', () => {
+        const hash = encodeShareState({ mode: 'bst', keys: [1, 2], speed: 500, operation: { name: 'inorder', arg: 4 } });
+        assert.deepEqual(decodeShareState(hash).operation, { name: 'inorder', arg: null });
+        assert.deepEqual(decodeShareState('keys=1&op=inorder:junk').operation, { name: 'inorder', arg: null });
+    });
+
+    it('reads a hash without a tree as null', () => {
+        for (const hash of ['', '#', '#&&', '#mode', '#=avl', '#foo=bar', '#speed=500']) {
+            assert.equal(decodeShareState(hash), null, JSON.stringify(hash));
+        }
+    });
+
+    it('skips keys that are empty or badly escaped', () => {
+        assert.deepEqual(decodeShareState('#keys=1,%E0%A4%A,2,,3,%').keys, ['1', '2', '3']);
+        assert.deepEqual(decodeShareState('#mode=bst&keys=').keys, []);
+    });
+
+    it('reads a malformed mode, speed or operation as null', () => {
+        const state = decodeShareState('#mode=%ZZ&keys=1&speed=fast&op=search:%');
+        assert.equal(state.mode, null);
+        assert.equal(state.speed, null);
+        assert.equal(state.operation, null);
+
+        for (const op of ['search', 'search:', 'bogus:1', '__proto__', 'constructor:1', 'toString']) {
+            assert.equal(decodeShareState(`#keys=1&op=${op}`).operation, null, op);
+        }
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Zoom and Pan
+ * Lets a large tree be explored inside its scrolling container: the wheel
+ * or a pinch zooms around the pointer, dragging pans, and the view can be
+ * fitted to the whole tree or centred on a node. The SVG is sized to its
+ * viewBox times the zoom, so the container's scroll position is the pan.
+ * An optional minimap mirrors the tree (through a <use> of its layers) with
+ * the visible part outlined; clicking or dragging in it moves the view.
+ */
+
+const ZOOM_LIMITS = { MIN: 0.1, MAX: 4 };
+
+class TreeViewport {
+    /**
+     * @param {HTMLElement} container - Scrolling element around the SVG
+     * @param {SVGSVGElement} svg - Tree drawing; its viewBox is the tree's size
+     * @param {SVGSVGElement} [minimap] - Overview, holding a <use> of the tree
+     */
+    constructor(container, svg, minimap = null) {
+        this.container = container;
+        this.svg = svg;
+        this.minimap = minimap;
+        this.scale = 1;
+        this.width = 0;             // tree size in SVG units, from the viewBox
+        this.height = 0;
+        this.pointers = new Map();  // pointer id -> { x, y } while dragging
+        this.onChange = null;       // called with the zoom after it changes
+
+        this.frame = null;
+        if (minimap) {
+            this.frame = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            this.frame.setAttribute('class', 'minimap-view');
+            minimap.appendChild(this.frame);
+        }
+
+        this._onWheel = this._onWheel.bind(this);
+        this._onPointerDown = this._onPointerDown.bind(this);
+        this._onPointerMove = this._onPointerMove.bind(this);
+        this._onPointerUp = this._onPointerUp.bind(this);
+        this._onMinimap = this._onMinimap.bind(this);
+        this._updateMinimap = this._updateMinimap.bind(this);
+
+        container.addEventListener('wheel', this._onWheel, { passive: false });
+        container.addEventListener('pointerdown', this._onPointerDown);
+        container.addEventListener('pointermove', this._onPointerMove);
+        container.addEventListener('pointerup', this._onPointerUp);
+        container.addEventListener('pointercancel', this._onPointerUp);
+        container.addEventListener('scroll', this._updateMinimap);
+        window.addEventListener('resize', this._updateMinimap);
+        if (minimap) {
+            minimap.addEventListener('pointerdown', this._onMinimap);
+            minimap.addEventListener('pointermove', this._onMinimap);
+        }
+
+        // Renderers set the viewBox whenever the tree changes size
+        this.observer = new MutationObserver(() => this._readSize());
+        this.observer.observe(svg, { attributes: true, attributeFilter: ['viewBox'] });
+        this._readSize();
+    }
+
+    /**
+     * Stop listening; the SVG keeps its current size
+     */
+    destroy() {
+        this.observer.disconnect();
+        this.container.removeEventListener('wheel', this._onWheel);
+        this.container.removeEventListener('pointerdown', this._onPointerDown);
+        this.container.removeEventListener('pointermove', this._onPointerMove);
+        this.container.removeEventListener('pointerup', this._onPointerUp);
+        this.container.removeEventListener('pointercancel', this._onPointerUp);
+        this.container.removeEventListener('scroll', this._updateMinimap);
+        window.removeEventListener('resize', this._updateMinimap);
+        if (this.minimap) {
+            this.minimap.removeEventListener('pointerdown', this._onMinimap);
+            this.minimap.removeEventListener('pointermove', this._onMinimap);
+            this.frame.remove();
+        }
+    }
+
+    /**
+     * Zoom to a scale, keeping the tree point under a screen point in place
+     * @param {number} scale - Clamped to ZOOM_LIMITS
+     * @param {number} [clientX] - Screen point to zoom around (default: the
+     * @param {number} [clientY]   middle of the container)
+     */
+    zoomTo(scale, clientX, clientY) {
+        const box = this.container.getBoundingClientRect();
+        const x = clientX === undefined ? box.left + box.width / 2 : clientX;
+        const y = clientY === undefined ? box.top + box.height / 2 : clientY;
+        const before = this.svg.getBoundingClientRect();
+        const point = { x: (x - before.left) / this.scale, y: (y - before.top) / this.scale };
+
+        this.scale = Math.min(ZOOM_LIMITS.MAX, Math.max(ZOOM_LIMITS.MIN, scale));
+        this._applySize();
+
+        const after = this.svg.getBoundingClientRect();
+        this.container.scrollLeft += after.left + point.x * this.scale - x;
+        this.container.scrollTop += after.top + point.y * this.scale - y;
+        this._updateMinimap();
+        if (this.onChange) this.onChange(this.scale);
+    }
+
+    /**
+     * Zoom in (factor > 1) or out around a screen point
+     */
+    zoomBy(factor, clientX, clientY) {
+        this.zoomTo(this.scale * factor, clientX, clientY);
+    }
+
+    /**
+     * Zoom so the whole tree shows, never beyond actual size, and centre it
+     */
+    fit() {
+        if (this.width === 0 || this.height === 0) return;
+        this.zoomTo(Math.min(1, this.container.clientWidth / this.width, this.container.clientHeight / this.height));
+        this.centerOn(this.width / 2, this.height / 2, false);
+    }
+
+    /**
+     * Scroll a tree point to the middle of the container
+     * @param {number} x - In SVG units
+     * @param {number} y
+     * @param {boolean} [smooth=true] - Glide there, unless the user prefers
+     *                                  reduced motion
+     */
+    centerOn(x, y, smooth = true) {
+        const box = this.container.getBoundingClientRect();
+        const drawing = this.svg.getBoundingClientRect();
+        const reduced = typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+        this.container.scrollTo({
+            left: this.container.scrollLeft + drawing.left - box.left + x * this.scale - this.container.clientWidth / 2,
+            top: this.container.scrollTop + drawing.top - box.top + y * this.scale - this.container.clientHeight / 2,
+            behavior: smooth && !reduced ? 'smooth' : 'auto'
+        });
+    }
+
+    /**
+     * Part of the tree in view, in SVG units
+     * @returns {object} { x, y, width, height }
+     */
+    visibleRect() {
+        const box = this.container.getBoundingClientRect();
+        const drawing = this.svg.getBoundingClientRect();
+        return {
+            x: (box.left - drawing.left) / this.scale,
+            y: (box.top - drawing.top) / this.scale,
+            width: this.container.clientWidth / this.scale,
+            height: this.container.clientHeight / this.scale
+        };
+    }
+
+    _readSize() {
+        const viewBox = this.svg.getAttribute('viewBox');
+        if (!viewBox) return;
+        const [, , width, height] = viewBox.split(/[\s,]+/).map(Number);
+        if (width === this.width && height === this.height) return;
+        this.width = width;
+        this.height = height;
+        this._applySize();
+        this._updateMinimap();
+    }
+
+    _applySize() {
+        this.svg.style.width = `${this.width * this.scale}px`;
+        this.svg.style.height = `${this.height * this.scale}px`;
+    }
+
+    /**
+     * Outline the view on the minimap; the minimap hides while the whole
+     * tree is in view
+     */
+    _updateMinimap() {
+        if (!this.minimap) return;
+        const fits = this.width * this.scale <= this.container.clientWidth &&
+            this.height * this.scale <= this.container.clientHeight;
+        this.minimap.classList.toggle('hidden', this.width === 0 || fits);
+        this.minimap.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+
+        const view = this.visibleRect();
+        this.frame.setAttribute('x', view.x);
+        this.frame.setAttribute('y', view.y);
+        this.frame.setAttribute('width', view.width);
+        this.frame.setAttribute('height', view.height);
+    }
+
+    _onWheel(event) {
+        event.preventDefault();
+        // Lines (Firefox) scroll much further per event than pixels
+        const delta = event.deltaMode === 1 ? event.deltaY * 16 : event.deltaY;
+        this.zoomBy(Math.exp(-delta * 0.0015), event.clientX, event.clientY);
+    }
+
+    _onPointerDown(event) {
+        if (event.pointerType === 'mouse' && event.button !== 0) return;
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (this.container.setPointerCapture) this.container.setPointerCapture(event.pointerId);
+        this.container.classList.add('panning');
+    }
+
+    /**
+     * One pointer pans; two pinch-zoom around their midpoint and pan with it
+     */
+    _onPointerMove(event) {
+        const last = this.pointers.get(event.pointerId);
+        if (!last) return;
+        const others = Array.from(this.pointers.entries()).filter(([id]) => id !== event.pointerId);
+        const now = { x: event.clientX, y: event.clientY };
+        this.pointers.set(event.pointerId, now);
+
+        if (others.length === 0) {
+            this.container.scrollLeft -= now.x - last.x;
+            this.container.scrollTop -= now.y - last.y;
+            return;
+        }
+        const other = others[0][1];
+        const before = Math.hypot(last.x - other.x, last.y - other.y);
+        const after = Math.hypot(now.x - other.x, now.y - other.y);
+        if (before > 0) {
+            this.zoomBy(after / before, (now.x + other.x) / 2, (now.y + other.y) / 2);
+        }
+        this.container.scrollLeft -= (now.x - last.x) / 2;
+        this.container.scrollTop -= (now.y - last.y) / 2;
+    }
+
+    _onPointerUp(event) {
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size === 0) this.container.classList.remove('panning');
+    }
+
+    /**
+     * Centre the view on the minimap point pressed or dragged over
+     */
+    _onMinimap(event) {
+        if (event.type === 'pointermove' && event.buttons === 0) return;
+        event.stopPropagation();
+        const box = this.minimap.getBoundingClientRect();
+        // The minimap keeps the tree's aspect ratio, centred in its box
+        const fit = Math.min(box.width / this.width, box.height / this.height);
+        const x = (event.clientX - box.left - (box.width - this.width * fit) / 2) / fit;
+        const y = (event.clientY - box.top - (box.height - this.height * fit) / 2) / fit;
+        this.centerOn(x, y, false);
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TreeViewport, ZOOM_LIMITS };
+} else if (typeof window !== 'undefined') {
+    window.TreeViewport = TreeViewport;
+    window.ZOOM_LIMITS = ZOOM_LIMITS;
+}